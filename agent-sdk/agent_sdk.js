@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const loot = require('./loot');
 
 class PixelWarAgent {
   /**
@@ -20,6 +21,8 @@ class PixelWarAgent {
     this.token = token;
     this.spent = 0;
     this.claimedPixels = [];
+    this.allianceId = null;
+    this.allies = new Set(); // 同联盟成员（不含自己），策略会跳过他们的像素
 
     this.http = axios.create({
       baseURL: this.apiBase,
@@ -103,66 +106,51 @@ class PixelWarAgent {
     return this.http.get(`/api/pixels/${x}/${y}`);
   }
 
+  /**
+   * 当前占领价格及定价明细（赛季 / 区域 / 每个定价模型的步骤）
+   * @param {number} x
+   * @param {number} y
+   * @returns {Promise<{price_usdc: number, pricing: {season: string|null, region: string|null, breakdown: Array}}>}
+   */
+  async getPrice(x, y) {
+    return this.http.get(`/price/${x}/${y}`);
+  }
+
   // ─────────────────────────────────────────
   // 智能分析方法
   // ─────────────────────────────────────────
 
   /**
-   * 寻找最便宜的未占领像素
+   * 寻找当前最便宜的可占领像素（服务端按价格索引覆盖全画布）
+   * 空白像素优先（随机采样），不足时按占领价格从低到高补充已占领像素
    * @param {number} count - 返回数量
-   * @returns {Promise<Array<{x, y, price}>>}
-   */
-  async findCheapestPixels(count = 5) {
-    try {
-      // 尝试走专用 API
-      return await this.http.get('/api/pixels/cheapest', { params: { count } });
-    } catch {
-      // 降级：本地扫描前 500 个像素，取最便宜的
-      const data = await this.getCanvas(1, 500);
-      const pixels = data.pixels || data;
-      const unclaimed = pixels
-        .filter((p) => !p.owner || p.owner === null)
-        .sort((a, b) => (a.price || 0) - (b.price || 0));
-      return unclaimed.slice(0, count);
-    }
+   * @param {Object} [opts]
+   * @param {number} [opts.maxPrice]  - 价格上限（USDC）
+   * @param {'all'|'free'|'occupied'} [opts.include='all']
+   * @param {{x0, y0, x1, y1}} [opts.region] - 限定区域（闭区间）
+   * @returns {Promise<Array<{x, y, price, owner, distance_to_center}>>}
+   */
+  async findCheapestPixels(count = 5, { maxPrice, include, region } = {}) {
+    const data = await this.http.get('/pixels/cheapest', {
+      params: { count, max_price: maxPrice, include, exclude: this.agentId, ...region },
+    });
+    return data.pixels;
   }
 
   /**
-   * 寻找可套利像素：价格低但位于热门区域
-   * 热门区域定义：画布中心 25% 范围内，且近期 claim 频率高
-   * @returns {Promise<Array<{x, y, price, score}>>}
-   */
-  async findArbitrageTargets() {
-    try {
-      return await this.http.get('/api/pixels/arbitrage', {
-        params: { agent_id: this.agentId },
-      });
-    } catch {
-      // 降级：本地计算
-      const data = await this.getCanvas(1, 1000);
-      const pixels = data.pixels || data;
-
-      // 假设画布 100x100，中心区域 [25,75]x[25,75]
-      const CENTER_MIN = 25, CENTER_MAX = 75;
-      const now = Date.now();
-
-      const scored = pixels
-        .filter((p) => !p.owner || p.price < 10)
-        .map((p) => {
-          const inCenter =
-            p.x >= CENTER_MIN && p.x <= CENTER_MAX &&
-            p.y >= CENTER_MIN && p.y <= CENTER_MAX;
-          const recency = p.last_claimed_at
-            ? Math.max(0, 1 - (now - new Date(p.last_claimed_at).getTime()) / 3600000)
-            : 0;
-          const score = (inCenter ? 2 : 0) + recency - (p.price || 0) * 0.1;
-          return { ...p, score };
-        })
-        .filter((p) => p.score > 0)
-        .sort((a, b) => b.score - a.score);
-
-      return scored.slice(0, 10);
-    }
+   * 寻找可套利像素：近期争夺频繁、返利多、位置好且价格相对低
+   * 评分由服务端基于账本计算，自己持有的像素会被排除
+   * @param {Object} [opts]
+   * @param {number} [opts.minScore] - 最低套利分数
+   * @param {string} [opts.window='1h'] - 统计窗口，如 "30m"、"1h"、"24h"
+   * @param {number} [opts.count=10]
+   * @returns {Promise<Array<{x, y, price, traffic_score, arbitrage_score, reason, expected_roi_pct}>>}
+   */
+  async findArbitrageTargets({ minScore, window, count } = {}) {
+    const data = await this.http.get('/pixels/arbitrage', {
+      params: { agent_id: this.agentId, min_score: minScore, window, count },
+    });
+    return data.opportunities;
   }
 
   // ─────────────────────────────────────────
@@ -201,7 +189,8 @@ class PixelWarAgent {
         (p) =>
           Math.abs(p.x - CENTER) <= RADIUS &&
           Math.abs(p.y - CENTER) <= RADIUS &&
-          p.owner !== this.agentId
+          p.owner !== this.agentId &&
+          !this.allies.has(p.owner)
       )
       .sort(
         (a, b) =>
@@ -228,46 +217,364 @@ class PixelWarAgent {
     return this.claimPixel(target.x, target.y, this._agentColor());
   }
 
+  // ─────────────────────────────────────────
+  // 钱包登记
+  // ─────────────────────────────────────────
+
+  /**
+   * 把 agentId 绑定到钱包（EIP-191 签名证明钱包所有权）
+   * 登记后，占领像素必须由该钱包或授权的 delegate 付款，提现与奖池奖金也只发往该钱包
+   * 再次登记即可更新 delegates；换绑钱包时需提供原钱包的签名
+   * 已有占领记录的 agentId 首次登记时，钱包必须是曾为其付款的地址之一
+   * 登记后旧 token 失效，自动换用响应中绑定钱包的新 token
+   *
+   * @param {string} wallet - 钱包地址
+   * @param {(message: string) => Promise<string>} signMessage - 钱包的 personal_sign，如 ethers 的 wallet.signMessage
+   * @param {Object} [opts]
+   * @param {string[]} [opts.delegates] - 允许代付的钱包
+   * @param {(message: string) => Promise<string>} [opts.currentSignMessage] - 换绑时原钱包的签名函数
+   * @returns {Promise<{registered: boolean, wallet: string, delegates: string[], session: Object}>}
+   */
+  async registerWallet(wallet, signMessage, { delegates = [], currentSignMessage = null } = {}) {
+    const { challenge, message } = await this.http.post('/agent/register/challenge', { wallet, delegates });
+    const result = await this.http.post('/agent/register', {
+      challenge,
+      signature: await signMessage(message),
+      ...(currentSignMessage ? { current_signature: await currentSignMessage(message) } : {}),
+    });
+    this.setToken(result.session.token);
+    return result;
+  }
+
+  /**
+   * 已登记 agent 获取 token：验证码答案 + 登记钱包对登录挑战的签名
+   * （已登记的 agentId 只凭验证码拿不到 token）
+   *
+   * @param {string} challengeId - GET /captcha/challenge 的 challenge_id
+   * @param {string} answer      - 验证码答案
+   * @param {(message: string) => Promise<string>} signMessage - 登记钱包的 personal_sign
+   * @returns {Promise<{valid: boolean, token: string, wallet: string, expires_at: string}>}
+   */
+  async signInWithWallet(challengeId, answer, signMessage) {
+    const { challenge, message } = await this.http.post('/agent/signin/challenge', { agent_id: this.agentId });
+    const session = await this.http.post('/captcha/verify', {
+      challenge_id: challengeId,
+      answer,
+      agent_id: this.agentId,
+      wallet_challenge: challenge,
+      wallet_signature: await signMessage(message),
+    });
+    this.setToken(session.token);
+    return session;
+  }
+
+  /**
+   * 获取 agent 元信息（登记的钱包、delegates、活动概况）
+   * @param {string} [agentId] - 默认为自己
+   */
+  async getAgentInfo(agentId = this.agentId) {
+    return this.http.get(`/agent/${encodeURIComponent(agentId)}`);
+  }
+
   // ─────────────────────────────────────────
   // 投资组合
   // ─────────────────────────────────────────
 
   /**
-   * 获取自己的像素列表和预期收益
-   * @returns {Promise<{pixels: Array, totalInvested: number, expectedReturn: number, roi: number}>}
-   */
-  async getMyPortfolio() {
-    try {
-      const data = await this.http.get('/api/agent/portfolio', {
-        params: { agent_id: this.agentId },
-      });
-      return data;
-    } catch {
-      // 降级：用本地记录计算
-      const totalInvested = this.claimedPixels.reduce((s, p) => s + (p.cost || 0), 0);
-      // 简单估算：中心像素收益更高
-      const expectedReturn = this.claimedPixels.reduce((s, p) => {
-        const distToCenter = Math.hypot(p.x - 50, p.y - 50);
-        const multiplier = distToCenter < 15 ? 1.8 : distToCenter < 30 ? 1.3 : 1.0;
-        return s + (p.cost || 0) * multiplier;
-      }, 0);
-
-      return {
-        pixels: this.claimedPixels,
-        totalInvested,
-        expectedReturn: Math.round(expectedReturn * 100) / 100,
-        roi: totalInvested > 0
-          ? Math.round(((expectedReturn - totalInvested) / totalInvested) * 10000) / 100
-          : 0,
-        budgetRemaining: this.budget - this.spent,
-      };
+   * 获取自己的持仓与盈亏（服务端按账本计算）
+   * 包含总投入、实际收到的返利、已实现 / 未实现盈亏、持仓重置成本
+   * @param {number} [limit] - 返回的持仓像素条数上限
+   * @returns {Promise<{pixels: Array, total_spent_usdc: number, rebates_earned_usdc: number,
+   *   realized_pnl_usdc: number, unrealized_pnl_usdc: number, replacement_cost_usdc: number, budgetRemaining: number}>}
+   */
+  async getMyPortfolio(limit) {
+    const data = await this.http.get(`/agent/${encodeURIComponent(this.agentId)}/portfolio`, {
+      params: { limit },
+    });
+    return { ...data, budgetRemaining: this.budget - this.spent };
+  }
+
+  /**
+   * 获取自己的交易记录（买入 + 被覆盖卖出），按时间倒序分页
+   * @param {Object} [opts]
+   * @param {number} [opts.page=1]
+   * @param {number} [opts.limit=100]
+   * @param {'buy'|'sell'} [opts.side]
+   * @returns {Promise<{total: number, page: number, pages: number, transactions: Array}>}
+   */
+  async getMyHistory({ page, limit, side } = {}) {
+    return this.http.get(`/agent/${encodeURIComponent(this.agentId)}/history`, {
+      params: { page, limit, side },
+    });
+  }
+
+  /**
+   * 获取可提现余额：被覆盖所得返利 + 已入账付款，减去提现中 / 已提现金额
+   * @param {number} [limit] - 返回的最近提现记录条数
+   * @returns {Promise<{available_usdc: number, pending_usdc: number, paid_usdc: number, payouts: Array}>}
+   */
+  async getMyBalance(limit) {
+    return this.http.get(`/agent/${encodeURIComponent(this.agentId)}/balance`, {
+      params: { limit },
+    });
+  }
+
+  /**
+   * 申请提现到已登记的钱包（服务端排队发送，用 getMyBalance 查看状态）
+   * @param {number} [amountUsdc] - 省略时提取全部可用余额
+   * @returns {Promise<{payout: Object, balance: Object}>}
+   */
+  async requestPayout(amountUsdc) {
+    return this.http.post(`/agent/${encodeURIComponent(this.agentId)}/payouts`, {
+      amount_usdc: amountUsdc,
+    });
+  }
+
+  // ─────────────────────────────────────────
+  // 奖池抽奖
+  // ─────────────────────────────────────────
+
+  /**
+   * 获取奖池余额与当期抽奖（commitment）
+   * @returns {Promise<{pool_usdc: number, current_draw: Object|null, recent_draws: Array}>}
+   */
+  async getLoot() {
+    return this.http.get('/loot');
+  }
+
+  /**
+   * 独立复核一期已开奖的抽奖：用公开的 seed 与账本重算随机数、权重与中奖者
+   * @param {string} drawId
+   * @returns {Promise<{ok: boolean, reason?: string, draw: Object}>}
+   */
+  async verifyLootDraw(drawId) {
+    const draw = await this.http.get(`/loot/draws/${encodeURIComponent(drawId)}`);
+    if (!draw.seed) return { ok: false, reason: '尚未开奖（seed 未公布）', draw };
+
+    const rows = [];
+    let cursor = 0;
+    while (cursor !== null) {
+      const page = await this.http.get('/ledger', { params: { to: draw.closes_at, cursor, limit: 1000 } });
+      rows.push(...page.rows);
+      cursor = page.next_cursor;
     }
+    return { ...loot.verifyDraw(draw, rows), draw };
+  }
+
+  /**
+   * 中奖后在 claim_by 之前领取奖金（发往已登记的钱包），服务端生成金库 distributeLoot 指令
+   * @param {string} drawId
+   */
+  async claimLoot(drawId) {
+    return this.http.post(`/loot/draws/${encodeURIComponent(drawId)}/claim`);
+  }
+
+  // ─────────────────────────────────────────
+  // 联盟
+  // ─────────────────────────────────────────
+
+  /**
+   * 创建联盟（自己为创始人）
+   * 成员被覆盖所得返利中 1 − revenueSplit 的部分进入联盟金库；默认禁止成员互相抢占像素
+   * @param {string} name
+   * @param {Object} [opts]
+   * @param {string} [opts.strategy]       - 联盟策略描述，如 "defend_center"
+   * @param {number} [opts.maxMembers=5]
+   * @param {number} [opts.revenueSplit=0.8] - 成员保留的返利比例
+   * @param {boolean} [opts.friendlyFire=false] - 是否允许成员互相抢占
+   * @returns {Promise<{alliance: Object, treasury_usdc: number}>} alliance.invite_code 可分享给队友
+   */
+  async createAlliance(name, { strategy, maxMembers, revenueSplit, friendlyFire } = {}) {
+    const data = await this.http.post('/alliances', {
+      name,
+      strategy,
+      max_members: maxMembers,
+      revenue_split: revenueSplit,
+      friendly_fire: friendlyFire,
+    });
+    this._setAlliance(data.alliance);
+    return data;
+  }
+
+  /**
+   * 邀请 agent 加入（仅创始人，且需已 registerWallet），被邀请者加入时无需邀请码
+   * @param {string} allianceId
+   * @param {string} agentId
+   */
+  async inviteToAlliance(allianceId, agentId) {
+    return this.http.post(`/alliances/${encodeURIComponent(allianceId)}/invites`, { agent_id: agentId });
+  }
+
+  /**
+   * 加入联盟（已被邀请时可省略邀请码）
+   * @param {string} allianceId
+   * @param {string} [inviteCode]
+   */
+  async joinAlliance(allianceId, inviteCode) {
+    const alliance = await this.http.post(`/alliances/${encodeURIComponent(allianceId)}/join`, {
+      invite_code: inviteCode,
+    });
+    this._setAlliance(alliance);
+    return alliance;
+  }
+
+  /**
+   * 退出当前联盟（创始人退出时由最早加入的成员接任，最后一人退出即解散）
+   */
+  async leaveAlliance() {
+    if (!this.allianceId) throw new Error('[PixelWarAgent] 尚未加入联盟');
+    const alliance = await this.http.post(`/alliances/${encodeURIComponent(this.allianceId)}/leave`);
+    this._setAlliance(null);
+    return alliance;
+  }
+
+  /**
+   * 获取联盟详情（成员、金库、最近分配）；查询自己的联盟时同步盟友列表
+   * @param {string} [allianceId] - 默认为自己的联盟
+   */
+  async getAlliance(allianceId = this.allianceId) {
+    const alliance = await this.http.get(`/alliances/${encodeURIComponent(allianceId)}`);
+    if (alliance.members.some((m) => m.agent_id === this.agentId)) this._setAlliance(alliance);
+    return alliance;
+  }
+
+  /**
+   * 联盟领土统计：成员持有像素数、价值、画布占比、最大连通领地、边界与成员明细
+   * @param {string} [allianceId] - 默认为自己的联盟
+   * @returns {Promise<{pixels_held: number, territory_value_usdc: number, canvas_share_pct: number,
+   *   largest_territory: number, bounds: Object|null, by_member: Array, treasury_usdc: number}>}
+   */
+  async getAllianceTerritory(allianceId = this.allianceId) {
+    return this.http.get(`/alliances/${encodeURIComponent(allianceId)}/territory`);
+  }
+
+  /**
+   * 把联盟金库分配给成员（仅创始人，且需已 registerWallet），记入各成员余额，可用 requestPayout 提现
+   * @param {Object} [opts]
+   * @param {number} [opts.amountUsdc] - 省略时分配全部金库
+   * @param {'equal'|'pixels'} [opts.split='equal'] - 平分 / 按持有像素数
+   */
+  async distributeAllianceTreasury({ amountUsdc, split } = {}) {
+    return this.http.post(`/alliances/${encodeURIComponent(this.allianceId)}/treasury/distribute`, {
+      amount_usdc: amountUsdc,
+      split,
+    });
+  }
+
+  // ─────────────────────────────────────────
+  // 像素挂单市场
+  // ─────────────────────────────────────────
+
+  /**
+   * 挂出自己持有的像素（单个 {x, y} 或矩形 {x0, y0, x1, y1}），按 priceUsdc 逐个出售
+   * 成交时卖方得到 priceUsdc × (1 − 手续费)，计入余额
+   * 需先 registerWallet（挂单无需付款，只有钱包签名签发的 token 才能挂单）
+   * @param {Object} target - { x, y } 或 { x0, y0, x1, y1 }
+   * @param {number} priceUsdc - 每个像素的要价
+   * @param {Object} [opts]
+   * @param {number} [opts.expiresInSeconds=86400]
+   * @returns {Promise<{order: Object}>}
+   */
+  async listPixels(target, priceUsdc, { expiresInSeconds } = {}) {
+    return this.http.post('/market/orders', {
+      side: 'sell',
+      ...target,
+      price_usdc: priceUsdc,
+      expires_in_seconds: expiresInSeconds,
+    });
+  }
+
+  /**
+   * 限价买单：在 target 范围内以不高于 limitUsdc 的价格买入 quantity 个像素
+   * 有挂单或强制占领价格 ≤ 限价时自动成交，未用完的预付款在订单结束时退回余额
+   * 不带 payment 时返回 402 报价（accepts，金额 = 限价 × 数量），付款后带上 X-PAYMENT 再调用一次
+   * @param {Object} target - { x, y } 或 { x0, y0, x1, y1 }
+   * @param {number} limitUsdc
+   * @param {Object} [opts]
+   * @param {number} [opts.quantity]  - 默认为范围内全部像素
+   * @param {string} [opts.color]     - 成交后涂的颜色
+   * @param {number} [opts.expiresInSeconds=86400]
+   * @param {string} [opts.payment]   - X-PAYMENT 头
+   * @param {string} [opts.quoteId]   - 402 报价中的 quote_id
+   * @returns {Promise<{order: Object} | {x402Version: number, accepts: Array}>}
+   */
+  async placeBid(target, limitUsdc, { quantity, color = this._agentColor(), expiresInSeconds, payment, quoteId } = {}) {
+    return this._paidPost('/market/orders', {
+      side: 'buy',
+      ...target,
+      price_usdc: limitUsdc,
+      quantity,
+      color,
+      expires_in_seconds: expiresInSeconds,
+    }, { payment, quoteId });
+  }
+
+  /**
+   * 按挂单价买下挂单中的一个像素（付款流程同 placeBid）
+   * @param {string} orderId
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} [opts]
+   * @param {string} [opts.color]
+   * @param {string} [opts.payment]
+   * @param {string} [opts.quoteId]
+   */
+  async buyListing(orderId, x, y, { color = this._agentColor(), payment, quoteId } = {}) {
+    return this._paidPost(`/market/orders/${encodeURIComponent(orderId)}/fill`, { x, y, color }, { payment, quoteId });
+  }
+
+  /**
+   * 撤单（买单未用完的预付款退回余额；需先 registerWallet）
+   * @param {string} orderId
+   */
+  async cancelOrder(orderId) {
+    return this.http.delete(`/market/orders/${encodeURIComponent(orderId)}`);
+  }
+
+  /**
+   * 查询订单（默认自己的未成交订单）
+   * @param {Object} [filters]
+   * @param {'buy'|'sell'} [filters.side]
+   * @param {string} [filters.status='open'] - open | filled | cancelled | expired | void | all
+   * @param {string} [filters.agentId]
+   */
+  async getOrders({ side, status, agentId = this.agentId, page, limit } = {}) {
+    return this.http.get('/market/orders', { params: { side, status, agent_id: agentId, page, limit } });
+  }
+
+  /**
+   * 订单簿：区域内按价格聚合的卖单 / 买单；单个像素时附带强制占领价
+   * @param {Object} [region] - { x, y } 或 { x0, y0, x1, y1 }，默认全画布
+   * @returns {Promise<{best_ask: number|null, best_bid: number|null, asks: Array, bids: Array, forced_price?: number}>}
+   */
+  async getOrderBook(region = {}) {
+    return this.http.get('/market/book', { params: region });
   }
 
   // ─────────────────────────────────────────
   // 内部工具
   // ─────────────────────────────────────────
 
+  _setAlliance(alliance) {
+    this.allianceId = alliance ? alliance.id : null;
+    this.allies = new Set(
+      alliance ? alliance.members.map((m) => m.agent_id).filter((id) => id !== this.agentId) : []
+    );
+  }
+
+  /**
+   * x402 付款的 POST：402 不当作错误，原样返回报价
+   */
+  async _paidPost(path, body, { payment, quoteId } = {}) {
+    const headers = {};
+    if (payment) headers['X-PAYMENT'] = payment;
+    if (quoteId) headers['X-Quote-Id'] = quoteId;
+    return this.http.post(path, body, {
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 402,
+    });
+  }
+
   _randomColor() {
     const h = Math.floor(Math.random() * 360);
     return `hsl(${h},70%,50%)`;
@@ -156,9 +156,13 @@ function generateChallenge(ttlMs = 5000) {
  * 验证答案
  * @param {string} challenge_id
  * @param {string|number} answer
- * @returns {{ valid: boolean, token: string|null, reason?: string }}
+ * @param {object} [opts]
+ * @param {(info: { challenge_id: string, type: string }) => string} [opts.issueToken]
+ *   服务端传入的签发函数（HMAC 签名 + 过期时间，见 backend/lib/tokens.js）；
+ *   不传时返回随机不透明 token，只用于本地演示，不可被校验
+ * @returns {{ valid: boolean, token: string|null, type?: string, reason?: string }}
  */
-function verifyAnswer(challenge_id, answer) {
+function verifyAnswer(challenge_id, answer, { issueToken = _issueToken } = {}) {
   const record = _store.get(challenge_id);
 
   if (!record) {
@@ -177,11 +181,11 @@ function verifyAnswer(challenge_id, answer) {
     return { valid: false, token: null, reason: 'wrong_answer' };
   }
 
-  // 验证通过 → 签发 token（生产中用 JWT）
+  // 验证通过 → 签发 token
   _store.delete(challenge_id);
-  const token = _issueToken(challenge_id, record.type);
+  const token = issueToken({ challenge_id, type: record.type });
 
-  return { valid: true, token, reason: 'ok' };
+  return { valid: true, token, type: record.type, reason: 'ok' };
 }
 
 /**
@@ -257,10 +261,9 @@ function _randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-function _issueToken(challengeId, type) {
-  const payload = `${challengeId}:${type}:${Date.now()}`;
-  const sig = crypto.createHash('sha256').update(payload + '_pixelwar_secret').digest('hex').slice(0, 16);
-  return Buffer.from(`${payload}:${sig}`).toString('base64');
+/** 默认签发：随机不透明 token（无签名，服务端不会接受） */
+function _issueToken() {
+  return crypto.randomBytes(24).toString('base64url');
 }
 
 module.exports = { generateChallenge, verifyAnswer, solveChallenge };
@@ -75,20 +75,23 @@ function injectMockMode(agent) {
       return { pixels: mockPixels(limit), total: 10000, page: config.params?.page || 1 };
     }
     if (url.includes('/portfolio')) {
-      const total = ownedPixels.reduce((s, p) => s + p.cost, 0);
+      const spent = ownedPixels.reduce((s, p) => s + p.cost, 0);
       return {
         pixels: ownedPixels,
-        totalInvested: total,
-        expectedReturn: +(total * 1.4).toFixed(2),
-        roi: ownedPixels.length ? 40 : 0,
-        budgetRemaining: agent.budget - agent.spent,
+        total_spent_usdc: spent,
+        rebates_earned_usdc: 0,
+        realized_pnl_usdc: 0,
+        unrealized_pnl_usdc: +(-spent * 0.6).toFixed(2),
+        replacement_cost_usdc: +(spent * 1.3).toFixed(2),
       };
     }
     if (url.includes('/cheapest')) {
-      return mockPixels(config.params?.count || 10).filter((p) => !p.owner);
+      const pixels = mockPixels(config.params?.count || 10).filter((p) => !p.owner);
+      return { pixels, count: pixels.length };
     }
     if (url.includes('/arbitrage')) {
-      return mockPixels(10).map((p) => ({ ...p, score: Math.random() * 3 }));
+      const opportunities = mockPixels(10).map((p) => ({ ...p, arbitrage_score: Math.random() * 3 }));
+      return { opportunities, count: opportunities.length };
     }
     if (url.includes('/health')) return { ok: true };
     return {};
@@ -205,9 +208,11 @@ async function printPortfolio(agent) {
     const p = await agent.getMyPortfolio();
     console.log(chalk.bold.blue('\n📊 投资组合快照'));
     console.log(`  已占领像素: ${chalk.bold(p.pixels?.length ?? 0)} 个`);
-    console.log(`  总投入:     ${chalk.bold(p.totalInvested)}`);
-    console.log(`  预期回报:   ${chalk.bold(p.expectedReturn)}`);
-    console.log(`  ROI:        ${chalk.bold(p.roi + '%')}`);
+    console.log(`  总投入:     ${chalk.bold(p.total_spent_usdc)}`);
+    console.log(`  已收返利:   ${chalk.bold(p.rebates_earned_usdc)}`);
+    console.log(`  已实现盈亏: ${chalk.bold(p.realized_pnl_usdc)}`);
+    console.log(`  未实现盈亏: ${chalk.bold(p.unrealized_pnl_usdc)}`);
+    console.log(`  重置成本:   ${chalk.bold(p.replacement_cost_usdc)}`);
     console.log(`  剩余预算:   ${chalk.bold(p.budgetRemaining)}\n`);
   } catch (e) {
     log.warn('获取组合信息失败: ' + e.message);
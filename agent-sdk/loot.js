@@ -0,0 +1,138 @@
+/**
+ * PixelWar 奖池抽奖 commit-reveal 算法（服务端 backend/lib/loot.js 与 agent 验证共用）
+ *
+ * 每期抽奖：
+ *
+ *   开期     服务端生成随机 seed，公布 commitment = sha256(seed)
+ *   截止     closes_at 之前的账本记录决定资格与权重；截止时未登记钱包的 agent
+ *            不参与（列在开奖结果的 excluded 中，可用 GET /agent/:id 的 registered_at 核对）
+ *   开奖     公布 seed；随机数 = sha256(`${seed}:${entropy}`)，
+ *            entropy 为截止前最后一条账本记录的 tx_hash（没有则为空串），
+ *            服务端在开期时无法预知
+ *   中奖     ticket = 随机数 mod 总权重，按 agent_id 升序累加权重，落入的区间即中奖者
+ *
+ * 任何 agent 拿到开奖结果与 `GET /ledger?to=<closes_at>` 的记录即可用 verifyDraw 独立复核。
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const WEIGHTINGS = ['holdings', 'activity'];
+
+function _sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * 新的随机 seed（32 字节 hex）
+ */
+function newSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * seed 的承诺值（开期时公布）
+ * @param {string} seed
+ */
+function commitmentOf(seed) {
+  return _sha256(seed);
+}
+
+/**
+ * 截止前最后一条账本记录的 tx_hash
+ * @param {Array<Object>} rows - closes_at 之前的账本记录（按时间顺序）
+ */
+function entropyOf(rows) {
+  return rows.length ? String(rows[rows.length - 1].tx_hash) : '';
+}
+
+/**
+ * 开奖随机数（64 位 hex）
+ */
+function drawRandomness(seed, entropy) {
+  return _sha256(`${seed}:${entropy}`);
+}
+
+/**
+ * 按账本计算抽奖资格与权重
+ *
+ *   holdings — 截止时持有的像素数（重放截止前全部记录）
+ *   activity — 本期 [opened_at, closes_at) 内作为买方的占领次数
+ *
+ * @param {Array<Object>} rows - closes_at 之前的全部账本记录（从第 0 条开始）
+ * @param {Object} opts
+ * @param {'holdings'|'activity'} opts.weighting
+ * @param {number} opts.opened_at - Unix 毫秒
+ * @param {string[]} [opts.excluded] - 不参与的 agent（截止时未登记钱包）
+ * @returns {Array<{agent_id: string, weight: number}>} 按 agent_id 升序，权重均 > 0
+ */
+function drawWeights(rows, { weighting, opened_at, excluded = [] }) {
+  const weights = new Map();
+  if (weighting === 'holdings') {
+    const owners = new Map();
+    for (const tx of rows) owners.set(`${tx.x}:${tx.y}`, tx.buyer);
+    for (const owner of owners.values()) weights.set(owner, (weights.get(owner) || 0) + 1);
+  } else if (weighting === 'activity') {
+    for (const tx of rows) {
+      if (tx.timestamp >= opened_at) weights.set(tx.buyer, (weights.get(tx.buyer) || 0) + 1);
+    }
+  } else {
+    throw new Error(`Unknown loot weighting "${weighting}" (expected ${WEIGHTINGS.join(' | ')})`);
+  }
+  for (const agentId of excluded) weights.delete(agentId);
+  return Array.from(weights, ([agent_id, weight]) => ({ agent_id, weight }))
+    .sort((a, b) => (a.agent_id < b.agent_id ? -1 : a.agent_id > b.agent_id ? 1 : 0));
+}
+
+/**
+ * 按随机数抽出中奖者
+ * @param {Array<{agent_id: string, weight: number}>} entries - drawWeights 的结果
+ * @param {string} randomness - drawRandomness 的结果
+ * @returns {{agent_id: string, ticket: number, total_weight: number} | null} 无人有资格时为 null
+ */
+function pickWinner(entries, randomness) {
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  if (total === 0) return null;
+  const ticket = Number(BigInt('0x' + randomness) % BigInt(total));
+  let cumulative = 0;
+  for (const entry of entries) {
+    cumulative += entry.weight;
+    if (ticket < cumulative) return { agent_id: entry.agent_id, ticket, total_weight: total };
+  }
+  return null; // 不可达
+}
+
+/**
+ * 独立复核一期已开奖的抽奖
+ * @param {Object} draw - `GET /loot/draws/:id` 的结果
+ * @param {Array<Object>} rows - closes_at 之前的全部账本记录
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function verifyDraw(draw, rows) {
+  if (!draw.seed) return { ok: false, reason: '尚未开奖（seed 未公布）' };
+  if (commitmentOf(draw.seed) !== draw.commitment) return { ok: false, reason: 'seed 与 commitment 不符' };
+
+  const entropy = entropyOf(rows);
+  if (entropy !== draw.entropy) return { ok: false, reason: 'entropy 与截止前最后一条账本记录不符' };
+  const randomness = drawRandomness(draw.seed, entropy);
+  if (randomness !== draw.randomness) return { ok: false, reason: '随机数不符' };
+
+  const entries = drawWeights(rows, draw);
+  if (JSON.stringify(entries) !== JSON.stringify(draw.entries)) return { ok: false, reason: '资格 / 权重与账本不符' };
+
+  const winner = pickWinner(entries, randomness);
+  if ((winner ? winner.agent_id : null) !== draw.winner) return { ok: false, reason: '中奖者不符' };
+  return { ok: true };
+}
+
+module.exports = {
+  WEIGHTINGS,
+  newSeed,
+  commitmentOf,
+  entropyOf,
+  drawRandomness,
+  drawWeights,
+  pickWinner,
+  verifyDraw,
+};
@@ -0,0 +1,291 @@
+/**
+ * PixelWar x402 v1 编解码（服务端 backend/server.js 与 skill/x402_client.js 共用）
+ *
+ * 线格式（与第三方 x402 客户端兼容）：
+ *
+ *   402 响应体           { x402Version: 1, error, accepts: [PaymentRequirements] }
+ *   请求头 X-PAYMENT      base64(JSON { x402Version: 1, scheme, network, payload })
+ *   响应头 X-PAYMENT-RESPONSE
+ *                         base64(JSON { success, transaction, network, payer, errorReason? })
+ *
+ * 金额一律为字符串形式的代币最小单位（USDC 6 位小数）。
+ */
+
+'use strict';
+
+const X402_VERSION = 1;
+
+const HEADER_PAYMENT          = 'X-PAYMENT';
+const HEADER_PAYMENT_RESPONSE = 'X-PAYMENT-RESPONSE';
+
+const USDC_DECIMALS = 6;
+
+/**
+ * 支持的网络（x402 网络名 → 链信息）
+ * usdcName / usdcVersion 为 USDC 合约的 EIP-712 domain（EIP-3009 签名用），
+ * 按 x402 约定放在 PaymentRequirements.extra.name / extra.version 中
+ */
+const NETWORKS = {
+  'base': {
+    chainId: 8453,
+    usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    usdcName: 'USD Coin',
+    usdcVersion: '2',
+  },
+  'base-sepolia': {
+    chainId: 84532,
+    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    usdcName: 'USDC',
+    usdcVersion: '2',
+  },
+};
+
+// 历史配置里出现过的别名
+const NETWORK_ALIASES = { 'base-mainnet': 'base' };
+
+// ─────────────────────────────────────────────
+// 基础工具
+// ─────────────────────────────────────────────
+
+/**
+ * 规范化网络名（'base-mainnet' → 'base'），未知网络原样返回
+ * @param {string} network
+ */
+function normalizeNetwork(network) {
+  return NETWORK_ALIASES[network] || network;
+}
+
+/**
+ * @param {string} network
+ * @returns {{ chainId: number, usdc: string, usdcName: string, usdcVersion: string } | null}
+ */
+function networkInfo(network) {
+  return NETWORKS[normalizeNetwork(network)] || null;
+}
+
+/**
+ * USDC 金额 → 最小单位字符串（0.0013 → "1300"）
+ * @param {number|string} amount
+ */
+function toBaseUnits(amount, decimals = USDC_DECIMALS) {
+  return String(Math.round(parseFloat(amount) * 10 ** decimals));
+}
+
+/**
+ * 最小单位 → USDC 金额（"1300" → 0.0013）
+ * @param {string|number|bigint} units
+ */
+function fromBaseUnits(units, decimals = USDC_DECIMALS) {
+  return Number(BigInt(units)) / 10 ** decimals;
+}
+
+function _encodeBase64Json(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64');
+}
+
+function _decodeBase64Json(b64) {
+  try {
+    const text = Buffer.from(String(b64).trim(), 'base64').toString('utf8');
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────
+// 402 Payment Required
+// ─────────────────────────────────────────────
+
+/**
+ * 构造一条 PaymentRequirements
+ * @param {object} opts
+ * @param {string} opts.network
+ * @param {string} opts.maxAmountRequired  - 最小单位字符串
+ * @param {string} opts.resource
+ * @param {string} opts.payTo
+ * @param {string} [opts.scheme='exact']
+ * @param {string} [opts.description='']
+ * @param {string} [opts.mimeType='application/json']
+ * @param {number} [opts.maxTimeoutSeconds=300]
+ * @param {string} [opts.asset]            - 默认取该网络的 USDC 合约
+ * @param {object} [opts.extra]
+ */
+function buildPaymentRequirements({
+  network,
+  maxAmountRequired,
+  resource,
+  payTo,
+  scheme = 'exact',
+  description = '',
+  mimeType = 'application/json',
+  maxTimeoutSeconds = 300,
+  asset,
+  extra = {},
+}) {
+  const info = networkInfo(network);
+  return {
+    scheme,
+    network: normalizeNetwork(network),
+    maxAmountRequired: String(maxAmountRequired),
+    resource,
+    description,
+    mimeType,
+    payTo,
+    maxTimeoutSeconds,
+    asset: asset || (info ? info.usdc : undefined),
+    extra,
+  };
+}
+
+/**
+ * 构造 402 响应体
+ * @param {Array<object>} accepts
+ * @param {string} [error='Payment Required']
+ */
+function encodePaymentRequired(accepts, error = 'Payment Required') {
+  return { x402Version: X402_VERSION, error, accepts };
+}
+
+/**
+ * 解析 402 响应体
+ * @param {object} body
+ * @returns {{ x402Version: number, error: string, accepts: Array<object> } | null}
+ */
+function decodePaymentRequired(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.accepts)) return null;
+  const accepts = body.accepts.filter((r) =>
+    r && typeof r.scheme === 'string' && typeof r.network === 'string' &&
+    r.maxAmountRequired !== undefined && typeof r.payTo === 'string'
+  );
+  if (!accepts.length) return null;
+  return { x402Version: body.x402Version || X402_VERSION, error: body.error || '', accepts };
+}
+
+/**
+ * 从 accepts 中挑选客户端支持的一条
+ * @param {Array<object>} accepts
+ * @param {{ schemes?: string[], networks?: string[] }} [supported]
+ */
+function selectPaymentRequirements(accepts, { schemes = ['exact'], networks } = {}) {
+  return (accepts || []).find((r) =>
+    schemes.includes(r.scheme) &&
+    (!networks || networks.map(normalizeNetwork).includes(normalizeNetwork(r.network)))
+  ) || null;
+}
+
+// ─────────────────────────────────────────────
+// X-PAYMENT
+// ─────────────────────────────────────────────
+
+/**
+ * 编码 X-PAYMENT 请求头
+ *
+ * exact scheme 的 payload 两种形式：
+ *   { txHash }                               — 已上链的 USDC transfer
+ *   { signature, authorization: {...} }      — EIP-3009 签名授权，由服务端代为上链
+ *
+ * @param {{ scheme: string, network: string, payload: object }} payment
+ * @returns {string} base64
+ */
+function encodePaymentHeader({ scheme, network, payload }) {
+  return _encodeBase64Json({
+    x402Version: X402_VERSION,
+    scheme,
+    network: normalizeNetwork(network),
+    payload,
+  });
+}
+
+/**
+ * 解码 X-PAYMENT 请求头
+ *
+ * 支持：
+ *   - 标准 base64 JSON { x402Version, scheme, network, payload }
+ *   - 旧版明文 JSON { tx_hash | txHash | transaction_hash, ... }
+ *   - 旧版纯 tx hash 字符串
+ * 旧格式统一转换为 scheme 'exact'、payload { txHash }，并标记 legacy: true。
+ *
+ * @param {string} header
+ * @returns {{ x402Version: number, scheme: string, network: string|null, payload: object, legacy: boolean } | null}
+ */
+function decodePaymentHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const decoded = _decodeBase64Json(header);
+  if (decoded && decoded.payload && typeof decoded.payload === 'object') {
+    return {
+      x402Version: decoded.x402Version || X402_VERSION,
+      scheme: decoded.scheme,
+      network: decoded.network ? normalizeNetwork(decoded.network) : null,
+      payload: decoded.payload,
+      legacy: false,
+    };
+  }
+
+  // 旧版：明文 JSON 或纯 hash
+  let raw;
+  try {
+    raw = JSON.parse(header);
+  } catch {
+    raw = null;
+  }
+  const txHash = raw && typeof raw === 'object'
+    ? raw.tx_hash || raw.txHash || raw.transaction_hash || null
+    : header.trim();
+  if (!txHash) return null;
+
+  return {
+    x402Version: X402_VERSION,
+    scheme: 'exact',
+    network: null,
+    payload: { txHash, ...(raw && raw.quote_id ? { quote_id: raw.quote_id } : {}) },
+    legacy: true,
+  };
+}
+
+// ─────────────────────────────────────────────
+// X-PAYMENT-RESPONSE
+// ─────────────────────────────────────────────
+
+/**
+ * 编码结算结果响应头
+ * @param {{ success: boolean, transaction: string, network: string, payer?: string|null, errorReason?: string }} settlement
+ */
+function encodePaymentResponse({ success, transaction, network, payer = null, errorReason }) {
+  return _encodeBase64Json({
+    success,
+    transaction,
+    network: normalizeNetwork(network),
+    payer,
+    ...(errorReason ? { errorReason } : {}),
+  });
+}
+
+/**
+ * 解码结算结果响应头
+ * @param {string} header
+ */
+function decodePaymentResponse(header) {
+  return header ? _decodeBase64Json(header) : null;
+}
+
+module.exports = {
+  X402_VERSION,
+  HEADER_PAYMENT,
+  HEADER_PAYMENT_RESPONSE,
+  USDC_DECIMALS,
+  NETWORKS,
+  normalizeNetwork,
+  networkInfo,
+  toBaseUnits,
+  fromBaseUnits,
+  buildPaymentRequirements,
+  encodePaymentRequired,
+  decodePaymentRequired,
+  selectPaymentRequirements,
+  encodePaymentHeader,
+  decodePaymentHeader,
+  encodePaymentResponse,
+  decodePaymentResponse,
+};
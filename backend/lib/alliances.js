@@ -0,0 +1,532 @@
+/**
+ * PixelWar AI - Alliances (/alliances)
+ *
+ * Agents that play as a team. An alliance has a founder, a member cap, an
+ * invite code and a revenue split:
+ *
+ *   revenue_split — share of a member's rebates the member keeps; the rest
+ *                   goes to the alliance treasury (booked from the ledger
+ *                   for rows sold while the seller was a member)
+ *   friendly_fire — false (default): members cannot claim each other's
+ *                   pixels, so cooperating bots stop outbidding each other
+ *
+ * Membership: the founder invites agent_ids (or shares the invite code),
+ * agents join and leave; an agent is in at most one alliance at a time.
+ * When the founder leaves, the longest-standing member takes over; when
+ * the last member leaves, the alliance is disbanded and what is left in
+ * its treasury is credited to that member.
+ *
+ * The founder distributes the treasury to members as balance credits
+ * (lib/balances.js). Every member's token acts as `alliance_member`.
+ * Founder actions (invites, removals, distributions) need proof of the
+ * founder's wallet, not just a token naming it: the founder must be a
+ * registered agent, whose tokens are bound to its wallet (lib/auth.js).
+ *
+ * Writes go through the store as `alliance.*` events; every write is also
+ * pushed to subscribers (the alliance channel of GET /pixels/stream).
+ */
+
+const crypto = require('crypto');
+const { largestTerritories } = require('./leaderboard');
+
+const SPLITS = ['equal', 'pixels'];
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * "CenterGuard" → "CG-7KQ2MZ"
+ */
+function newInviteCode(name) {
+  const initials = (name.match(/[A-Z]/g) || name.match(/[a-z0-9]/gi) || ['A', 'L']).slice(0, 3).join('').toUpperCase();
+  const random = Array.from(crypto.randomBytes(6), b => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+  return `${initials}-${random}`;
+}
+
+/**
+ * An alliance as served by the API. The invite code is only shown to its
+ * founder.
+ */
+function publicAlliance(alliance, viewer = null) {
+  const { invite_code, invites, former: _former, distributions: _distributions, ...rest } = alliance;
+  return {
+    ...rest,
+    ...(viewer === alliance.founder ? { invite_code, invites } : {}),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store
+ * @param {object} opts.state              - store state view (alliances, ledger, canvas, credits)
+ * @param {number} opts.canvasSize
+ * @param {number} [opts.maxMembers=20]    - highest max_members an alliance may set
+ * @param {(agentId: string) => boolean} opts.walletProven - is the agent's token bound to a registered wallet?
+ */
+function createAlliances({ store, state, canvasSize, maxMembers = 20, walletProven }) {
+  const memberOf = new Map();   // agent_id → alliance id (current members)
+  const periods = new Map();    // agent_id → [{ alliance_id, from, to, split }]
+  const listeners = new Set();
+
+  function reindex() {
+    memberOf.clear();
+    periods.clear();
+    const addPeriod = (agentId, period) => {
+      if (!periods.has(agentId)) periods.set(agentId, []);
+      periods.get(agentId).push(period);
+    };
+    for (const alliance of state.alliances.values()) {
+      const split = alliance.revenue_split;
+      for (const m of alliance.members) {
+        memberOf.set(m.agent_id, alliance.id);
+        addPeriod(m.agent_id, { alliance_id: alliance.id, from: m.joined_at, to: null, split });
+      }
+      for (const m of alliance.former) {
+        addPeriod(m.agent_id, { alliance_id: alliance.id, from: m.joined_at, to: m.left_at, split });
+      }
+    }
+  }
+  reindex();
+
+  // ── Treasury: the alliance's share of members' rebates, booked from the ledger ──
+  const tithed = new Map();    // agent_id → Σ paid to alliances
+  const accrued = new Map();   // alliance id → Σ received
+  let indexed = 0;
+
+  // Rows are booked after the fact, so membership is looked up at the
+  // row's time: a member who has left since still owes for rows sold before.
+  // Market listing sales carry `sale_proceeds`, not a rebate — never tithed.
+  function sync() {
+    for (; indexed < state.ledger.length; indexed++) {
+      const tx = state.ledger[indexed];
+      if (!tx.seller || !(tx.rebate_to_previous_owner > 0)) continue;
+      const period = (periods.get(tx.seller) || [])
+        .find(p => p.from <= tx.timestamp && (p.to === null || tx.timestamp < p.to));
+      if (!period || period.split >= 1) continue;
+      const share = tx.rebate_to_previous_owner * (1 - period.split);
+      tithed.set(tx.seller, (tithed.get(tx.seller) || 0) + share);
+      accrued.set(period.alliance_id, (accrued.get(period.alliance_id) || 0) + share);
+    }
+  }
+
+  /** What an agent's rebates paid into alliance treasuries (USDC). */
+  function tithes(agentId) {
+    sync();
+    return round6(tithed.get(agentId) || 0);
+  }
+
+  /**
+   * @returns {{ accrued_usdc, distributed_usdc, treasury_usdc }}
+   */
+  function treasury(alliance) {
+    sync();
+    const received = accrued.get(alliance.id) || 0;
+    const distributed = alliance.distributions.reduce((sum, d) => sum + d.amount_usdc, 0);
+    return {
+      accrued_usdc: round6(received),
+      distributed_usdc: round6(distributed),
+      treasury_usdc: Math.max(0, round6(received - distributed)),
+    };
+  }
+
+  // ── Writes ──
+
+  function emit(event) {
+    for (const listener of listeners) listener(event);
+  }
+
+  function commit(event, notice) {
+    const seq = store.commit(event);
+    reindex();
+    emit({ seq, ...notice, timestamp: Date.now() });
+    return seq;
+  }
+
+  function update(alliance, fields, notice) {
+    commit({ type: 'alliance.update', id: alliance.id, ...fields, updated_at: Date.now() }, notice);
+    return state.alliances.get(alliance.id);
+  }
+
+  function fail(status, error, code) {
+    return { ok: false, status, error, ...(code ? { code } : {}) };
+  }
+
+  function get(id) {
+    return state.alliances.get(id) || null;
+  }
+
+  /** The alliance an agent currently belongs to, or null. */
+  function allianceOf(agentId) {
+    const id = agentId ? memberOf.get(agentId) : undefined;
+    return id ? state.alliances.get(id) : null;
+  }
+
+  function active(id) {
+    const alliance = get(id);
+    if (!alliance) return fail(404, 'Unknown alliance');
+    if (alliance.status !== 'active') return fail(410, 'Alliance was disbanded', 'alliance_disbanded');
+    return { ok: true, alliance };
+  }
+
+  function requireFounder(alliance, agentId) {
+    if (alliance.founder !== agentId) return fail(403, `Only the founder ("${alliance.founder}") can do this`, 'not_founder');
+    if (!walletProven(agentId)) {
+      return fail(403, `The founder must be registered to a wallet to manage the alliance — POST /agent/register first`, 'registration_required');
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} founder - agent_id
+   * @param {object} opts
+   * @param {string} opts.name
+   * @param {string} [opts.strategy]
+   * @param {number} [opts.max_members=5]
+   * @param {number} [opts.revenue_split=0.8]
+   * @param {boolean} [opts.friendly_fire=false]
+   * @returns {{ ok: true, alliance } | { ok: false, status, error, code? }}
+   */
+  function create(founder, { name, strategy = null, max_members = 5, revenue_split = 0.8, friendly_fire = false }) {
+    if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 32) {
+      return fail(400, 'name must be 2–32 characters');
+    }
+    if (strategy !== null && (typeof strategy !== 'string' || strategy.length > 64)) {
+      return fail(400, 'strategy must be a string of at most 64 characters');
+    }
+    if (!Number.isInteger(max_members) || max_members < 2 || max_members > maxMembers) {
+      return fail(400, `max_members must be an integer 2–${maxMembers}`);
+    }
+    if (typeof revenue_split !== 'number' || !(revenue_split >= 0 && revenue_split <= 1)) {
+      return fail(400, 'revenue_split must be a number 0–1 (share of rebates members keep)');
+    }
+    if (typeof friendly_fire !== 'boolean') return fail(400, 'friendly_fire must be a boolean');
+
+    const current = allianceOf(founder);
+    if (current) return fail(409, `"${founder}" is already in alliance ${current.id}`, 'already_in_alliance');
+    const trimmed = name.trim();
+    for (const other of state.alliances.values()) {
+      if (other.status === 'active' && other.name.toLowerCase() === trimmed.toLowerCase()) {
+        return fail(409, `An alliance named "${other.name}" already exists`, 'name_taken');
+      }
+    }
+
+    const now = Date.now();
+    const alliance = {
+      id: `alli_${state.alliances.size + 1}`,
+      name: trimmed,
+      founder,
+      strategy,
+      max_members,
+      revenue_split,
+      friendly_fire,
+      invite_code: newInviteCode(trimmed),
+      status: 'active',
+      members: [{ agent_id: founder, role: 'founder', joined_at: now }],
+      invites: [],
+      former: [],
+      distributions: [],
+      created_at: now,
+      updated_at: now,
+    };
+    commit({ type: 'alliance.create', alliance }, { type: 'created', alliance_id: alliance.id, agent_id: founder });
+    return { ok: true, alliance: state.alliances.get(alliance.id) };
+  }
+
+  /**
+   * Founder invites an agent_id (it can then join without the code).
+   */
+  function invite(id, by, agentId) {
+    const found = active(id);
+    if (!found.ok) return found;
+    const { alliance } = found;
+    const denied = requireFounder(alliance, by);
+    if (denied) return denied;
+    if (alliance.members.some(m => m.agent_id === agentId)) return fail(409, `"${agentId}" is already a member`);
+    if (alliance.invites.some(i => i.agent_id === agentId)) return { ok: true, alliance };
+
+    const invites = [...alliance.invites, { agent_id: agentId, invited_by: by, invited_at: Date.now() }];
+    return { ok: true, alliance: update(alliance, { invites }, { type: 'invited', alliance_id: id, agent_id: agentId }) };
+  }
+
+  /**
+   * Join with an invitation or the invite code.
+   */
+  function join(id, agentId, inviteCode = null) {
+    const found = active(id);
+    if (!found.ok) return found;
+    const { alliance } = found;
+
+    const current = allianceOf(agentId);
+    if (current) {
+      return current.id === id
+        ? fail(409, `"${agentId}" is already a member`)
+        : fail(409, `"${agentId}" is already in alliance ${current.id} — leave it first`, 'already_in_alliance');
+    }
+    const invited = alliance.invites.some(i => i.agent_id === agentId);
+    const codeOk = typeof inviteCode === 'string' && inviteCode.trim().toUpperCase() === alliance.invite_code;
+    if (!invited && !codeOk) return fail(403, 'Not invited — ask the founder for an invite or the invite code', 'not_invited');
+    if (alliance.members.length >= alliance.max_members) {
+      return fail(409, `Alliance is full (${alliance.max_members} members)`, 'alliance_full');
+    }
+
+    const members = [...alliance.members, { agent_id: agentId, role: 'member', joined_at: Date.now() }];
+    const invites = alliance.invites.filter(i => i.agent_id !== agentId);
+    return { ok: true, alliance: update(alliance, { members, invites }, { type: 'joined', alliance_id: id, agent_id: agentId }) };
+  }
+
+  /**
+   * Distribute treasury to members as balance credits.
+   *
+   * @param {string} id
+   * @param {string} by       - founder agent_id
+   * @param {object} [opts]
+   * @param {number} [opts.amount_usdc] - default: the whole treasury
+   * @param {'equal'|'pixels'} [opts.split='equal'] - equal shares, or by pixels held now
+   */
+  function distribute(id, by, { amount_usdc, split = 'equal' } = {}) {
+    const found = active(id);
+    if (!found.ok) return found;
+    const { alliance } = found;
+    const denied = requireFounder(alliance, by);
+    if (denied) return denied;
+    if (!SPLITS.includes(split)) return fail(400, `split must be one of: ${SPLITS.join(', ')}`);
+    return payOut(alliance, by, { amount_usdc, split });
+  }
+
+  function payOut(alliance, by, { amount_usdc, split }) {
+    const { treasury_usdc } = treasury(alliance);
+    const amount = amount_usdc === undefined ? treasury_usdc : amount_usdc;
+    if (typeof amount !== 'number' || !(amount > 0)) return fail(400, 'amount_usdc must be a positive number');
+    if (amount > treasury_usdc) {
+      return fail(409, `Treasury holds ${treasury_usdc} USDC`, 'insufficient_treasury');
+    }
+
+    let weights = alliance.members.map(() => 1);
+    if (split === 'pixels') {
+      const held = heldBy(alliance);
+      weights = alliance.members.map(m => held.get(m.agent_id) || 0);
+      if (weights.every(w => w === 0)) return fail(409, 'No member holds any pixels — use split "equal"');
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const shares = alliance.members
+      .map((m, i) => ({ agent_id: m.agent_id, amount_usdc: Math.floor((amount * weights[i] / total) * 1e6) / 1e6 }))
+      .filter(s => s.amount_usdc > 0);
+    // Rounding dust goes to the first share
+    const dust = round6(amount - shares.reduce((sum, s) => sum + s.amount_usdc, 0));
+    if (shares.length && dust > 0) shares[0].amount_usdc = round6(shares[0].amount_usdc + dust);
+
+    const now = Date.now();
+    const distribution = {
+      id: `ad_${crypto.randomUUID()}`,
+      amount_usdc: round6(amount),
+      split,
+      by,
+      shares,
+      timestamp: now,
+    };
+    const credits = shares.map(s => ({
+      id: `cr_${crypto.randomUUID()}`,
+      agent_id: s.agent_id,
+      amount_usdc: s.amount_usdc,
+      reason: 'alliance_distribution',
+      alliance_id: alliance.id,
+      distribution_id: distribution.id,
+      x: null, y: null,
+      quote_id: null,
+      tx_hash: null,
+      status: 'credited',
+      timestamp: now,
+    }));
+    commit(
+      { type: 'alliance.distribute', id: alliance.id, distribution, credits },
+      { type: 'distributed', alliance_id: alliance.id, amount_usdc: distribution.amount_usdc, shares },
+    );
+    return { ok: true, alliance: state.alliances.get(alliance.id), distribution };
+  }
+
+  /**
+   * Remove a member: itself (`by` = `agentId`) or by the founder.
+   * Kicking rotates the invite code.
+   */
+  function leave(id, agentId, by = agentId) {
+    const found = active(id);
+    if (!found.ok) return found;
+    let { alliance } = found;
+    const member = alliance.members.find(m => m.agent_id === agentId);
+    if (!member) return fail(404, `"${agentId}" is not a member`);
+    const kicked = by !== agentId;
+    if (kicked) {
+      const denied = requireFounder(alliance, by);
+      if (denied) return denied;
+    }
+
+    const remaining = alliance.members.filter(m => m.agent_id !== agentId);
+    if (remaining.length === 0) {
+      // Last one out takes the treasury with it
+      if (treasury(alliance).treasury_usdc > 0) {
+        const paid = payOut(alliance, agentId, { amount_usdc: undefined, split: 'equal' });
+        if (!paid.ok) return paid;
+        alliance = paid.alliance;
+      }
+    }
+
+    const now = Date.now();
+    const fields = {
+      members: remaining,
+      former: [...alliance.former, { agent_id: agentId, joined_at: member.joined_at, left_at: now }],
+    };
+    if (member.role === 'founder' && remaining.length > 0) {
+      // Longest-standing member takes over
+      fields.members = remaining.map((m, i) => (i === 0 ? { ...m, role: 'founder' } : m));
+      fields.founder = remaining[0].agent_id;
+    }
+    if (remaining.length === 0) fields.status = 'disbanded';
+    if (kicked) fields.invite_code = newInviteCode(alliance.name);
+
+    const type = remaining.length === 0 ? 'disbanded' : kicked ? 'removed' : 'left';
+    return { ok: true, alliance: update(alliance, fields, { type, alliance_id: id, agent_id: agentId }) };
+  }
+
+  /**
+   * Alliances, newest first.
+   * @returns {{ total: number, alliances: Array<object> }}
+   */
+  function list({ page, limit, status = 'active' }) {
+    const all = Array.from(state.alliances.values()).filter(a => !status || a.status === status);
+    const start = all.length - 1 - (page - 1) * limit;
+    const alliances = [];
+    for (let i = start; i >= 0 && alliances.length < limit; i--) alliances.push(all[i]);
+    return { total: all.length, alliances };
+  }
+
+  // ── Territory ──
+
+  function heldBy(alliance) {
+    const members = new Set(alliance.members.map(m => m.agent_id));
+    const held = new Map();
+    for (const pixel of state.canvas.values()) {
+      if (members.has(pixel.owner)) held.set(pixel.owner, (held.get(pixel.owner) || 0) + 1);
+    }
+    return held;
+  }
+
+  let territoryCache = { seq: -1, byId: new Map() };
+
+  /**
+   * Territory held by the current members, from the canvas.
+   *
+   *   largest_territory — biggest 4-connected group of member pixels
+   *                       (pixels of different members join up)
+   *   bounds            — bounding box of all member pixels (null if none)
+   */
+  function territory(alliance) {
+    if (territoryCache.seq !== state.seq) territoryCache = { seq: state.seq, byId: new Map() };
+    const cached = territoryCache.byId.get(alliance.id);
+    if (cached) return cached;
+
+    const members = new Map(alliance.members.map(m => [m.agent_id, { agent_id: m.agent_id, role: m.role, pixels_held: 0, territory_value_usdc: 0 }]));
+    const owners = new Map();
+    let value = 0;
+    let bounds = null;
+    for (const [key, pixel] of state.canvas) {
+      const member = members.get(pixel.owner);
+      if (!member) continue;
+      member.pixels_held++;
+      member.territory_value_usdc += pixel.price;
+      value += pixel.price;
+      owners.set(key, alliance.id);
+      const [x, y] = key.split(':').map(Number);
+      if (!bounds) bounds = { x0: x, y0: y, x1: x, y1: y };
+      else {
+        bounds.x0 = Math.min(bounds.x0, x);
+        bounds.y0 = Math.min(bounds.y0, y);
+        bounds.x1 = Math.max(bounds.x1, x);
+        bounds.y1 = Math.max(bounds.y1, y);
+      }
+    }
+
+    const result = {
+      alliance_id: alliance.id,
+      name: alliance.name,
+      seq: state.seq,
+      members: alliance.members.length,
+      pixels_held: owners.size,
+      canvas_share_pct: Math.round((owners.size / (canvasSize * canvasSize)) * 1e6) / 1e4,
+      territory_value_usdc: round6(value),
+      largest_territory: largestTerritories(owners).get(alliance.id) || 0,
+      bounds,
+      by_member: Array.from(members.values())
+        .map(m => ({ ...m, territory_value_usdc: round6(m.territory_value_usdc) }))
+        .sort((a, b) => b.pixels_held - a.pixels_held),
+      ...treasury(alliance),
+    };
+    territoryCache.byId.set(alliance.id, result);
+    return result;
+  }
+
+  // ── Claim rules ──
+
+  /**
+   * The alliance that forbids `buyer` from claiming a pixel held by
+   * `owner` (both members, friendly fire off), or null.
+   */
+  function shields(buyer, owner) {
+    if (!owner || owner === buyer) return null;
+    const alliance = allianceOf(buyer);
+    if (!alliance || alliance.friendly_fire || memberOf.get(owner) !== alliance.id) return null;
+    return alliance;
+  }
+
+  /**
+   * Agents whose pixels `agentId` should not bid on: itself, plus its
+   * allies unless its alliance allows friendly fire.
+   * @returns {Set<string>}
+   */
+  function friendsOf(agentId) {
+    const alliance = allianceOf(agentId);
+    if (!alliance || alliance.friendly_fire) return new Set([agentId]);
+    return new Set([agentId, ...alliance.members.map(m => m.agent_id)]);
+  }
+
+  /**
+   * Middleware (after auth.attachAgent): verified agents that belong to an
+   * alliance act as `alliance_member`; sets `req.agent.alliance_id`.
+   */
+  function attachAlliance(req, _res, next) {
+    const id = req.agent.agent_id ? memberOf.get(req.agent.agent_id) : undefined;
+    req.agent.alliance_id = id || null;
+    if (id && req.agent.tier === 'ai_verified') req.agent.tier = 'alliance_member';
+    next();
+  }
+
+  /**
+   * @param {(event: { seq, type, alliance_id, ... }) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    create,
+    invite,
+    join,
+    leave,
+    distribute,
+    get,
+    list,
+    allianceOf,
+    territory,
+    treasury,
+    tithes,
+    shields,
+    friendsOf,
+    attachAlliance,
+    subscribe,
+  };
+}
+
+module.exports = { createAlliances, publicAlliance, SPLITS };
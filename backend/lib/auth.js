@@ -0,0 +1,160 @@
+/**
+ * PixelWar AI - Agent authentication & tiers
+ *
+ * Agents prove they are AI by solving the reverse CAPTCHA
+ * (agent-sdk/captcha.js) and receive a signed, expiring bearer token
+ * (lib/tokens.js). Every request is tagged with a tier
+ * (see agent-sdk/api_spec.md):
+ *
+ *   guest           — no / invalid token, read-only
+ *   ai_verified     — passed the CAPTCHA, may claim pixels
+ *   alliance_member — ai_verified + member of an alliance
+ *
+ * Once an agent is registered to a wallet (lib/registry.js), only tokens
+ * carrying that wallet — issued against a signature from it — are valid for
+ * it. Tokens issued before the registration, or to a previous wallet, stop
+ * working.
+ *
+ * Revocations are written through the store so they survive restarts.
+ */
+
+const { createTokenSigner } = require('./tokens');
+
+const TIERS = ['guest', 'ai_verified', 'alliance_member'];
+
+function tierRank(tier) {
+  const rank = TIERS.indexOf(tier);
+  return rank === -1 ? 0 : rank;
+}
+
+/**
+ * Extract the bearer token from an Authorization header.
+ */
+function parseBearer(header) {
+  if (!header || typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.secret           - HMAC signing key
+ * @param {number} [opts.ttlSeconds=600] - token lifetime
+ * @param {object} opts.store            - storage adapter (for revocations)
+ * @param {object} opts.state            - store state view
+ * @param {(agentId: string) => string|null} [opts.walletOf] - registered wallet of an agent
+ */
+function createAuth({ secret, ttlSeconds = 600, store, state, walletOf = () => null }) {
+  const signer = createTokenSigner({ secret, ttlSeconds });
+
+  function describe(token, claims) {
+    return {
+      token,
+      agent_id: claims.agent_id,
+      ...(claims.wallet ? { wallet: claims.wallet } : {}),
+      agent_tier: claims.tier,
+      expires_in: claims.exp - claims.iat,
+      expires_at: new Date(claims.exp * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Mint a token for an agent. A registered agent's token must name the
+   * `wallet` it is registered to — only issue one after checking a
+   * signature from that wallet.
+   * @returns {{ token, agent_id, wallet?, agent_tier, expires_in, expires_at }}
+   */
+  function issue({ agent_id = null, tier = 'ai_verified', wallet = null } = {}) {
+    const { token, claims } = signer.sign({ agent_id, tier, wallet });
+    return describe(token, claims);
+  }
+
+  /**
+   * Full check: signature, expiry, revocation and the wallet binding.
+   * @returns {{ ok: boolean, claims?: object, reason?: string }}
+   */
+  function verify(token) {
+    const result = signer.verify(token);
+    if (!result.ok) return result;
+
+    const { claims } = result;
+    if (state.revokedTokens.has(claims.jti)) {
+      return { ok: false, reason: 'token_revoked' };
+    }
+    const notBefore = claims.agent_id ? state.tokenNotBefore.get(claims.agent_id) : undefined;
+    if (notBefore !== undefined && claims.iat < notBefore) {
+      return { ok: false, reason: 'token_revoked' };
+    }
+    const wallet = claims.agent_id ? walletOf(claims.agent_id) : null;
+    if (wallet && claims.wallet !== wallet) {
+      return { ok: false, reason: 'wallet_signature_required' };
+    }
+    return { ok: true, claims };
+  }
+
+  /**
+   * Revoke a single token by its claims.
+   */
+  function revoke(claims) {
+    store.commit({ type: 'token.revoke', jti: claims.jti, exp: claims.exp });
+  }
+
+  /**
+   * Revoke every token issued to `agent_id` so far.
+   */
+  function revokeAgent(agent_id) {
+    // +1: tokens minted within the current second are revoked too
+    const before = Math.floor(Date.now() / 1000) + 1;
+    store.commit({ type: 'agent.revoke_tokens', agent_id, before });
+    return before;
+  }
+
+  /**
+   * Exchange a valid token for a fresh one (same agent, wallet + tier) and
+   * revoke the old one. A registered agent's token only verifies if it is
+   * bound to its wallet, so refreshing never unbinds it.
+   * @returns {{ ok: boolean, session?: object, reason?: string }}
+   */
+  function refresh(token) {
+    const result = verify(token);
+    if (!result.ok) return result;
+    const { agent_id, tier, wallet } = result.claims;
+    const session = issue({ agent_id, tier, wallet });
+    revoke(result.claims);
+    return { ok: true, session };
+  }
+
+  /**
+   * Middleware: attach `req.agent = { tier, agent_id, token, claims, auth_error }`.
+   * Never rejects — unauthenticated callers are guests.
+   */
+  function attachAgent(req, _res, next) {
+    const token = parseBearer(req.headers.authorization);
+    const result = token ? verify(token) : { ok: false, reason: null };
+    req.agent = result.ok
+      ? { tier: result.claims.tier, agent_id: result.claims.agent_id, token, claims: result.claims }
+      : { tier: 'guest', agent_id: null, token: null, claims: null, auth_error: result.reason };
+    next();
+  }
+
+  /**
+   * Middleware factory: reject callers below `minTier` with 401.
+   */
+  function requireTier(minTier) {
+    return (req, res, next) => {
+      const agent = req.agent || { tier: 'guest' };
+      if (tierRank(agent.tier) >= tierRank(minTier)) return next();
+      res.status(401).json({
+        error: 'AI verification required — solve GET /captcha/challenge and send Authorization: Bearer <token>',
+        code: 'captcha_required',
+        required_tier: minTier,
+        tier: agent.tier,
+        reason: agent.auth_error || 'missing_token',
+      });
+    };
+  }
+
+  return { issue, verify, revoke, revokeAgent, refresh, attachAgent, requireTier, ttlSeconds };
+}
+
+module.exports = { createAuth, parseBearer, tierRank, TIERS };
@@ -0,0 +1,79 @@
+/**
+ * PixelWar AI - Agent balances (GET /agent/:id/balance)
+ *
+ * What the game owes each agent, and how much of it was paid out:
+ *
+ *   rebates   — Σ rebate_to_previous_owner when its pixels were taken (ledger)
+ *   sales     — Σ sale_proceeds of its market listing sales (ledger)
+ *   credits   — Σ payments that could not become pixels, and alliance
+ *               treasury distributions (state.credits)
+ *   alliance  — the alliance treasury's share of rebates earned as a member
+ *   pending   — payouts queued or being sent
+ *   paid      — payouts confirmed on-chain
+ *   available = rebates + sales + credits − alliance − pending − paid
+ *
+ * A failed payout holds nothing, so its amount is available again.
+ */
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state - store state view (credits + payouts)
+ * @param {object} opts.books - per-agent books (createAgentBooks) for rebates and sales
+ * @param {object} [opts.alliances] - createAlliances(...), for the treasury share
+ */
+function createBalances({ state, books, alliances = null }) {
+  const credits = new Map(); // agent_id → Σ credited amount
+  let indexed = 0;
+
+  function sync() {
+    for (; indexed < state.credits.length; indexed++) {
+      const credit = state.credits[indexed];
+      if (credit.status !== 'credited') continue;
+      credits.set(credit.agent_id, (credits.get(credit.agent_id) || 0) + credit.amount_usdc);
+    }
+  }
+
+  /**
+   * @param {string} agentId
+   * @returns {{ rebates_usdc, sales_usdc, credits_usdc, alliance_share_usdc, earned_usdc, pending_usdc, paid_usdc, available_usdc, payouts: Array<object> }}
+   *   payouts — the agent's payout records, oldest first
+   */
+  function balance(agentId) {
+    sync();
+    const book = books.book(agentId);
+    const rebates = book ? book.rebates : 0;
+    const sales = book ? book.sales : 0;
+    const credited = credits.get(agentId) || 0;
+    const tithed = alliances ? alliances.tithes(agentId) : 0;
+
+    let pending = 0;
+    let paid = 0;
+    const payouts = [];
+    for (const payout of state.payouts.values()) {
+      if (payout.agent_id !== agentId) continue;
+      payouts.push(payout);
+      if (payout.status === 'paid') paid += payout.amount_usdc;
+      else if (payout.status !== 'failed') pending += payout.amount_usdc;
+    }
+
+    return {
+      rebates_usdc: round6(rebates),
+      sales_usdc: round6(sales),
+      credits_usdc: round6(credited),
+      alliance_share_usdc: round6(tithed),
+      earned_usdc: round6(rebates + sales + credited - tithed),
+      pending_usdc: round6(pending),
+      paid_usdc: round6(paid),
+      available_usdc: Math.max(0, round6(rebates + sales + credited - tithed - pending - paid)),
+      payouts,
+    };
+  }
+
+  return { balance };
+}
+
+module.exports = { createBalances };
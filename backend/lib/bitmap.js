@@ -0,0 +1,69 @@
+/**
+ * PixelWar AI - Full-canvas bitmap snapshot
+ *
+ * Packs the whole board into one RGBA buffer (4 bytes per pixel, row-major,
+ * pixel (x, y) at offset (y * size + x) * 4). Alpha is 255 for claimed
+ * pixels and 0 for unclaimed ones, so a 1000×1000 canvas is exactly 4 MB
+ * raw — and mostly zeros, so it gzips very well.
+ *
+ * The bitmap is versioned by store seq: it is rebuilt lazily from the
+ * canvas view the first time it is read after a write, and reused until
+ * the next one. The seq doubles as the HTTP ETag.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * "#RRGGBB" → [r, g, b]
+ */
+function parseHexColor(color) {
+  const n = parseInt(color.slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state  - store state view (canvas + seq)
+ * @param {number} opts.size   - canvas edge length
+ */
+function createCanvasBitmap({ state, size }) {
+  let cached = null; // { seq, etag, raw, gzipped }
+
+  function build() {
+    const raw = Buffer.alloc(size * size * 4);
+    for (const [key, pixel] of state.canvas) {
+      const [x, y] = key.split(':').map(Number);
+      const [r, g, b] = parseHexColor(pixel.color);
+      const offset = (y * size + x) * 4;
+      raw[offset]     = r;
+      raw[offset + 1] = g;
+      raw[offset + 2] = b;
+      raw[offset + 3] = 255;
+    }
+    return raw;
+  }
+
+  /**
+   * Current snapshot; `gzip` is compressed on first use per version.
+   * @returns {{ seq: number, etag: string, raw: Buffer, gzip: () => Buffer }}
+   */
+  function current() {
+    if (!cached || cached.seq !== state.seq) {
+      cached = { seq: state.seq, etag: `"canvas-${state.seq}"`, raw: build(), gzipped: null };
+    }
+    const snap = cached;
+    return {
+      seq: snap.seq,
+      etag: snap.etag,
+      raw: snap.raw,
+      gzip: () => {
+        if (!snap.gzipped) snap.gzipped = zlib.gzipSync(snap.raw);
+        return snap.gzipped;
+      },
+    };
+  }
+
+  return { size, current };
+}
+
+module.exports = { createCanvasBitmap, parseHexColor };
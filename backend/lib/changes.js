@@ -0,0 +1,107 @@
+/**
+ * PixelWar AI - Cursor change feed (GET /pixels/changes)
+ *
+ * Every canvas write stamps the pixel with the store seq of that write
+ * (`pixel.seq`, see storage/state.js). This index keeps the canvas keys
+ * in seq order so "what changed since cursor N" is a binary search plus a
+ * scan of the tail, instead of a full canvas read.
+ *
+ * The index is built from the canvas at boot and appended to from the
+ * pixel change feed (lib/events.js). A re-claimed pixel leaves its older
+ * entry behind; those are skipped on read (the canvas holds a newer seq)
+ * and compacted away once they outnumber the live ones.
+ *
+ * Because it is derived from current canvas state, a delta carries the
+ * latest state of each pixel changed after the cursor — intermediate
+ * colors of a pixel claimed several times are collapsed.
+ */
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state - store state view (canvas + seq)
+ * @param {object} opts.feed  - pixel change feed (createPixelFeed)
+ */
+function createChangeIndex({ state, feed }) {
+  let seqs = [];
+  let keys = [];
+
+  // Pixels written before seq stamping cannot be ordered: cursors from
+  // before this boot must resync
+  let floor = 0;
+  const stamped = [];
+  for (const [key, pixel] of state.canvas) {
+    if (pixel.seq == null) floor = state.seq;
+    else stamped.push([pixel.seq, key]);
+  }
+  stamped.sort((a, b) => a[0] - b[0]);
+  for (const [seq, key] of stamped) {
+    seqs.push(seq);
+    keys.push(key);
+  }
+
+  function compact() {
+    const liveSeqs = [];
+    const liveKeys = [];
+    for (let i = 0; i < keys.length; i++) {
+      const pixel = state.canvas.get(keys[i]);
+      if (pixel && pixel.seq === seqs[i]) {
+        liveSeqs.push(seqs[i]);
+        liveKeys.push(keys[i]);
+      }
+    }
+    seqs = liveSeqs;
+    keys = liveKeys;
+  }
+
+  feed.subscribe(changes => {
+    for (const change of changes) {
+      seqs.push(change.seq);
+      keys.push(`${change.x}:${change.y}`);
+    }
+    if (keys.length > 2 * state.canvas.size + 1000) compact();
+  });
+
+  /**
+   * Pixels changed after `cursor`, in seq order.
+   *
+   * A page never splits one write (pixels sharing a seq), so it may run
+   * slightly past `limit`.
+   *
+   * @param {number} cursor
+   * @param {number} limit
+   * @returns {{ resync: true, oldest: number }
+   *         | { changes: Array<{ seq, x, y, ...PixelData }>, next: number, hasMore: boolean }}
+   */
+  function since(cursor, limit) {
+    if (cursor < floor || cursor > state.seq) return { resync: true, oldest: floor };
+
+    let lo = 0;
+    let hi = seqs.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seqs[mid] <= cursor) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const changes = [];
+    let i = lo;
+    for (; i < seqs.length; i++) {
+      if (changes.length >= limit && seqs[i] !== changes[changes.length - 1].seq) break;
+      const pixel = state.canvas.get(keys[i]);
+      if (!pixel || pixel.seq !== seqs[i]) continue; // superseded
+      const [x, y] = keys[i].split(':').map(Number);
+      changes.push({ x, y, ...pixel });
+    }
+
+    const hasMore = i < seqs.length;
+    return {
+      changes,
+      next: hasMore ? changes[changes.length - 1].seq : state.seq,
+      hasMore,
+    };
+  }
+
+  return { since };
+}
+
+module.exports = { createChangeIndex };
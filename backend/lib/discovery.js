@@ -0,0 +1,213 @@
+/**
+ * PixelWar AI - Target discovery (GET /pixels/cheapest, GET /pixels/arbitrage)
+ *
+ *   price index  — occupied pixels bucketed by price, buckets kept in
+ *                  ascending order. A pixel's price only changes when it is
+ *                  claimed, so the index is caught up from the append-only
+ *                  ledger on read (one bucket move per claim).
+ *   free sampler — random unclaimed cells inside a region; falls back to a
+ *                  scan when the region is too dense to hit by chance.
+ *   arbitrage    — scores every pixel claimed inside a recent window by
+ *                  claim velocity (pixel + surrounding tile), the rebates its
+ *                  holders collected, and location, against its price.
+ */
+
+// Tile used for neighbourhood velocity in arbitrage scoring
+const ARBITRAGE_TILE = 10;
+
+/**
+ * @param {object} opts
+ * @param {Array} opts.ledger - store ledger view (TxRecord[])
+ */
+function createPriceIndex({ ledger }) {
+  const buckets = new Map();  // price → Set<key>
+  const levels  = [];         // distinct prices, ascending
+  const priceOf = new Map();  // key → price
+  let indexed = 0;
+
+  function insertLevel(price) {
+    let lo = 0;
+    let hi = levels.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (levels[mid] < price) lo = mid + 1;
+      else hi = mid;
+    }
+    levels.splice(lo, 0, price);
+  }
+
+  function sync() {
+    for (; indexed < ledger.length; indexed++) {
+      const tx = ledger[indexed];
+      const key = `${tx.x}:${tx.y}`;
+
+      const old = priceOf.get(key);
+      if (old !== undefined) {
+        const bucket = buckets.get(old);
+        bucket.delete(key);
+        if (bucket.size === 0) {
+          buckets.delete(old);
+          levels.splice(levels.indexOf(old), 1);
+        }
+      }
+
+      let bucket = buckets.get(tx.price_paid);
+      if (!bucket) {
+        bucket = new Set();
+        buckets.set(tx.price_paid, bucket);
+        insertLevel(tx.price_paid);
+      }
+      bucket.add(key);
+      priceOf.set(key, tx.price_paid);
+    }
+  }
+
+  /**
+   * Occupied pixels from cheapest to most expensive.
+   * @param {number} [maxPrice=Infinity] - stop after this price level
+   * @returns {Iterable<{ x: number, y: number, price: number }>}
+   */
+  function* ascending(maxPrice = Infinity) {
+    sync();
+    for (const price of levels) {
+      if (price > maxPrice) return;
+      for (const key of buckets.get(price)) {
+        const [x, y] = key.split(':').map(Number);
+        yield { x, y, price };
+      }
+    }
+  }
+
+  return { ascending, sync };
+}
+
+/**
+ * Up to `count` distinct unclaimed cells inside `region`, in random order.
+ *
+ * @param {object} opts
+ * @param {Map}    opts.canvas
+ * @param {{ x0, y0, x1, y1 }} opts.region - inclusive
+ * @param {number} opts.count
+ * @param {() => number} [opts.random=Math.random]
+ * @returns {Array<{ x: number, y: number }>}
+ */
+function sampleFreePixels({ canvas, region, count, random = Math.random }) {
+  const { x0, y0, x1, y1 } = region;
+  const w = x1 - x0 + 1;
+  const h = y1 - y0 + 1;
+  const picked = new Map();
+
+  // Rejection sampling — cheap while the region is mostly empty
+  const attempts = count * 20;
+  for (let i = 0; i < attempts && picked.size < count; i++) {
+    const x = x0 + Math.floor(random() * w);
+    const y = y0 + Math.floor(random() * h);
+    const key = `${x}:${y}`;
+    if (!canvas.has(key) && !picked.has(key)) picked.set(key, { x, y });
+  }
+
+  // Dense region: scan from a random offset so results still vary
+  if (picked.size < count) {
+    const area = w * h;
+    const start = Math.floor(random() * area);
+    for (let i = 0; i < area && picked.size < count; i++) {
+      const cell = (start + i) % area;
+      const x = x0 + (cell % w);
+      const y = y0 + Math.floor(cell / w);
+      const key = `${x}:${y}`;
+      if (!canvas.has(key) && !picked.has(key)) picked.set(key, { x, y });
+    }
+  }
+
+  return Array.from(picked.values());
+}
+
+/**
+ * Location multiplier: central 50%×50% square ×2.0, central 75%×75% ×1.3.
+ */
+function locationMultiplier(x, y, size) {
+  const c = (size - 1) / 2;
+  const dx = Math.abs(x - c);
+  const dy = Math.abs(y - c);
+  if (dx <= size * 0.25 && dy <= size * 0.25) return { multiplier: 2.0, zone: 'center_zone' };
+  if (dx <= size * 0.375 && dy <= size * 0.375) return { multiplier: 1.3, zone: 'mid_zone' };
+  return { multiplier: 1.0, zone: 'outer_zone' };
+}
+
+/**
+ * Score recently contested pixels as buy targets.
+ *
+ *   claims_per_hour  = pixel claims in window / window hours
+ *   tile_per_hour    = claims in the surrounding ARBITRAGE_TILE² tile / window hours
+ *   traffic_score    = claims_per_hour + 0.25 × tile_per_hour
+ *   rebate_yield     = rebates paid out on the pixel in window / price to buy it now
+ *   arbitrage_score  = traffic_score × (1 + rebate_yield) × location_multiplier / (price / initialPrice)
+ *
+ * The chance of being overwritten within an hour is modelled as Poisson
+ * with the pixel's claim rate; the payoff is the rebate share of the price
+ * paid, so `expected_roi_pct` is the rebate-only return over that hour
+ * (the pixel itself, kept when nobody overwrites it, is not valued).
+ *
+ * @param {object} opts
+ * @param {Array}    opts.rows         - ledger rows inside the window
+ * @param {Map}      opts.canvas
+ * @param {number}   opts.windowMs
+ * @param {number}   opts.size
+ * @param {number}   opts.initialPrice
+ * @param {number}   opts.rebateRatio
+ * @param {(x, y, pixel) => number} opts.calcPrice - price to buy a pixel in its current state
+ * @returns {Array<object>} unsorted
+ */
+function scoreArbitrage({ rows, canvas, windowMs, size, initialPrice, rebateRatio, calcPrice }) {
+  const hours = windowMs / 3_600_000;
+  const tiles = Math.ceil(size / ARBITRAGE_TILE);
+  const tileClaims = new Uint32Array(tiles * tiles);
+  const perPixel = new Map(); // key → { x, y, claims, rebates }
+
+  for (const tx of rows) {
+    const key = `${tx.x}:${tx.y}`;
+    let p = perPixel.get(key);
+    if (!p) {
+      p = { x: tx.x, y: tx.y, claims: 0, rebates: 0 };
+      perPixel.set(key, p);
+    }
+    p.claims++;
+    p.rebates += tx.rebate_to_previous_owner || 0;
+    tileClaims[Math.floor(tx.y / ARBITRAGE_TILE) * tiles + Math.floor(tx.x / ARBITRAGE_TILE)]++;
+  }
+
+  const results = [];
+  for (const [key, p] of perPixel) {
+    const current = canvas.get(key);
+    const price = calcPrice(p.x, p.y, current);
+    const claims_per_hour = p.claims / hours;
+    const tile_per_hour = tileClaims[Math.floor(p.y / ARBITRAGE_TILE) * tiles + Math.floor(p.x / ARBITRAGE_TILE)] / hours;
+    const traffic_score = claims_per_hour + 0.25 * tile_per_hour;
+    const rebate_yield = p.rebates / price;
+    const { multiplier, zone } = locationMultiplier(p.x, p.y, size);
+    const arbitrage_score = traffic_score * (1 + rebate_yield) * multiplier / (price / initialPrice);
+    const overwrite_probability_1h = 1 - Math.exp(-claims_per_hour);
+
+    const reasons = [zone];
+    if (claims_per_hour >= 2) reasons.push('high_reclaim_frequency');
+    if (rebate_yield >= 0.5) reasons.push('rebate_rich');
+
+    results.push({
+      x: p.x,
+      y: p.y,
+      price,
+      owner: current ? current.owner : null,
+      claims_in_window: p.claims,
+      rebates_in_window: Math.round(p.rebates * 1e6) / 1e6,
+      traffic_score: Math.round(traffic_score * 1000) / 1000,
+      arbitrage_score: Math.round(arbitrage_score * 1000) / 1000,
+      overwrite_probability_1h: Math.round(overwrite_probability_1h * 1000) / 1000,
+      expected_rebate_usdc: Math.round(overwrite_probability_1h * price * rebateRatio * 1e6) / 1e6,
+      expected_roi_pct: Math.round((overwrite_probability_1h * rebateRatio - 1) * 1000) / 10,
+      reason: reasons.join(' + '),
+    });
+  }
+  return results;
+}
+
+module.exports = { createPriceIndex, sampleFreePixels, scoreArbitrage, locationMultiplier };
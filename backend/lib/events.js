@@ -0,0 +1,98 @@
+/**
+ * PixelWar AI - Pixel change feed
+ *
+ * Every pixel claim is recorded here after it is committed, tagged with the
+ * store seq of the write (all pixels of one batch share it). The feed
+ *
+ *   - pushes changes to live subscribers (GET /pixels/stream), and
+ *   - keeps the most recent `capacity` changes so a client that
+ *     disconnected can resume after the last seq it saw.
+ *
+ * Older changes are dropped. A client asking for anything before the
+ * retained range (or from before this process started — the buffer is not
+ * persisted) is told to resync from a full read instead.
+ */
+
+/**
+ * @param {object} opts
+ * @param {number} opts.startSeq    - store seq at boot; changes after it are complete
+ * @param {number} [opts.capacity=10000]
+ */
+function createPixelFeed({ startSeq, capacity = 10000 }) {
+  let buffer = [];          // PixelChange[], seq ascending
+  let floor = startSeq;     // every change with seq > floor is in `buffer`
+  const listeners = new Set();
+
+  /**
+   * Record the pixels changed by one store write and notify subscribers.
+   * @param {Array<object>} changes - PixelChange, each with `seq`
+   */
+  function record(changes) {
+    if (!changes.length) return;
+    buffer.push(...changes);
+    if (buffer.length > capacity) {
+      // Trim in whole writes so a seq is either fully retained or gone
+      let cut = buffer.length - capacity;
+      while (cut < buffer.length && buffer[cut].seq === buffer[cut - 1].seq) cut++;
+      floor = buffer[cut - 1].seq;
+      buffer = buffer.slice(cut);
+    }
+    for (const listener of listeners) listener(changes);
+  }
+
+  /**
+   * Changes after `seq`.
+   * @returns {{ changes: Array<object> } | { resync: true, oldest: number }}
+   *   resync when changes after `seq` are no longer (or were never) retained
+   */
+  function since(seq) {
+    if (seq < floor) return { resync: true, oldest: floor };
+    let lo = 0;
+    let hi = buffer.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (buffer[mid].seq <= seq) lo = mid + 1;
+      else hi = mid;
+    }
+    return { changes: buffer.slice(lo) };
+  }
+
+  /**
+   * @param {(changes: Array<object>) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    record,
+    since,
+    subscribe,
+    get subscribers() { return listeners.size; },
+    get oldest() { return floor; },
+  };
+}
+
+/**
+ * Subscriber-side filter: inclusive region, agent and/or a group of agents
+ * (matches the new owner or the previous one — the agent that was just
+ * outbid).
+ *
+ * @param {{ region?: { x0, y0, x1, y1 }, agent?: string, members?: { has(agentId): boolean } }} filter
+ *   members — checked per change, so it may follow a changing group (an alliance)
+ * @returns {(change: object) => boolean}
+ */
+function changeFilter({ region = null, agent = null, members = null }) {
+  return change => {
+    if (region && (change.x < region.x0 || change.x > region.x1 || change.y < region.y0 || change.y > region.y1)) {
+      return false;
+    }
+    if (agent && change.owner !== agent && change.previous_owner !== agent) return false;
+    if (members && !members.has(change.owner) && !members.has(change.previous_owner)) return false;
+    return true;
+  };
+}
+
+module.exports = { createPixelFeed, changeFilter };
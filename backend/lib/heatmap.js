@@ -0,0 +1,166 @@
+/**
+ * PixelWar AI - Claim-frequency heatmap
+ *
+ * Counts claims per pixel and per base tile (BASE_TILE × BASE_TILE) from
+ * the transaction ledger. The ledger is append-only and time-ordered, so
+ * counters are caught up incrementally on read — nothing hooks the write
+ * path.
+ *
+ *   all-time  — served from the counters
+ *   windowed  — binary-search the ledger for the window start and count
+ *               only the rows after it
+ */
+
+const BASE_TILE = 10;
+
+/**
+ * Parse a window like "90s", "15m", "1h", "7d" or "all" into milliseconds
+ * (null = all time).
+ * @returns {number|null|undefined} undefined if malformed
+ */
+function parseWindow(value) {
+  if (value === undefined || value === 'all') return null;
+  const match = /^(\d+)(s|m|h|d)$/.exec(String(value));
+  if (!match) return undefined;
+  const unit = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[match[2]];
+  return parseInt(match[1], 10) * unit;
+}
+
+/**
+ * First ledger index with timestamp ≥ since (the ledger is time-ordered).
+ */
+function firstIndexSince(ledger, since) {
+  let lo = 0;
+  let hi = ledger.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (ledger[mid].timestamp < since) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Keep the `n` largest items by `claim_count` (ties: most recent first).
+ */
+function topN(entries, n) {
+  const top = [];
+  for (const e of entries) {
+    if (top.length === n && e.claim_count <= top[n - 1].claim_count) continue;
+    let i = top.length;
+    while (i > 0 && (top[i - 1].claim_count < e.claim_count ||
+      (top[i - 1].claim_count === e.claim_count && top[i - 1].last_claimed_at < e.last_claimed_at))) i--;
+    top.splice(i, 0, e);
+    if (top.length > n) top.pop();
+  }
+  return top;
+}
+
+/**
+ * @param {object} opts
+ * @param {Array}  opts.ledger  - store ledger view (TxRecord[])
+ * @param {number} opts.size    - canvas edge length
+ */
+function createHeatmap({ ledger, size }) {
+  const baseTiles = Math.ceil(size / BASE_TILE);
+  const pixelCounts = new Map();                         // `${x}:${y}` → { count, last_claimed_at }
+  const tileCounts  = new Uint32Array(baseTiles * baseTiles);
+  let indexed = 0;                                       // ledger rows already counted
+  let topCache = null;                                   // { indexed, n, top }
+
+  function sync() {
+    for (; indexed < ledger.length; indexed++) {
+      const tx = ledger[indexed];
+      const key = `${tx.x}:${tx.y}`;
+      const cur = pixelCounts.get(key);
+      if (cur) {
+        cur.count++;
+        cur.last_claimed_at = tx.timestamp;
+      } else {
+        pixelCounts.set(key, { count: 1, last_claimed_at: tx.timestamp });
+      }
+      tileCounts[Math.floor(tx.y / BASE_TILE) * baseTiles + Math.floor(tx.x / BASE_TILE)]++;
+    }
+  }
+
+  /**
+   * Per-pixel counts, all-time or since `since` (ms).
+   * @returns {Iterable<{ x, y, claim_count, last_claimed_at }>}
+   */
+  function* pixelEntries(since) {
+    if (since == null) {
+      sync();
+      for (const [key, c] of pixelCounts) {
+        const [x, y] = key.split(':').map(Number);
+        yield { x, y, claim_count: c.count, last_claimed_at: c.last_claimed_at };
+      }
+      return;
+    }
+    const recent = new Map();
+    for (let i = firstIndexSince(ledger, since); i < ledger.length; i++) {
+      const tx = ledger[i];
+      const key = `${tx.x}:${tx.y}`;
+      const cur = recent.get(key);
+      if (cur) {
+        cur.claim_count++;
+        cur.last_claimed_at = tx.timestamp;
+      } else {
+        recent.set(key, { x: tx.x, y: tx.y, claim_count: 1, last_claimed_at: tx.timestamp });
+      }
+    }
+    yield* recent.values();
+  }
+
+  /**
+   * The `n` most-claimed pixels.
+   * @param {number} n
+   * @param {number|null} [since] - ms timestamp; null = all time
+   */
+  function hottest(n, since = null) {
+    if (since != null) return topN(pixelEntries(since), n);
+    sync();
+    if (!topCache || topCache.indexed !== indexed || topCache.n !== n) {
+      topCache = { indexed, n, top: topN(pixelEntries(null), n) };
+    }
+    return topCache.top;
+  }
+
+  /**
+   * Claim counts aggregated into `tile`×`tile` cells.
+   * @param {number} tile
+   * @param {number|null} [since]
+   * @returns {{ tile: number, cols: number, rows: number, grid: number[][], total: number }}
+   */
+  function grid(tile, since = null) {
+    const cols = Math.ceil(size / tile);
+    const cells = new Array(cols * cols).fill(0);
+    let total = 0;
+
+    if (since == null && tile % BASE_TILE === 0) {
+      // Fast path: fold base tiles
+      sync();
+      const factor = tile / BASE_TILE;
+      for (let ty = 0; ty < baseTiles; ty++) {
+        for (let tx = 0; tx < baseTiles; tx++) {
+          const count = tileCounts[ty * baseTiles + tx];
+          if (!count) continue;
+          cells[Math.floor(ty / factor) * cols + Math.floor(tx / factor)] += count;
+          total += count;
+        }
+      }
+    } else {
+      for (const e of pixelEntries(since)) {
+        cells[Math.floor(e.y / tile) * cols + Math.floor(e.x / tile)] += e.claim_count;
+        total += e.claim_count;
+      }
+    }
+
+    const rows = [];
+    for (let r = 0; r < cols; r++) rows.push(cells.slice(r * cols, (r + 1) * cols));
+    return { tile, cols, rows: cols, grid: rows, total };
+  }
+
+  return { hottest, grid };
+}
+
+module.exports = { createHeatmap, parseWindow, firstIndexSince, BASE_TILE };
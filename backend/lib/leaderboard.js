@@ -0,0 +1,163 @@
+/**
+ * PixelWar AI - Leaderboard (GET /leaderboard)
+ *
+ * Per-agent standings from two sources:
+ *
+ *   canvas — pixels_held, territory_value, largest_territory
+ *            (windowed: only holdings claimed inside the window)
+ *   ledger — spent, rebates, net_profit = rebates + sale proceeds − spent
+ *            (windowed: only rows inside the window)
+ *
+ * largest_territory is the biggest 4-connected group of one agent's
+ * pixels. Standings are recomputed at most once per store seq and window
+ * per second, so a busy board does not rebuild them on every request.
+ */
+
+const { firstIndexSince } = require('./heatmap');
+
+const RANKINGS = [
+  'pixels_held',
+  'territory_value',
+  'spent',
+  'rebates',
+  'net_profit',
+  'largest_territory',
+];
+
+// Field each ranking sorts by
+const RANK_FIELD = {
+  pixels_held: 'pixels_held',
+  territory_value: 'territory_value_usdc',
+  spent: 'spent_usdc',
+  rebates: 'rebates_usdc',
+  net_profit: 'net_profit_usdc',
+  largest_territory: 'largest_territory',
+};
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Size of the largest 4-connected group per owner.
+ * @param {Map<string, string>} owners - `${x}:${y}` → owner (pixels to consider)
+ * @returns {Map<string, number>}
+ */
+function largestTerritories(owners) {
+  const largest = new Map();
+  const seen = new Set();
+  const stack = [];
+
+  for (const [start, owner] of owners) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    stack.push(start);
+    let size = 0;
+
+    while (stack.length) {
+      const key = stack.pop();
+      size++;
+      const [x, y] = key.split(':').map(Number);
+      for (const next of [`${x - 1}:${y}`, `${x + 1}:${y}`, `${x}:${y - 1}`, `${x}:${y + 1}`]) {
+        if (!seen.has(next) && owners.get(next) === owner) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    if (size > (largest.get(owner) || 0)) largest.set(owner, size);
+  }
+  return largest;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state - store state view (canvas + ledger + seq)
+ */
+function createLeaderboard({ state }) {
+  let cached = null; // { key, rows, sorted: Map<ranking, rows> }
+
+  function compute(since) {
+    const agents = new Map();
+    const entry = id => {
+      let a = agents.get(id);
+      if (!a) {
+        a = { agent_id: id, pixels_held: 0, territory_value_usdc: 0, spent_usdc: 0, rebates_usdc: 0, sales_usdc: 0 };
+        agents.set(id, a);
+      }
+      return a;
+    };
+
+    const owners = new Map();
+    for (const [key, pixel] of state.canvas) {
+      if (since != null && pixel.timestamp < since) continue;
+      const a = entry(pixel.owner);
+      a.pixels_held++;
+      a.territory_value_usdc += pixel.price;
+      owners.set(key, pixel.owner);
+    }
+
+    const ledger = state.ledger;
+    for (let i = since == null ? 0 : firstIndexSince(ledger, since); i < ledger.length; i++) {
+      const tx = ledger[i];
+      entry(tx.buyer).spent_usdc += tx.price_paid;
+      if (tx.seller) {
+        entry(tx.seller).rebates_usdc += tx.rebate_to_previous_owner || 0;
+        entry(tx.seller).sales_usdc += tx.sale_proceeds || 0;
+      }
+    }
+
+    const largest = largestTerritories(owners);
+    const rows = [];
+    for (const a of agents.values()) {
+      rows.push({
+        agent_id: a.agent_id,
+        pixels_held: a.pixels_held,
+        territory_value_usdc: round6(a.territory_value_usdc),
+        spent_usdc: round6(a.spent_usdc),
+        rebates_usdc: round6(a.rebates_usdc),
+        net_profit_usdc: round6(a.rebates_usdc + a.sales_usdc - a.spent_usdc),
+        largest_territory: largest.get(a.agent_id) || 0,
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * One ranking, best first (ties broken by agent_id).
+   *
+   * @param {string} by             - one of RANKINGS
+   * @param {object} opts
+   * @param {number|null} opts.windowMs - null = all time
+   * @param {number} opts.page      - 1-based
+   * @param {number} opts.limit
+   * @param {number} [opts.now=Date.now()]
+   * @returns {{ total: number, since: number|null, entries: Array<object> }}
+   */
+  function rank(by, { windowMs, page, limit, now = Date.now() }) {
+    const since = windowMs == null ? null : now - windowMs;
+    const key = `${state.seq}:${windowMs}:${windowMs == null ? 0 : Math.floor(now / 1000)}`;
+    if (!cached || cached.key !== key) cached = { key, rows: compute(since), sorted: new Map() };
+
+    let sorted = cached.sorted.get(by);
+    if (!sorted) {
+      const field = RANK_FIELD[by];
+      sorted = cached.rows
+        .filter(r => r[field] !== 0)
+        .sort((a, b) => b[field] - a[field] || (a.agent_id < b.agent_id ? -1 : 1));
+      cached.sorted.set(by, sorted);
+    }
+
+    const start = (page - 1) * limit;
+    const entries = sorted.slice(start, start + limit).map((r, i) => ({
+      rank: start + i + 1,
+      value: r[RANK_FIELD[by]],
+      ...r,
+    }));
+    return { total: sorted.length, since, entries };
+  }
+
+  return { rank };
+}
+
+module.exports = { createLeaderboard, largestTerritories, RANKINGS };
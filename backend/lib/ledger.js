@@ -0,0 +1,95 @@
+/**
+ * PixelWar AI - Ledger queries (GET /ledger)
+ *
+ * The ledger is append-only and time-ordered, so a row's index is a
+ * stable cursor and a time range is two binary searches. Filters are
+ * applied while walking forward from the cursor.
+ */
+
+const { firstIndexSince } = require('./heatmap');
+
+// CSV export columns, in order
+const CSV_COLUMNS = [
+  'ledger_index',
+  'timestamp',
+  'x',
+  'y',
+  'buyer',
+  'seller',
+  'price_paid',
+  'rebate_to_previous_owner',
+  'treasury_cut',
+  'loot_cut',
+  'dev_cut',
+  'tx_hash',
+  'quote_id',
+  'batch_id',
+  'sale_proceeds',
+];
+
+/**
+ * A time bound as Unix ms or an ISO-8601 string.
+ * @returns {number|null|undefined} null if absent, undefined if malformed
+ */
+function parseTime(value) {
+  if (value === undefined) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+/**
+ * Build a row predicate from query filters (all optional, ANDed).
+ *
+ * @param {object} f
+ * @param {string} [f.buyer]
+ * @param {string} [f.seller]
+ * @param {string} [f.tx_hash] - case-insensitive
+ * @param {{ x0, y0, x1, y1 }} [f.region] - inclusive
+ * @returns {(tx: object) => boolean}
+ */
+function ledgerFilter({ buyer = null, seller = null, tx_hash = null, region = null }) {
+  const hash = tx_hash ? tx_hash.toLowerCase() : null;
+  return tx => {
+    if (buyer && tx.buyer !== buyer) return false;
+    if (seller && tx.seller !== seller) return false;
+    if (hash && String(tx.tx_hash).toLowerCase() !== hash) return false;
+    if (region && (tx.x < region.x0 || tx.x > region.x1 || tx.y < region.y0 || tx.y > region.y1)) return false;
+    return true;
+  };
+}
+
+/**
+ * Walk matching rows from `cursor` (a ledger index) forward.
+ *
+ * @param {Array} ledger
+ * @param {object} opts
+ * @param {number} opts.cursor
+ * @param {number|null} opts.from - ms, inclusive — skips ahead by binary search
+ * @param {number|null} opts.to   - ms, exclusive — stops the walk
+ * @param {(tx) => boolean} opts.match
+ * @returns {Iterable<{ index: number, tx: object }>}
+ */
+function* scanLedger(ledger, { cursor, from, to, match }) {
+  let i = Math.max(cursor, from == null ? 0 : firstIndexSince(ledger, from));
+  for (; i < ledger.length; i++) {
+    const tx = ledger[i];
+    if (to != null && tx.timestamp >= to) return;
+    if (match(tx)) yield { index: i, tx };
+  }
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One CSV line (with trailing newline) for a ledger row.
+ */
+function toCsvRow(index, tx) {
+  const row = { ...tx, ledger_index: index, timestamp: new Date(tx.timestamp).toISOString() };
+  return CSV_COLUMNS.map(c => csvField(row[c])).join(',') + '\n';
+}
+
+module.exports = { CSV_COLUMNS, parseTime, ledgerFilter, scanLedger, toCsvRow };
@@ -0,0 +1,232 @@
+/**
+ * PixelWar AI - Loot pool draws (GET /loot, GET /loot/draws)
+ *
+ * Every resale books `loot_cut` into the pool. Draws run back to back, one
+ * open at a time, with commit-reveal randomness (agent-sdk/loot.js):
+ *
+ *   committed ──▶ drawn ──▶ payable ──▶ distributed
+ *            │         └──▶ void (not claimed by claim_by)
+ *            └──▶ void       (nobody eligible, or an empty pool)
+ *
+ *   committed   — sha256(seed) is published when the draw opens
+ *   drawn       — at closes_at the seed is revealed with the eligibility
+ *                 table and winner, all derived from ledger rows before
+ *                 closes_at, so anyone can recompute them. Only agents
+ *                 registered to a wallet before closes_at are eligible;
+ *                 the others are listed in `excluded`
+ *   payable     — the winner claimed it for its wallet; the treasury
+ *                 instruction `distributeLoot(winner, amount)` is attached
+ *   distributed — the operator recorded the treasury transaction
+ *
+ * A winner that does not claim within `claimWindowMs` loses the prize: the
+ * draw turns `void` and its amount goes back to the pool.
+ *
+ * The seed is kept in the store (so a restart cannot re-roll a draw) and is
+ * only returned by `publicDraw` once revealed.
+ */
+
+const { ethers } = require('ethers');
+const { firstIndexSince } = require('./heatmap');
+const lootDraw = require('../../agent-sdk/loot');
+const x402 = require('../../agent-sdk/x402');
+
+const TREASURY_ABI = ['function distributeLoot(address winner, uint256 amount)'];
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Draws that reserve their amount from the pool
+const RESERVED = new Set(['drawn', 'payable', 'distributed']);
+
+/**
+ * A draw as served by the API — without the seed until it is revealed.
+ */
+function publicDraw(draw) {
+  if (draw.status !== 'committed') return draw;
+  const { seed, ...rest } = draw;
+  return rest;
+}
+
+/**
+ * The PixelWarTreasury call that pays a draw out of the on-chain loot
+ * balance, for the contract owner to submit.
+ *
+ * @param {string|null} treasury - contract address (null if not configured)
+ * @param {string} winner        - wallet
+ * @param {number} amountUsdc    - > 0: distributeLoot(winner, 0) would pay the whole balance
+ */
+function distributeLootInstruction(treasury, winner, amountUsdc) {
+  const amount = x402.toBaseUnits(amountUsdc);
+  return {
+    contract: treasury,
+    function: 'distributeLoot(address,uint256)',
+    args: { winner, amount },
+    data: new ethers.Interface(TREASURY_ABI).encodeFunctionData('distributeLoot', [winner, amount]),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store
+ * @param {object} opts.state         - store state view (ledger + lootDraws)
+ * @param {number} opts.intervalMs    - draw length; 0 = no scheduled draws
+ * @param {'holdings'|'activity'} opts.weighting
+ * @param {number} opts.share         - fraction of the pool each draw pays (0–1]
+ * @param {number} opts.claimWindowMs - time a winner has to claim its prize
+ * @param {(agentId: string) => number|null} opts.registeredAt - when an agent was registered to a wallet
+ */
+function createLoot({ store, state, intervalMs, weighting, share, claimWindowMs, registeredAt }) {
+  let accrued = 0;
+  let indexed = 0;
+  let timer = null;
+
+  function sync() {
+    for (; indexed < state.ledger.length; indexed++) accrued += state.ledger[indexed].loot_cut || 0;
+  }
+
+  function update(id, fields) {
+    store.commit({ type: 'loot.update', id, ...fields });
+  }
+
+  /** The open draw, if any (at most one is committed at a time). */
+  function current() {
+    for (const draw of state.lootDraws.values()) {
+      if (draw.status === 'committed') return draw;
+    }
+    return null;
+  }
+
+  /**
+   * Pool totals (USDC).
+   * @returns {{ accrued_usdc, reserved_usdc, distributed_usdc, pool_usdc }}
+   *   pool = accrued − reserved (what the next draw can pay out)
+   */
+  function pool() {
+    sync();
+    let reserved = 0;
+    let distributed = 0;
+    for (const draw of state.lootDraws.values()) {
+      if (RESERVED.has(draw.status)) reserved += draw.amount_usdc;
+      if (draw.status === 'distributed') distributed += draw.amount_usdc;
+    }
+    return {
+      accrued_usdc: round6(accrued),
+      reserved_usdc: round6(reserved),
+      distributed_usdc: round6(distributed),
+      pool_usdc: Math.max(0, round6(accrued - reserved)),
+    };
+  }
+
+  function open(now) {
+    const seed = lootDraw.newSeed();
+    const draw = {
+      id: `ld_${state.lootDraws.size + 1}`,
+      number: state.lootDraws.size + 1,
+      status: 'committed',
+      weighting,
+      share,
+      commitment: lootDraw.commitmentOf(seed),
+      seed,
+      opened_at: now,
+      closes_at: now + intervalMs,
+    };
+    store.commit({ type: 'loot.commit', draw });
+    return draw;
+  }
+
+  function reveal(draw, now) {
+    const rows = state.ledger.slice(0, firstIndexSince(state.ledger, draw.closes_at));
+    const entropy = lootDraw.entropyOf(rows);
+    const randomness = lootDraw.drawRandomness(draw.seed, entropy);
+    // Prizes go to wallets: agents without one at close cannot win
+    const excluded = lootDraw.drawWeights(rows, draw)
+      .filter(e => {
+        const at = registeredAt(e.agent_id);
+        return at === null || at >= draw.closes_at;
+      })
+      .map(e => e.agent_id);
+    const entries = lootDraw.drawWeights(rows, { ...draw, excluded });
+    const winner = lootDraw.pickWinner(entries, randomness);
+
+    // Pool at close: loot booked before closes_at minus what earlier draws took
+    let available = rows.reduce((sum, tx) => sum + (tx.loot_cut || 0), 0);
+    for (const other of state.lootDraws.values()) {
+      if (other.id !== draw.id && RESERVED.has(other.status)) available -= other.amount_usdc;
+    }
+    const amount = winner ? Math.max(0, round6(available * draw.share)) : 0;
+    const drawn = winner && amount > 0;
+
+    update(draw.id, {
+      status: drawn ? 'drawn' : 'void',
+      entropy,
+      randomness,
+      ledger_index: rows.length,
+      excluded,
+      entries,
+      total_weight: winner ? winner.total_weight : 0,
+      ticket: winner ? winner.ticket : null,
+      winner: winner ? winner.agent_id : null,
+      amount_usdc: winner ? amount : 0,
+      revealed_at: now,
+      ...(drawn ? { claim_by: now + claimWindowMs } : {}),
+    });
+  }
+
+  /**
+   * Void drawn prizes whose winner let the claim window pass.
+   * @returns {number|null} earliest claim_by still pending
+   */
+  function expireClaims(now) {
+    let next = null;
+    for (const draw of Array.from(state.lootDraws.values())) {
+      if (draw.status !== 'drawn' || draw.claim_by === undefined) continue;
+      if (draw.claim_by <= now) {
+        update(draw.id, { status: 'void', void_reason: 'unclaimed', voided_at: now });
+      } else if (next === null || draw.claim_by < next) {
+        next = draw.claim_by;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Reveal the open draw if it has closed, void unclaimed prizes, open the
+   * next draw and schedule the following tick.
+   */
+  function tick() {
+    clearTimeout(timer);
+    const now = Date.now();
+    let draw = current();
+    if (draw && draw.closes_at <= now) {
+      reveal(draw, now);
+      draw = null;
+    }
+    const claimBy = expireClaims(now);
+    if (!draw && intervalMs) draw = open(now);
+    const next = Math.min(draw ? draw.closes_at : Infinity, claimBy ?? Infinity);
+    if (next === Infinity) return;
+    // setTimeout overflows past ~24.8 days — tick again then
+    timer = setTimeout(tick, Math.min(next - now, 2 ** 31 - 1));
+    timer.unref();
+  }
+
+  /**
+   * Draws, newest first.
+   * @returns {{ total: number, draws: Array<object> }}
+   */
+  function list({ page, limit }) {
+    const all = Array.from(state.lootDraws.values());
+    const start = all.length - 1 - (page - 1) * limit;
+    const draws = [];
+    for (let i = start; i >= 0 && draws.length < limit; i--) {
+      const { entries: _entries, excluded: _excluded, ...summary } = publicDraw(all[i]);
+      draws.push(summary);
+    }
+    return { total: all.length, draws };
+  }
+
+  return { tick, pool, current, list };
+}
+
+module.exports = { createLoot, publicDraw, distributeLootInstruction, WEIGHTINGS: lootDraw.WEIGHTINGS };
@@ -0,0 +1,491 @@
+/**
+ * PixelWar AI - Pixel market (/market/orders, /market/book)
+ *
+ * Two kinds of standing orders next to the forced buy (POST /pixel):
+ *
+ *   sell (listing) — an owner offers pixels it holds at `price_usdc` each.
+ *                    A buyer takes one with POST /market/orders/:id/fill
+ *                    (x402, like a claim) or a matching bid takes it.
+ *   buy  (bid)     — up to `quantity` pixels out of a pixel list / region
+ *                    at no more than `price_usdc` each. The bid is paid in
+ *                    full up front (x402) and fills on its own whenever a
+ *                    pixel is listed at or below the limit, or its
+ *                    forced-buy price is at or below it. Whatever the bid
+ *                    did not spend is credited back when it closes.
+ *
+ * Sales through a listing pay the seller `price × (1 − fee)`; the fee is
+ * split between treasury, loot and dev in the claim ratios. Fills against
+ * the forced-buy price are ordinary claims. Either way the fill is a
+ * ledger row like any claim (with `market: { sell, buy }` order ids).
+ *
+ * Orders: open ──▶ filled | cancelled | expired | void
+ *   void — a listing whose pixels all changed hands outside the market
+ *
+ * Matching runs when an order is placed, and on a timer (prices can fall
+ * with time-based pricing, and expiries are enforced there).
+ */
+
+const crypto = require('crypto');
+
+const SIDES = ['buy', 'sell'];
+const STATUSES = ['open', 'filled', 'cancelled', 'expired', 'void'];
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+function toXY(key) {
+  const [x, y] = key.split(':').map(Number);
+  return { x, y };
+}
+
+/**
+ * An order as served by the API (pixel keys as { x, y }).
+ */
+function publicOrder(order) {
+  return { ...order, pixels: order.pixels.map(toXY) };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store
+ * @param {object} opts.state            - store state view (marketOrders, canvas)
+ * @param {(x, y, pixel) => number} opts.calcPrice    - forced-buy price of a pixel (undefined = unclaimed)
+ * @param {(args) => { key, pixel, tx, result }} opts.buildClaim - server's claim builder
+ * @param {(seq, claims) => void} opts.publish         - push committed claims to the change feed
+ * @param {(buyer, owner) => object|null} [opts.shields] - alliance rule: may `buyer` not take `owner`'s pixel?
+ * @param {{ treasury: number, loot: number, dev: number }} opts.feeSplit - ratios the fee is split by
+ * @param {number} opts.feeRatio         - share of a listing sale kept as fee
+ * @param {number} [opts.intervalMs=60000] - matching / expiry timer (0 = only on new orders)
+ */
+function createMarket({ store, state, calcPrice, buildClaim, publish, shields = () => null, feeSplit, feeRatio, intervalMs = 60_000 }) {
+  const asks = new Map();  // pixel key → Set<order id> (open listings)
+  const bids = new Map();  // pixel key → Set<order id> (open bids)
+  const openIds = new Set(); // ids of open orders — closed ones stay in the store only
+  let timer = null;
+
+  function indexOrder(order, previous = null) {
+    const book = order.side === 'sell' ? asks : bids;
+    if (previous) {
+      for (const key of previous.pixels) {
+        const ids = book.get(key);
+        if (!ids) continue;
+        ids.delete(order.id);
+        if (ids.size === 0) book.delete(key);
+      }
+    }
+    if (order.status !== 'open') {
+      openIds.delete(order.id);
+      return;
+    }
+    openIds.add(order.id);
+    for (const key of order.pixels) {
+      if (!book.has(key)) book.set(key, new Set());
+      book.get(key).add(order.id);
+    }
+  }
+  for (const order of state.marketOrders.values()) indexOrder(order);
+
+  function ordersAt(book, key) {
+    const ids = book.get(key);
+    return ids ? Array.from(ids, id => state.marketOrders.get(id)) : [];
+  }
+
+  // Every market write goes through here so the pixel index follows it
+  function commit(event) {
+    const before = new Map();
+    const ids = event.type === 'market.order'
+      ? [event.order.id]
+      : event.type === 'market.fill' ? event.orders.map(o => o.id) : [event.id];
+    for (const id of ids) before.set(id, state.marketOrders.get(id) || null);
+    const seq = store.commit(event);
+    for (const [id, previous] of before) indexOrder(state.marketOrders.get(id), previous);
+    return seq;
+  }
+
+  function refundCredit(order, amount, now) {
+    return {
+      id: `cr_${crypto.randomUUID()}`,
+      agent_id: order.agent_id,
+      amount_usdc: round6(amount),
+      reason: 'market_refund',
+      order_id: order.id,
+      x: null, y: null,
+      quote_id: null,
+      tx_hash: order.tx_hash,
+      ...(order.payer ? { payer: order.payer } : {}),
+      status: 'credited',
+      timestamp: now,
+    };
+  }
+
+  /**
+   * Revenue split of a listing sale at `price`. The seller's share is sale
+   * proceeds, not a rebate: it is booked as `sale_proceeds` so alliance
+   * tithes and rebate totals only see pixels taken by force.
+   */
+  function saleSplit(price) {
+    const fee = price * feeRatio;
+    const parts = feeSplit.treasury + feeSplit.loot + feeSplit.dev;
+    return {
+      rebate_to_previous_owner: 0,
+      sale_proceeds: round6(price - fee),
+      treasury_cut: round6(fee * feeSplit.treasury / parts),
+      loot_cut: round6(fee * feeSplit.loot / parts),
+      dev_cut: round6(fee * feeSplit.dev / parts),
+    };
+  }
+
+  // ── Fills ──
+
+  /**
+   * Order updates for a fill of `key` at `price` (omitted orders: null).
+   */
+  function listingAfterFill(listing, key, fill) {
+    const pixels = listing.pixels.filter(k => k !== key);
+    return {
+      id: listing.id,
+      pixels,
+      filled: listing.filled + 1,
+      fills: [...listing.fills, fill],
+      ...(pixels.length === 0 ? { status: 'filled', closed_at: fill.at } : {}),
+    };
+  }
+
+  function bidAfterFill(bid, key, fill, credits) {
+    const filled = bid.filled + 1;
+    const spent = round6(bid.spent_usdc + fill.price_usdc);
+    const pixels = bid.pixels.filter(k => k !== key);
+    const done = filled >= bid.quantity || pixels.length === 0;
+    if (done && bid.escrow_usdc - spent > 0) credits.push(refundCredit(bid, bid.escrow_usdc - spent, fill.at));
+    return {
+      id: bid.id,
+      pixels,
+      filled,
+      spent_usdc: spent,
+      fills: [...bid.fills, fill],
+      ...(done ? { status: 'filled', closed_at: fill.at, refund_usdc: round6(bid.escrow_usdc - spent) } : {}),
+    };
+  }
+
+  /**
+   * Cheapest way for `bid` to take `key` right now, or null.
+   * @returns {{ price: number, listing: object|null, current: object|undefined } | null}
+   */
+  function bestFill(bid, key) {
+    const current = state.canvas.get(key);
+    if (current && current.owner === bid.agent_id) return null;
+
+    let best = null;
+    if (current) {
+      for (const listing of ordersAt(asks, key)) {
+        if (!isLive(listing, Date.now()) || listing.agent_id !== current.owner || listing.price_usdc > bid.price_usdc) continue;
+        if (!best || listing.price_usdc < best.price) best = { price: listing.price_usdc, listing, current };
+      }
+    }
+    if (!current || !shields(bid.agent_id, current.owner)) {
+      const { x, y } = toXY(key);
+      const forced = calcPrice(x, y, current);
+      // A listing wins ties: its seller asked for the sale
+      if (forced <= bid.price_usdc && (!best || forced < best.price)) best = { price: forced, listing: null, current };
+    }
+    return best;
+  }
+
+  /**
+   * Execute one fill: the claim, both orders' updates and any refund, as a
+   * single store event.
+   */
+  function fill({ key, buyer, color, price, current, listing = null, bid = null, tx_hash, payer = null, quote_id = null, payment = null, now }) {
+    const { x, y } = toXY(key);
+    const claim = buildClaim({
+      x, y,
+      color,
+      owner: buyer,
+      current,
+      price_paid: price,
+      tx_hash,
+      payer,
+      quote_id,
+      now,
+      ...(listing ? { split: saleSplit(price) } : {}),
+      market: { sell: listing ? listing.id : null, buy: bid ? bid.id : null },
+    });
+    const record = { x, y, price_usdc: price, buyer, seller: current ? current.owner : null, tx_hash, at: now };
+    const credits = [];
+    const orders = [];
+    if (listing) orders.push(listingAfterFill(listing, key, { ...record, via: bid ? 'bid' : 'direct' }));
+    if (bid) orders.push(bidAfterFill(bid, key, { ...record, via: listing ? 'listing' : 'forced' }, credits));
+
+    const seq = commit({
+      type: 'market.fill',
+      claims: [{ key: claim.key, pixel: claim.pixel, tx: claim.tx }],
+      orders,
+      ...(credits.length ? { credits } : {}),
+      ...(payment ? { payment } : {}),
+    });
+    publish(seq, [claim]);
+    return claim;
+  }
+
+  function isLive(order, now) {
+    return order && order.status === 'open' && order.expires_at > now;
+  }
+
+  /**
+   * Fill `bid` from whatever is available now, pixel by pixel.
+   * @returns {number} fills made
+   */
+  function matchBid(bid, now = Date.now()) {
+    let fills = 0;
+    for (const key of bid.pixels) {
+      const open = state.marketOrders.get(bid.id);
+      if (!isLive(open, now)) break;
+      const best = bestFill(open, key);
+      if (!best) continue;
+      fill({ key, buyer: open.agent_id, color: open.color, price: best.price, current: best.current, listing: best.listing, bid: open, tx_hash: open.tx_hash, payer: open.payer, now });
+      fills++;
+    }
+    return fills;
+  }
+
+  /**
+   * Offer `key` to the bids on it, highest limit (then oldest) first.
+   */
+  function matchKey(key, now = Date.now()) {
+    const waiting = ordersAt(bids, key)
+      .filter(b => isLive(b, now))
+      .sort((a, b) => b.price_usdc - a.price_usdc || a.created_at - b.created_at);
+    for (const bid of waiting) {
+      const best = bestFill(bid, key);
+      if (!best) continue;
+      fill({ key, buyer: bid.agent_id, color: bid.color, price: best.price, current: best.current, listing: best.listing, bid, tx_hash: bid.tx_hash, payer: bid.payer, now });
+      return;
+    }
+  }
+
+  // ── Orders ──
+
+  /**
+   * Record a listing (pixels already checked to be the seller's) and let
+   * waiting bids take it.
+   */
+  function list({ agent_id, pixels, price_usdc, expires_at }) {
+    const now = Date.now();
+    const order = {
+      id: `mo_${state.marketOrders.size + 1}`,
+      side: 'sell',
+      agent_id,
+      pixels,
+      price_usdc,
+      quantity: pixels.length,
+      filled: 0,
+      fills: [],
+      status: 'open',
+      created_at: now,
+      expires_at,
+    };
+    commit({ type: 'market.order', order });
+    for (const key of pixels) {
+      if (!isLive(state.marketOrders.get(order.id), now)) break;
+      matchKey(key, now);
+    }
+    return state.marketOrders.get(order.id);
+  }
+
+  /**
+   * Record a paid bid and fill what it can right away.
+   * @param {object} bid
+   * @param {object} bid.payment - spent-payment record of the escrow
+   */
+  function bid({ agent_id, pixels, price_usdc, quantity, color, expires_at, escrow_usdc, tx_hash, payer = null, quote_id, payment }) {
+    const now = Date.now();
+    const order = {
+      id: `mo_${state.marketOrders.size + 1}`,
+      side: 'buy',
+      agent_id,
+      pixels,
+      price_usdc,
+      quantity,
+      color,
+      filled: 0,
+      escrow_usdc: round6(escrow_usdc),
+      spent_usdc: 0,
+      fills: [],
+      tx_hash,
+      ...(payer ? { payer } : {}),
+      quote_id,
+      status: 'open',
+      created_at: now,
+      expires_at,
+    };
+    commit({ type: 'market.order', order, payment });
+    matchBid(order, now);
+    return state.marketOrders.get(order.id);
+  }
+
+  /**
+   * Buy a listed pixel with a verified payment (POST /market/orders/:id/fill).
+   * Call synchronously after checking the listing, pixel version and price.
+   */
+  function buyListing({ listing, key, buyer, color, current, tx_hash, payer = null, quote_id, payment }) {
+    return fill({ key, buyer, color, price: listing.price_usdc, current, listing, tx_hash, payer, quote_id, payment, now: Date.now() });
+  }
+
+  /**
+   * Close an open order; a bid's unspent escrow is credited back.
+   */
+  function close(order, status, now = Date.now()) {
+    const refund = order.side === 'buy' ? round6(order.escrow_usdc - order.spent_usdc) : 0;
+    commit({
+      type: 'market.update',
+      id: order.id,
+      status,
+      closed_at: now,
+      ...(order.side === 'buy' ? { refund_usdc: refund } : {}),
+      ...(refund > 0 ? { credit: refundCredit(order, refund, now) } : {}),
+    });
+    return state.marketOrders.get(order.id);
+  }
+
+  /**
+   * @returns {{ ok: true, order } | { ok: false, status, error }}
+   */
+  function cancel(id, by) {
+    const order = state.marketOrders.get(id);
+    if (!order) return { ok: false, status: 404, error: 'Unknown order' };
+    if (order.agent_id !== by) return { ok: false, status: 403, error: `Order ${id} belongs to "${order.agent_id}"` };
+    if (order.status !== 'open') return { ok: false, status: 409, error: `Order is ${order.status}` };
+    return { ok: true, order: close(order, 'cancelled') };
+  }
+
+  /**
+   * Pixel change feed listener: listed pixels that changed hands outside
+   * the market drop out of their listing.
+   */
+  function onChanges(changes) {
+    const now = Date.now();
+    for (const change of changes) {
+      const key = `${change.x}:${change.y}`;
+      for (const listing of ordersAt(asks, key)) {
+        if (listing.agent_id === change.owner) continue;
+        const pixels = listing.pixels.filter(k => k !== key);
+        commit({
+          type: 'market.update',
+          id: listing.id,
+          pixels,
+          ...(pixels.length === 0 ? { status: listing.filled > 0 ? 'filled' : 'void', closed_at: now } : {}),
+        });
+      }
+    }
+  }
+
+  /**
+   * Expire old orders, then retry every open bid against current prices.
+   */
+  function tick() {
+    clearTimeout(timer);
+    const now = Date.now();
+    for (const id of Array.from(openIds)) {
+      const order = state.marketOrders.get(id);
+      if (order.expires_at <= now) close(order, 'expired', now);
+    }
+    for (const id of Array.from(openIds)) {
+      const order = state.marketOrders.get(id);
+      if (order.side === 'buy' && isLive(order, now)) matchBid(order, now);
+    }
+    if (!intervalMs) return;
+    timer = setTimeout(tick, intervalMs);
+    timer.unref();
+  }
+
+  // ── Queries ──
+
+  function get(id) {
+    return state.marketOrders.get(id) || null;
+  }
+
+  /**
+   * Orders, newest first.
+   * @param {object} f
+   * @param {'buy'|'sell'} [f.side]
+   * @param {string} [f.status]
+   * @param {string} [f.agent_id]
+   * @param {{ x0, y0, x1, y1 }} [f.region] - orders with a pixel inside
+   */
+  function orders({ side = null, status = null, agent_id = null, region = null, page, limit }) {
+    const inRegion = key => {
+      const { x, y } = toXY(key);
+      return x >= region.x0 && x <= region.x1 && y >= region.y0 && y <= region.y1;
+    };
+    const all = Array.from(state.marketOrders.values()).filter(o =>
+      (!side || o.side === side)
+      && (!status || o.status === status)
+      && (!agent_id || o.agent_id === agent_id)
+      && (!region || o.pixels.some(inRegion)));
+    const start = all.length - 1 - (page - 1) * limit;
+    const list = [];
+    for (let i = start; i >= 0 && list.length < limit; i--) list.push(all[i]);
+    return { total: all.length, orders: list };
+  }
+
+  /**
+   * Order book of a region: open listings and bids aggregated by price.
+   *
+   *   asks — [{ price_usdc, pixels, orders }] cheapest first (pixels inside the region)
+   *   bids — [{ price_usdc, quantity, orders }] highest first (quantity still
+   *          wanted, capped by the bid's pixels inside the region)
+   */
+  function book(region) {
+    const now = Date.now();
+    const askLevels = new Map();
+    const bidLevels = new Map();
+    const seen = new Set();
+    for (let y = region.y0; y <= region.y1; y++) {
+      for (let x = region.x0; x <= region.x1; x++) {
+        const key = `${x}:${y}`;
+        for (const order of ordersAt(asks, key)) {
+          if (!isLive(order, now)) continue;
+          const level = askLevels.get(order.price_usdc) || { price_usdc: order.price_usdc, pixels: 0, orders: new Set() };
+          level.pixels++;
+          level.orders.add(order.id);
+          askLevels.set(order.price_usdc, level);
+        }
+        for (const order of ordersAt(bids, key)) {
+          if (!isLive(order, now)) continue;
+          const level = bidLevels.get(order.price_usdc) || { price_usdc: order.price_usdc, quantity: 0, orders: new Set(), inside: new Map() };
+          level.inside.set(order.id, (level.inside.get(order.id) || 0) + 1);
+          level.orders.add(order.id);
+          bidLevels.set(order.price_usdc, level);
+          seen.add(order.id);
+        }
+      }
+    }
+    for (const level of bidLevels.values()) {
+      for (const [id, inside] of level.inside) {
+        const order = state.marketOrders.get(id);
+        level.quantity += Math.min(inside, order.quantity - order.filled);
+      }
+      delete level.inside;
+    }
+    const flat = level => ({ ...level, orders: level.orders.size });
+    return {
+      asks: Array.from(askLevels.values()).sort((a, b) => a.price_usdc - b.price_usdc).map(flat),
+      bids: Array.from(bidLevels.values()).sort((a, b) => b.price_usdc - a.price_usdc).map(flat),
+    };
+  }
+
+  /** Open listings on one pixel (cheapest first). */
+  function listingsAt(key) {
+    const now = Date.now();
+    return ordersAt(asks, key).filter(o => isLive(o, now)).sort((a, b) => a.price_usdc - b.price_usdc);
+  }
+
+  function openCount() {
+    return openIds.size;
+  }
+
+  return { list, bid, buyListing, cancel, onChanges, tick, get, orders, book, listingsAt, openCount, saleSplit };
+}
+
+module.exports = { createMarket, publicOrder, SIDES, STATUSES };
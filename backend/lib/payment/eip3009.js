@@ -0,0 +1,170 @@
+/**
+ * PixelWar AI - EIP-3009 `transferWithAuthorization` (x402 "exact" EVM scheme)
+ *
+ * The agent signs a USDC TransferWithAuthorization typed-data message
+ * instead of sending a transaction; the server checks it offline and then
+ * submits it on-chain itself (paying the gas).
+ *
+ * X-PAYMENT payload:
+ *   {
+ *     signature: "0x…",
+ *     authorization: { from, to, value, validAfter, validBefore, nonce }
+ *   }
+ *
+ * Everything in `verifyAuthorization` is pure — no RPC — so it can be
+ * exercised with ethers wallets alone.
+ */
+
+const { ethers } = require('ethers');
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from',        type: 'address' },
+    { name: 'to',          type: 'address' },
+    { name: 'value',       type: 'uint256' },
+    { name: 'validAfter',  type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce',       type: 'bytes32' },
+  ],
+};
+
+const USDC_AUTH_ABI = [
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, uint8 v, bytes32 r, bytes32 s)',
+  'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+];
+
+/**
+ * True if an x402 payload uses the authorization form.
+ */
+function isAuthorizationPayload(payload) {
+  return !!(payload && payload.authorization && payload.signature);
+}
+
+/**
+ * EIP-712 domain of the USDC contract.
+ * @param {{ name: string, version: string, chainId: number, verifyingContract: string }} domain
+ */
+function usdcDomain({ name, version, chainId, verifyingContract }) {
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Offline verification of a TransferWithAuthorization payload.
+ *
+ * @param {object} opts
+ * @param {object} opts.payload          - { signature, authorization }
+ * @param {object} opts.domain           - USDC EIP-712 domain
+ * @param {string} opts.payTo            - expected recipient
+ * @param {bigint} opts.minValue         - minimum amount (base units)
+ * @param {number} [opts.nowSeconds]     - clock override
+ * @param {number} [opts.settleWindowSeconds=6] - validBefore must leave this much time to settle
+ * @returns {{ ok: boolean, payer?: string, value?: bigint, nonce?: string, reason?: string }}
+ */
+function verifyAuthorization({
+  payload,
+  domain,
+  payTo,
+  minValue,
+  nowSeconds = Math.floor(Date.now() / 1000),
+  settleWindowSeconds = 6,
+}) {
+  if (!isAuthorizationPayload(payload)) return { ok: false, reason: 'missing authorization or signature' };
+
+  const a = payload.authorization;
+  let message;
+  try {
+    message = {
+      from:        ethers.getAddress(a.from),
+      to:          ethers.getAddress(a.to),
+      value:       BigInt(a.value),
+      validAfter:  BigInt(a.validAfter),
+      validBefore: BigInt(a.validBefore),
+      nonce:       ethers.hexlify(ethers.getBytes(a.nonce)),
+    };
+  } catch (err) {
+    return { ok: false, reason: `malformed authorization: ${err.shortMessage || err.message}` };
+  }
+  if (ethers.getBytes(message.nonce).length !== 32) {
+    return { ok: false, reason: 'authorization nonce must be 32 bytes' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, message, payload.signature);
+  } catch (err) {
+    return { ok: false, reason: `bad signature: ${err.shortMessage || err.message}` };
+  }
+
+  if (signer !== message.from) {
+    return { ok: false, reason: `signature is from ${signer}, not ${message.from}` };
+  }
+  if (message.to !== ethers.getAddress(payTo)) {
+    return { ok: false, reason: `authorization pays ${message.to}, expected ${payTo}` };
+  }
+  if (message.value < minValue) {
+    return { ok: false, reason: `amount too low: got ${message.value}, expected ${minValue}` };
+  }
+
+  const now = BigInt(nowSeconds);
+  if (message.validAfter > now) {
+    return { ok: false, reason: 'authorization not yet valid (validAfter in the future)' };
+  }
+  if (message.validBefore <= now + BigInt(settleWindowSeconds)) {
+    return { ok: false, reason: 'authorization expired (validBefore too close)' };
+  }
+
+  return { ok: true, payer: message.from, value: message.value, nonce: message.nonce, message };
+}
+
+/**
+ * Submit a verified authorization on-chain and wait for it to be mined.
+ *
+ * Errors before the transaction is broadcast throw (nothing moved). Once
+ * it has a hash, a failed or timed-out wait returns `unconfirmed: true`:
+ * the transfer has most likely gone through, and the authorization cannot
+ * be submitted again.
+ *
+ * @param {object} opts
+ * @param {ethers.Signer} opts.signer    - relayer wallet (pays gas)
+ * @param {string}        opts.usdc      - USDC contract address
+ * @param {object}        opts.message   - normalized message from verifyAuthorization
+ * @param {string}        opts.signature
+ * @param {number}        [opts.timeoutMs=120000] - how long to wait for the receipt
+ * @returns {Promise<{ ok: boolean, txHash?: string, unconfirmed?: boolean, reason?: string }>}
+ */
+async function settleAuthorization({ signer, usdc, message, signature, timeoutMs = 120_000 }) {
+  const contract = new ethers.Contract(usdc, USDC_AUTH_ABI, signer);
+
+  const used = await contract.authorizationState(message.from, message.nonce);
+  if (used) return { ok: false, reason: 'authorization nonce already used on-chain' };
+
+  const balance = await contract.balanceOf(message.from);
+  if (balance < message.value) return { ok: false, reason: 'payer has insufficient USDC balance' };
+
+  const sig = ethers.Signature.from(signature);
+  const tx = await contract.transferWithAuthorization(
+    message.from, message.to, message.value,
+    message.validAfter, message.validBefore,
+    sig.v, sig.r, sig.s,
+  );
+
+  let receipt;
+  try {
+    receipt = await tx.wait(1, timeoutMs);
+  } catch (err) {
+    if (err.code === 'CALL_EXCEPTION' && err.receipt) return { ok: false, reason: 'settlement tx failed on chain' };
+    return { ok: false, unconfirmed: true, txHash: tx.hash, reason: `settlement outcome unknown: ${err.shortMessage || err.message}` };
+  }
+  if (!receipt || receipt.status !== 1) return { ok: false, reason: 'settlement tx failed on chain' };
+
+  return { ok: true, txHash: receipt.hash };
+}
+
+module.exports = {
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  isAuthorizationPayload,
+  usdcDomain,
+  verifyAuthorization,
+  settleAuthorization,
+};
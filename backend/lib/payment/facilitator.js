@@ -0,0 +1,96 @@
+/**
+ * PixelWar AI - x402 facilitator payment verifier
+ *
+ * Delegates to an x402 facilitator service over HTTP:
+ *
+ *   POST {url}/verify  { x402Version, paymentPayload, paymentRequirements }
+ *     → { isValid, invalidReason?, payer? }
+ *   POST {url}/settle  { x402Version, paymentPayload, paymentRequirements }
+ *     → { success, errorReason?, transaction, network, payer? }
+ */
+
+const x402 = require('../../../agent-sdk/x402');
+
+class FacilitatorVerifier {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url              - facilitator base URL
+   * @param {string} [opts.apiKey]         - sent as Authorization: Bearer
+   * @param {number} [opts.timeoutMs=15000]
+   */
+  constructor({ url, apiKey = null, timeoutMs = 15000 }) {
+    if (!url) throw new Error('FacilitatorVerifier requires FACILITATOR_URL');
+    this.name      = 'facilitator';
+    this.url       = url.replace(/\/$/, '');
+    this.apiKey    = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async _post(path, payment, requirements) {
+    const res = await fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        x402Version: x402.X402_VERSION,
+        paymentPayload: {
+          x402Version: payment.x402Version,
+          scheme: payment.scheme,
+          network: payment.network || requirements.network,
+          payload: payment.payload,
+        },
+        paymentRequirements: requirements,
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      throw new Error(`facilitator ${path} → HTTP ${res.status} ${body.slice(0, 200)}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * The facilitator does not expose chain time — use the local clock.
+   */
+  async chainTime() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Block time of tx-hash proofs is unknown here (`blockTime` omitted):
+   * the facilitator has no record of this app's spent hashes, so the replay
+   * guard keeps such proofs spent for good.
+   * @returns {Promise<{ ok: boolean, payer?: string, amount?: bigint, reason?: string }>}
+   */
+  async verify(payment, requirements) {
+    try {
+      const data = await this._post('/verify', payment, requirements);
+      return data.isValid
+        ? { ok: true, payer: data.payer || null, amount: BigInt(requirements.maxAmountRequired) }
+        : { ok: false, reason: data.invalidReason || 'rejected by facilitator' };
+    } catch (err) {
+      console.error('[payment:facilitator] verify error:', err.message);
+      return { ok: false, reason: `facilitator error: ${err.message}` };
+    }
+  }
+
+  /**
+   * @returns {Promise<{ ok: boolean, transaction?: string, payer?: string, reason?: string }>}
+   */
+  async settle(payment, requirements) {
+    try {
+      const data = await this._post('/settle', payment, requirements);
+      return data.success
+        ? { ok: true, transaction: data.transaction, payer: data.payer || null }
+        : { ok: false, reason: data.errorReason || 'settlement failed at facilitator' };
+    } catch (err) {
+      console.error('[payment:facilitator] settle error:', err.message);
+      return { ok: false, reason: `facilitator error: ${err.message}` };
+    }
+  }
+}
+
+module.exports = { FacilitatorVerifier };
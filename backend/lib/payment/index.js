@@ -0,0 +1,73 @@
+/**
+ * PixelWar AI - Payment verifier factory
+ *
+ * Verifier interface (mirrors the x402 facilitator API):
+ *   name
+ *   chainTime()                   → current chain time (seconds)
+ *   verify(payment, requirements) → { ok, payer?, amount?: bigint, blockTime?, reason? }
+ *   settle(payment, requirements) → { ok, transaction?, payer?, reason? }
+ *
+ * `blockTime` is the mined transfer's block timestamp for tx-hash proofs
+ * (the replay window is measured against it, see replay.js).
+ *
+ * `payment` is a decoded X-PAYMENT header, `requirements` the
+ * PaymentRequirements it must satisfy (see agent-sdk/x402.js).
+ *
+ * Implementations (PAYMENT_VERIFIER):
+ *   rpc         — reads receipts / submits authorizations via a Base RPC node
+ *   facilitator — delegates to an x402 facilitator's /verify and /settle
+ *   simulated   — in-process fake USDC ledger (dev + tests, no network)
+ */
+
+const { RpcVerifier } = require('./rpc');
+const { FacilitatorVerifier } = require('./facilitator');
+const { SimulatedUsdc, SimulatedVerifier } = require('./simulated');
+const { createReplayGuard } = require('./replay');
+
+/**
+ * @param {object} config
+ * @param {string} config.verifier       - rpc | facilitator | simulated
+ * @param {number} config.chainId
+ * @param {string} config.usdcAddress
+ * @param {object} config.usdcDomain     - EIP-712 domain (simulated chain)
+ * @param {string} [config.rpcUrl]
+ * @param {string} [config.settlementPrivateKey]
+ * @param {string} [config.facilitatorUrl]
+ * @param {string} [config.facilitatorApiKey]
+ */
+function createVerifier(config) {
+  switch (config.verifier) {
+    case 'rpc':
+      return new RpcVerifier({
+        rpcUrl: config.rpcUrl,
+        chainId: config.chainId,
+        settlementPrivateKey: config.settlementPrivateKey,
+      });
+    case 'facilitator':
+      return new FacilitatorVerifier({
+        url: config.facilitatorUrl,
+        apiKey: config.facilitatorApiKey,
+      });
+    case 'simulated':
+      return new SimulatedVerifier({
+        chain: new SimulatedUsdc({ address: config.usdcAddress, domain: config.usdcDomain }),
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_VERIFIER "${config.verifier}" (expected rpc | facilitator | simulated)`);
+  }
+}
+
+/**
+ * Stable identifier of a payment proof for replay protection:
+ *   tx:<hash>               — on-chain transfer
+ *   auth:<from>:<nonce>     — EIP-3009 authorization
+ */
+function paymentId(payment) {
+  const p = payment.payload || {};
+  if (p.authorization && p.authorization.from && p.authorization.nonce) {
+    return `auth:${p.authorization.from}:${p.authorization.nonce}`.toLowerCase();
+  }
+  return p.txHash ? `tx:${p.txHash}`.toLowerCase() : null;
+}
+
+module.exports = { createVerifier, createReplayGuard, paymentId, RpcVerifier, FacilitatorVerifier, SimulatedVerifier, SimulatedUsdc };
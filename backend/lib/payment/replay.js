@@ -0,0 +1,96 @@
+/**
+ * PixelWar AI - Payment replay protection
+ *
+ * A payment proof (tx hash or EIP-3009 authorization, see `paymentId`) can
+ * fund exactly one write. Spent proofs are recorded in the store event that
+ * consumed them (pixel.claim / credit.add), together with the pixel and
+ * price they paid for, so they survive restarts.
+ *
+ * To keep that set bounded, proofs are only accepted inside a chain-time
+ * window:
+ *
+ *   tx hash        — the transfer's block time must be ≥ now − window
+ *   authorization  — validBefore must be ≤ now + window
+ *
+ * Either way a proof stops being acceptable at `expires_at`, after which its
+ * entry is pruned: replaying it is refused as too old instead of as reused.
+ * A tx hash whose block time the verifier cannot tell (facilitator) has no
+ * window to fall out of, so its entry is kept for good (`expires_at: null`).
+ */
+
+const { pruneUsedPayments } = require('../storage/state');
+
+// Prune at most this often (seconds) — pruning walks the whole set
+const PRUNE_INTERVAL_SECONDS = 60;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state                 - store state view (usedPayments)
+ * @param {number} [opts.windowSeconds=3600]  - chain-time replay window
+ */
+function createReplayGuard({ state, windowSeconds = 3600 }) {
+  // Proofs being verified / settled right now — not yet in the store
+  const pending = new Set();
+  let lastPrune = 0;
+
+  function prune(nowSec) {
+    if (nowSec - lastPrune < PRUNE_INTERVAL_SECONDS) return;
+    lastPrune = nowSec;
+    const removed = pruneUsedPayments(state, nowSec);
+    if (removed) console.log(`[replay] pruned ${removed} spent payment(s) outside the ${windowSeconds}s window`);
+  }
+
+  /**
+   * Reserve a payment id for the duration of verification + settlement.
+   * @returns {{ ok: boolean, reason?: string }}
+   */
+  function reserve(id, nowSec) {
+    prune(nowSec);
+    if (state.usedPayments.has(id) || pending.has(id)) {
+      return { ok: false, reason: id.startsWith('auth:') ? 'authorization nonce already used' : 'tx_hash already used' };
+    }
+    pending.add(id);
+    return { ok: true };
+  }
+
+  /**
+   * Drop a reservation — after a failed payment (so it can be retried), or
+   * once the consuming store event has been committed.
+   */
+  function release(id) {
+    pending.delete(id);
+  }
+
+  /**
+   * Check an authorization before verifying it.
+   * @param {number|string|bigint} validBefore
+   * @returns {{ ok: boolean, expires_at?: number, reason?: string }}
+   */
+  function admitAuthorization(validBefore, nowSec) {
+    const expires = Number(validBefore);
+    if (!Number.isFinite(expires)) return { ok: false, reason: 'malformed authorization validBefore' };
+    if (expires > nowSec + windowSeconds) {
+      return { ok: false, reason: `authorization validBefore is more than ${windowSeconds}s ahead` };
+    }
+    return { ok: true, expires_at: expires };
+  }
+
+  /**
+   * Check a mined transfer's block time after verifying it. `blockTime`
+   * may be null when the verifier cannot tell (facilitator) — nothing then
+   * proves the transfer is recent, so the spent entry must never be pruned.
+   * @returns {{ ok: boolean, expires_at?: number|null, reason?: string }}
+   */
+  function admitTransfer(blockTime, nowSec) {
+    if (blockTime == null) return { ok: true, expires_at: null };
+    const minted = Number(blockTime);
+    if (minted < nowSec - windowSeconds) {
+      return { ok: false, reason: `payment is older than the ${windowSeconds}s replay window` };
+    }
+    return { ok: true, expires_at: minted + windowSeconds };
+  }
+
+  return { windowSeconds, reserve, release, admitAuthorization, admitTransfer };
+}
+
+module.exports = { createReplayGuard };
@@ -0,0 +1,168 @@
+/**
+ * PixelWar AI - RPC payment verifier
+ *
+ * Talks to a Base JSON-RPC node directly:
+ *   payload { txHash }                   → read the receipt, find the USDC Transfer to payTo
+ *   payload { signature, authorization } → EIP-3009 offline check, then submit with the relayer wallet
+ */
+
+const { ethers } = require('ethers');
+const eip3009 = require('./eip3009');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+class RpcVerifier {
+  /**
+   * @param {object} opts
+   * @param {string} opts.rpcUrl
+   * @param {number} opts.chainId
+   * @param {string} [opts.settlementPrivateKey] - relayer for EIP-3009 (pays gas only)
+   * @param {number} [opts.settleTimeoutMs=120000] - how long to wait for a settlement receipt
+   */
+  constructor({ rpcUrl, chainId, settlementPrivateKey = null, settleTimeoutMs = 120_000 }) {
+    this.name    = 'rpc';
+    this.rpcUrl  = rpcUrl;
+    this.chainId = chainId;
+    this.settlementPrivateKey = settlementPrivateKey;
+    this.settleTimeoutMs = settleTimeoutMs;
+    this._provider = null;
+    this._signer   = null;
+  }
+
+  get provider() {
+    if (!this._provider) this._provider = new ethers.JsonRpcProvider(this.rpcUrl);
+    return this._provider;
+  }
+
+  get signer() {
+    if (!this.settlementPrivateKey) return null;
+    if (!this._signer) this._signer = new ethers.Wallet(this.settlementPrivateKey, this.provider);
+    return this._signer;
+  }
+
+  /**
+   * Timestamp of the latest block (seconds).
+   */
+  async chainTime() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  /**
+   * @param {object} payment       - decoded X-PAYMENT { scheme, network, payload }
+   * @param {object} requirements  - PaymentRequirements the payment must satisfy
+   * @returns {Promise<{ ok: boolean, payer?: string, amount?: bigint, blockTime?: number, reason?: string }>}
+   */
+  async verify(payment, requirements) {
+    const minValue = BigInt(requirements.maxAmountRequired);
+
+    if (eip3009.isAuthorizationPayload(payment.payload)) {
+      const checked = eip3009.verifyAuthorization({
+        payload: payment.payload,
+        domain: domainFor(requirements, this.chainId),
+        payTo: requirements.payTo,
+        minValue,
+      });
+      return checked.ok
+        ? { ok: true, payer: checked.payer, amount: checked.value }
+        : { ok: false, reason: checked.reason };
+    }
+
+    const txHash = payment.payload.txHash;
+    if (!txHash) return { ok: false, reason: 'missing tx_hash' };
+
+    try {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt) return { ok: false, reason: 'tx not found on chain' };
+      if (receipt.status !== 1) return { ok: false, reason: 'tx failed on chain' };
+      const matched = matchTransferLog(receipt.logs, requirements, minValue);
+      if (!matched.ok) return matched;
+      const block = await this.provider.getBlock(receipt.blockNumber);
+      return { ...matched, blockTime: block ? block.timestamp : null };
+    } catch (err) {
+      console.error('[payment:rpc] verify error:', err.message);
+      return { ok: false, reason: `rpc error: ${err.message}` };
+    }
+  }
+
+  /**
+   * Tx-hash payments are already on-chain; authorizations are submitted here.
+   * `unconfirmed` = broadcast as `transaction` but not seen mined (see
+   * eip3009.settleAuthorization).
+   * @returns {Promise<{ ok: boolean, transaction?: string, payer?: string, unconfirmed?: boolean, reason?: string }>}
+   */
+  async settle(payment, requirements) {
+    if (!eip3009.isAuthorizationPayload(payment.payload)) {
+      return { ok: true, transaction: payment.payload.txHash };
+    }
+
+    if (!this.signer) {
+      return { ok: false, reason: 'server cannot settle authorizations (SETTLEMENT_PRIVATE_KEY not set)' };
+    }
+
+    const checked = eip3009.verifyAuthorization({
+      payload: payment.payload,
+      domain: domainFor(requirements, this.chainId),
+      payTo: requirements.payTo,
+      minValue: BigInt(requirements.maxAmountRequired),
+    });
+    if (!checked.ok) return { ok: false, reason: checked.reason };
+
+    try {
+      const settled = await eip3009.settleAuthorization({
+        signer: this.signer,
+        usdc: requirements.asset,
+        message: checked.message,
+        signature: payment.payload.signature,
+        timeoutMs: this.settleTimeoutMs,
+      });
+      if (settled.unconfirmed) {
+        console.error(`[payment:rpc] settlement ${settled.txHash} unconfirmed:`, settled.reason);
+        return { ok: false, unconfirmed: true, transaction: settled.txHash, payer: checked.payer, reason: settled.reason };
+      }
+      return settled.ok
+        ? { ok: true, transaction: settled.txHash, payer: checked.payer }
+        : { ok: false, reason: settled.reason };
+    } catch (err) {
+      console.error('[payment:rpc] settlement error:', err.message);
+      return { ok: false, reason: `settlement error: ${err.shortMessage || err.message}` };
+    }
+  }
+}
+
+/**
+ * USDC EIP-712 domain from x402 requirements (extra.name / extra.version).
+ */
+function domainFor(requirements, chainId) {
+  return eip3009.usdcDomain({
+    name: requirements.extra && requirements.extra.name,
+    version: requirements.extra && requirements.extra.version,
+    chainId,
+    verifyingContract: requirements.asset,
+  });
+}
+
+/**
+ * Find Transfer(from, to=payTo, amount ≥ minValue) emitted by the asset contract.
+ */
+function matchTransferLog(logs, requirements, minValue) {
+  const assetLower = requirements.asset.toLowerCase();
+  const payToLower = requirements.payTo.toLowerCase();
+
+  const log = logs.find(l =>
+    l.address.toLowerCase() === assetLower &&
+    l.topics[0] === TRANSFER_TOPIC &&
+    l.topics.length === 3 &&
+    ('0x' + l.topics[2].slice(26)).toLowerCase() === payToLower
+  );
+  if (!log) return { ok: false, reason: 'no matching USDC Transfer to owner' };
+
+  const amount = BigInt(log.data);
+  if (amount < minValue) {
+    return { ok: false, reason: `amount too low: got ${amount}, expected ${minValue}` };
+  }
+
+  return { ok: true, amount, payer: ethers.getAddress('0x' + log.topics[1].slice(26)) };
+}
+
+module.exports = { RpcVerifier, domainFor, matchTransferLog, TRANSFER_TOPIC };
@@ -0,0 +1,167 @@
+/**
+ * PixelWar AI - Simulated chain payment verifier
+ *
+ * An in-process fake USDC token — balances, transfers, EIP-3009
+ * authorizations and receipts — so the whole 402 → pay → claim loop runs
+ * offline and still rejects what a real chain would reject (unknown or
+ * failed tx, wrong recipient, short amount, bad signature, reused nonce,
+ * insufficient balance).
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const eip3009 = require('./eip3009');
+const { matchTransferLog } = require('./rpc');
+
+class SimulatedUsdc {
+  /**
+   * @param {object} opts
+   * @param {string} opts.address  - token contract address receipts are attributed to
+   * @param {object} opts.domain   - EIP-712 domain for authorizations
+   */
+  constructor({ address, domain }) {
+    this.address  = ethers.getAddress(address);
+    this.domain   = domain;
+    this.balances = new Map();  // checksummed address → bigint
+    this.receipts = new Map();  // txHash → receipt
+    this.usedAuthorizations = new Set(); // `${from}:${nonce}`
+    this.blockNumber = 0;
+  }
+
+  /** Chain clock (seconds) — block timestamps come from here. */
+  now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  balanceOf(address) {
+    return this.balances.get(ethers.getAddress(address)) || 0n;
+  }
+
+  /** Credit `value` base units out of thin air (faucet). */
+  mint(to, value) {
+    const addr = ethers.getAddress(to);
+    this.balances.set(addr, this.balanceOf(addr) + BigInt(value));
+    return this._receipt({ from: ethers.ZeroAddress, to: addr, value: BigInt(value), status: 1 });
+  }
+
+  /**
+   * Move tokens. Like a reverted transaction, a failed transfer still
+   * produces a receipt — with status 0 and no Transfer event.
+   */
+  transfer(from, to, value) {
+    const src = ethers.getAddress(from);
+    const dst = ethers.getAddress(to);
+    const amount = BigInt(value);
+
+    if (amount <= 0n || this.balanceOf(src) < amount) {
+      return this._receipt({ from: src, to: dst, value: amount, status: 0 });
+    }
+    this.balances.set(src, this.balanceOf(src) - amount);
+    this.balances.set(dst, this.balanceOf(dst) + amount);
+    return this._receipt({ from: src, to: dst, value: amount, status: 1 });
+  }
+
+  /**
+   * Execute a signed TransferWithAuthorization.
+   * @returns {{ ok: boolean, receipt?: object, reason?: string }}
+   */
+  transferWithAuthorization(payload) {
+    const a = payload.authorization || {};
+    const checked = eip3009.verifyAuthorization({
+      payload,
+      domain: this.domain,
+      payTo: a.to,
+      minValue: 0n,
+      settleWindowSeconds: 0,
+    });
+    if (!checked.ok) return { ok: false, reason: checked.reason };
+
+    const key = `${checked.payer}:${checked.nonce}`.toLowerCase();
+    if (this.usedAuthorizations.has(key)) return { ok: false, reason: 'authorization nonce already used on-chain' };
+    if (this.balanceOf(checked.payer) < checked.value) return { ok: false, reason: 'payer has insufficient USDC balance' };
+
+    this.usedAuthorizations.add(key);
+    return { ok: true, receipt: this.transfer(checked.payer, checked.message.to, checked.value) };
+  }
+
+  getTransactionReceipt(txHash) {
+    return this.receipts.get(String(txHash).toLowerCase()) || null;
+  }
+
+  _receipt({ from, to, value, status }) {
+    const hash = '0x' + crypto.randomBytes(32).toString('hex');
+    const receipt = {
+      hash,
+      status,
+      blockNumber: ++this.blockNumber,
+      timestamp: this.now(),
+      from, to, value,
+      // Same shape as an ERC-20 Transfer log, so RPC matching logic applies
+      logs: status === 1 ? [{
+        address: this.address,
+        topics: [
+          ethers.id('Transfer(address,address,uint256)'),
+          ethers.zeroPadValue(from, 32),
+          ethers.zeroPadValue(to, 32),
+        ],
+        data: ethers.toBeHex(value, 32),
+      }] : [],
+    };
+    this.receipts.set(hash, receipt);
+    return receipt;
+  }
+}
+
+class SimulatedVerifier {
+  /**
+   * @param {object} opts
+   * @param {SimulatedUsdc} opts.chain
+   */
+  constructor({ chain }) {
+    this.name  = 'simulated';
+    this.chain = chain;
+  }
+
+  async chainTime() {
+    return this.chain.now();
+  }
+
+  async verify(payment, requirements) {
+    const minValue = BigInt(requirements.maxAmountRequired);
+
+    if (eip3009.isAuthorizationPayload(payment.payload)) {
+      const checked = eip3009.verifyAuthorization({
+        payload: payment.payload,
+        domain: this.chain.domain,
+        payTo: requirements.payTo,
+        minValue,
+      });
+      if (!checked.ok) return { ok: false, reason: checked.reason };
+      if (this.chain.balanceOf(checked.payer) < checked.value) {
+        return { ok: false, reason: 'payer has insufficient USDC balance' };
+      }
+      return { ok: true, payer: checked.payer, amount: checked.value };
+    }
+
+    const txHash = payment.payload.txHash;
+    if (!txHash) return { ok: false, reason: 'missing tx_hash' };
+
+    const receipt = this.chain.getTransactionReceipt(txHash);
+    if (!receipt) return { ok: false, reason: 'tx not found on chain' };
+    if (receipt.status !== 1) return { ok: false, reason: 'tx failed on chain' };
+    const matched = matchTransferLog(receipt.logs, requirements, minValue);
+    return matched.ok ? { ...matched, blockTime: receipt.timestamp } : matched;
+  }
+
+  async settle(payment) {
+    if (!eip3009.isAuthorizationPayload(payment.payload)) {
+      return { ok: true, transaction: payment.payload.txHash };
+    }
+    const result = this.chain.transferWithAuthorization(payment.payload);
+    if (!result.ok) return { ok: false, reason: result.reason };
+    if (result.receipt.status !== 1) return { ok: false, reason: 'settlement tx failed on chain' };
+    return { ok: true, transaction: result.receipt.hash, payer: result.receipt.from };
+  }
+}
+
+module.exports = { SimulatedUsdc, SimulatedVerifier };
@@ -0,0 +1,64 @@
+/**
+ * PixelWar AI - Payout executor factory
+ *
+ * Executor interface:
+ *   name
+ *   from                          → address the payouts are paid from
+ *   send({ to, amount, payout })  → { ok: true, tx_hash } | { ok: false, reason, tx_hash? }
+ *
+ * `amount` is in USDC base units (bigint). `ok: false` means no USDC left
+ * the paying wallet (rejected before sending, or the transaction
+ * reverted). When the outcome is unknown — the transaction may have been
+ * broadcast but was never seen mined — `send` throws instead, and the
+ * payout stays held until someone checks the chain (see queue.js).
+ *
+ * Implementations (PAYOUT_EXECUTOR):
+ *   usdc      — ERC-20 transfer from a hot wallet via a Base RPC node
+ *   treasury  — PixelWarTreasury.withdrawTreasury(to, amount) as the contract owner
+ *   simulated — transfer on the simulated USDC chain (dev + tests, no network)
+ */
+
+const { UsdcPayoutExecutor } = require('./usdc');
+const { TreasuryPayoutExecutor } = require('./treasury');
+const { SimulatedPayoutExecutor } = require('./simulated');
+const { createPayoutQueue } = require('./queue');
+
+/**
+ * @param {object} config
+ * @param {string} config.executor          - usdc | treasury | simulated
+ * @param {string} config.usdcAddress
+ * @param {string} [config.rpcUrl]
+ * @param {string} [config.privateKey]      - payout wallet / treasury owner key
+ * @param {string} [config.treasuryAddress] - PixelWarTreasury contract
+ * @param {object} [config.chain]           - SimulatedUsdc (simulated verifier's chain)
+ * @param {string} [config.from]            - simulated: wallet payouts are drawn from
+ */
+function createPayoutExecutor(config) {
+  switch (config.executor) {
+    case 'usdc':
+      return new UsdcPayoutExecutor({
+        rpcUrl: config.rpcUrl,
+        usdcAddress: config.usdcAddress,
+        privateKey: config.privateKey,
+      });
+    case 'treasury':
+      return new TreasuryPayoutExecutor({
+        rpcUrl: config.rpcUrl,
+        treasuryAddress: config.treasuryAddress,
+        privateKey: config.privateKey,
+      });
+    case 'simulated':
+      if (!config.chain) throw new Error('PAYOUT_EXECUTOR=simulated requires PAYMENT_VERIFIER=simulated');
+      return new SimulatedPayoutExecutor({ chain: config.chain, from: config.from });
+    default:
+      throw new Error(`Unknown PAYOUT_EXECUTOR "${config.executor}" (expected usdc | treasury | simulated)`);
+  }
+}
+
+module.exports = {
+  createPayoutExecutor,
+  createPayoutQueue,
+  UsdcPayoutExecutor,
+  TreasuryPayoutExecutor,
+  SimulatedPayoutExecutor,
+};
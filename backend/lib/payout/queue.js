@@ -0,0 +1,111 @@
+/**
+ * PixelWar AI - Payout queue
+ *
+ * Sends queued payouts one at a time, oldest first, recording every step
+ * as a store event so a payout is never paid twice:
+ *
+ *   queued ──▶ sending ──▶ paid     (tx_hash)
+ *                     └──▶ failed   (reason — the amount is available again)
+ *
+ * `sending` is committed before the executor is called. A payout still
+ * `sending` after a crash, or whose executor could not tell whether the
+ * transfer went through, stays held (not re-sent) until an operator checks
+ * the chain and resolves it (POST /admin/payouts/:id/resolve).
+ */
+
+const x402 = require('../../../agent-sdk/x402');
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store       - event store (commit)
+ * @param {object} opts.state       - store state view (payouts)
+ * @param {object|null} opts.executor - payout executor (see index.js); null = hold everything queued
+ */
+function createPayoutQueue({ store, state, executor }) {
+  let running = null;
+  let current = null; // id of the payout being sent
+
+  function update(id, fields) {
+    store.commit({ type: 'payout.update', id, ...fields, updated_at: Date.now() });
+  }
+
+  function nextQueued() {
+    // Map iteration order is insertion order — i.e. request order
+    for (const payout of state.payouts.values()) {
+      if (payout.status === 'queued') return payout;
+    }
+    return null;
+  }
+
+  async function drain() {
+    for (let payout = nextQueued(); payout; payout = nextQueued()) {
+      update(payout.id, { status: 'sending' });
+      current = payout.id;
+      let result;
+      try {
+        result = await executor.send({
+          to: payout.wallet,
+          amount: BigInt(x402.toBaseUnits(payout.amount_usdc)),
+          payout,
+        });
+      } catch (err) {
+        current = null;
+        console.error(`[payout] ${payout.id} outcome unknown — held for manual resolution:`, err.message);
+        update(payout.id, {
+          status: 'sending',
+          ...(err.tx_hash ? { tx_hash: err.tx_hash } : {}),
+          reason: `outcome unknown: ${err.shortMessage || err.message}`,
+        });
+        continue;
+      }
+      current = null;
+      if (result.ok) {
+        update(payout.id, { status: 'paid', tx_hash: result.tx_hash });
+      } else {
+        update(payout.id, {
+          status: 'failed',
+          ...(result.tx_hash ? { tx_hash: result.tx_hash } : {}),
+          reason: result.reason,
+        });
+      }
+    }
+  }
+
+  /**
+   * Start sending queued payouts (no-op while a run is in progress — it
+   * picks up newly queued payouts before finishing).
+   * @returns {Promise<void>} resolves when the queue is drained (never rejects)
+   */
+  function run() {
+    if (!executor) return Promise.resolve();
+    if (!running) {
+      // Callers fire and forget — a failed commit must not become an
+      // unhandled rejection. Whatever stayed queued goes out on the next run.
+      running = drain()
+        .catch(err => {
+          current = null;
+          console.error('[payout] queue run failed (retried at the next run):', err.message);
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  /**
+   * Resolves once no payout is being sent by this process.
+   */
+  function idle() {
+    return running ? running.catch(() => {}) : Promise.resolve();
+  }
+
+  /**
+   * Payouts held in `sending` that this process is not working on.
+   */
+  function stuck() {
+    return Array.from(state.payouts.values()).filter(p => p.status === 'sending' && p.id !== current);
+  }
+
+  return { run, idle, stuck };
+}
+
+module.exports = { createPayoutQueue };
@@ -0,0 +1,30 @@
+/**
+ * PixelWar AI - Simulated payout executor
+ *
+ * Pays out of a wallet on the in-process fake USDC chain (see
+ * payment/simulated.js), so a payout request can be followed end to end —
+ * and an underfunded payout wallet fails the way a real one would.
+ */
+
+class SimulatedPayoutExecutor {
+  /**
+   * @param {object} opts
+   * @param {import('../payment/simulated').SimulatedUsdc} opts.chain
+   * @param {string} opts.from - wallet payouts are drawn from (receives the claim payments)
+   */
+  constructor({ chain, from }) {
+    this.name  = 'simulated';
+    this.chain = chain;
+    this.from  = from;
+  }
+
+  async send({ to, amount }) {
+    const receipt = this.chain.transfer(this.from, to, amount);
+    if (receipt.status !== 1) {
+      return { ok: false, tx_hash: receipt.hash, reason: 'payout wallet has insufficient USDC balance' };
+    }
+    return { ok: true, tx_hash: receipt.hash };
+  }
+}
+
+module.exports = { SimulatedPayoutExecutor };
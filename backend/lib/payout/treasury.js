@@ -0,0 +1,45 @@
+/**
+ * PixelWar AI - Treasury contract payout executor
+ *
+ * Pays out of PixelWarTreasury's treasury balance with
+ * `withdrawTreasury(to, amount)`, signed by the contract owner.
+ */
+
+const { ethers } = require('ethers');
+const { submit, checkBalance } = require('./usdc');
+
+const TREASURY_ABI = [
+  'function withdrawTreasury(address to, uint256 amount)',
+  'function treasuryBalance() view returns (uint256)',
+];
+
+class TreasuryPayoutExecutor {
+  /**
+   * @param {object} opts
+   * @param {string} opts.rpcUrl
+   * @param {string} opts.treasuryAddress
+   * @param {string} opts.privateKey      - treasury contract owner
+   * @param {number} [opts.timeoutMs=120000]
+   */
+  constructor({ rpcUrl, treasuryAddress, privateKey, timeoutMs = 120_000 }) {
+    if (!privateKey) throw new Error('PAYOUT_EXECUTOR=treasury requires PAYOUT_PRIVATE_KEY');
+    if (!treasuryAddress || !ethers.isAddress(treasuryAddress)) {
+      throw new Error('PAYOUT_EXECUTOR=treasury requires TREASURY_CONTRACT_ADDRESS');
+    }
+    this.name      = 'treasury';
+    this.timeoutMs = timeoutMs;
+    this.from      = ethers.getAddress(treasuryAddress);
+    const owner    = new ethers.Wallet(privateKey, new ethers.JsonRpcProvider(rpcUrl));
+    this.treasury  = new ethers.Contract(this.from, TREASURY_ABI, owner);
+  }
+
+  async send({ to, amount }) {
+    // withdrawTreasury(to, 0) would empty the whole treasury
+    if (amount <= 0n) return { ok: false, reason: 'payout amount must be positive' };
+    const short = await checkBalance(() => this.treasury.treasuryBalance(), amount, 'treasury balance is insufficient');
+    if (short) return short;
+    return submit(() => this.treasury.withdrawTreasury(to, amount), this.timeoutMs);
+  }
+}
+
+module.exports = { TreasuryPayoutExecutor };
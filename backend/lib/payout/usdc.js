@@ -0,0 +1,92 @@
+/**
+ * PixelWar AI - USDC transfer payout executor
+ *
+ * Pays from a hot wallet holding USDC: one ERC-20 transfer per payout,
+ * submitted through a Base RPC node and waited on until mined.
+ */
+
+const { ethers } = require('ethers');
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 value) returns (bool)',
+  'function balanceOf(address owner) view returns (uint256)',
+];
+
+// Errors that mean the transaction was never broadcast (or reverted), so
+// no USDC moved and the payout can be released
+const NOT_SENT = new Set(['CALL_EXCEPTION', 'INSUFFICIENT_FUNDS', 'UNPREDICTABLE_GAS_LIMIT', 'INVALID_ARGUMENT']);
+
+/**
+ * Submit a contract call and wait for it to be mined.
+ *
+ * @param {() => Promise<ethers.TransactionResponse>} submitTx
+ * @param {number} timeoutMs - how long to wait for the receipt
+ * @returns {Promise<{ ok: boolean, tx_hash?: string, reason?: string }>}
+ *   throws when the transaction was sent but its outcome is unknown
+ */
+async function submit(submitTx, timeoutMs) {
+  let tx;
+  try {
+    tx = await submitTx();
+  } catch (err) {
+    if (NOT_SENT.has(err.code)) return { ok: false, reason: err.shortMessage || err.message };
+    throw err;
+  }
+
+  try {
+    const receipt = await tx.wait(1, timeoutMs);
+    return { ok: true, tx_hash: receipt.hash };
+  } catch (err) {
+    if (err.code === 'CALL_EXCEPTION' && err.receipt) {
+      return { ok: false, tx_hash: tx.hash, reason: 'payout transaction reverted' };
+    }
+    err.tx_hash = tx.hash;
+    throw err;
+  }
+}
+
+/**
+ * Check the paying balance before submitting. Nothing has been sent yet,
+ * so a failed read is a plain failure (the payout is released), not an
+ * unknown outcome.
+ *
+ * @param {() => Promise<bigint>} readBalance
+ * @param {bigint} amount
+ * @param {string} shortfall - reason when the balance is below `amount`
+ * @returns {Promise<{ ok: false, reason: string } | null>} null = enough funds
+ */
+async function checkBalance(readBalance, amount, shortfall) {
+  let balance;
+  try {
+    balance = await readBalance();
+  } catch (err) {
+    return { ok: false, reason: `balance check failed: ${err.shortMessage || err.message}` };
+  }
+  return balance < amount ? { ok: false, reason: shortfall } : null;
+}
+
+class UsdcPayoutExecutor {
+  /**
+   * @param {object} opts
+   * @param {string} opts.rpcUrl
+   * @param {string} opts.usdcAddress
+   * @param {string} opts.privateKey      - payout wallet (holds USDC + gas)
+   * @param {number} [opts.timeoutMs=120000]
+   */
+  constructor({ rpcUrl, usdcAddress, privateKey, timeoutMs = 120_000 }) {
+    if (!privateKey) throw new Error('PAYOUT_EXECUTOR=usdc requires PAYOUT_PRIVATE_KEY');
+    this.name      = 'usdc';
+    this.timeoutMs = timeoutMs;
+    this.wallet    = new ethers.Wallet(privateKey, new ethers.JsonRpcProvider(rpcUrl));
+    this.from      = this.wallet.address;
+    this.usdc      = new ethers.Contract(usdcAddress, ERC20_ABI, this.wallet);
+  }
+
+  async send({ to, amount }) {
+    const short = await checkBalance(() => this.usdc.balanceOf(this.from), amount, 'payout wallet has insufficient USDC balance');
+    if (short) return short;
+    return submit(() => this.usdc.transfer(to, amount), this.timeoutMs);
+  }
+}
+
+module.exports = { UsdcPayoutExecutor, submit, checkBalance };
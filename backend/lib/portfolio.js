@@ -0,0 +1,105 @@
+/**
+ * PixelWar AI - Per-agent books (GET /agent/:id/portfolio, GET /agent/:id/history)
+ *
+ * Built from the transaction ledger and caught up incrementally on read,
+ * like the heatmap. Each ledger row moves one pixel from `seller` to
+ * `buyer`, so replaying it tracks, per agent:
+ *
+ *   holdings       — pixels currently owned, with the price paid for each
+ *   spent          — Σ price_paid as buyer
+ *   rebates        — Σ rebate_to_previous_owner as seller
+ *   sales          — Σ sale_proceeds as seller (market listing sales)
+ *   cost of losses — Σ price the agent had paid for pixels later taken
+ *   rows           — ledger indices where the agent was buyer or seller
+ */
+
+/**
+ * @param {object} opts
+ * @param {Array}  opts.ledger - store ledger view (TxRecord[])
+ */
+function createAgentBooks({ ledger }) {
+  const books  = new Map(); // agent_id → book
+  const owners = new Map(); // `${x}:${y}` → { owner, price }
+  let indexed = 0;
+
+  function bookFor(agentId) {
+    let book = books.get(agentId);
+    if (!book) {
+      book = {
+        holdings: new Map(), // key → { price, since }
+        spent: 0,
+        claims: 0,
+        rebates: 0,
+        sales: 0,
+        lost: 0,
+        lostCost: 0,
+        rows: [],
+      };
+      books.set(agentId, book);
+    }
+    return book;
+  }
+
+  function sync() {
+    for (; indexed < ledger.length; indexed++) {
+      const tx = ledger[indexed];
+      const key = `${tx.x}:${tx.y}`;
+
+      if (tx.seller) {
+        const seller = bookFor(tx.seller);
+        const held = owners.get(key);
+        seller.holdings.delete(key);
+        seller.rebates += tx.rebate_to_previous_owner || 0;
+        seller.sales += tx.sale_proceeds || 0;
+        seller.lost++;
+        seller.lostCost += held ? held.price : 0;
+        if (tx.seller !== tx.buyer) seller.rows.push(indexed);
+      }
+
+      const buyer = bookFor(tx.buyer);
+      buyer.holdings.set(key, { price: tx.price_paid, since: tx.timestamp });
+      buyer.spent += tx.price_paid;
+      buyer.claims++;
+      buyer.rows.push(indexed);
+      owners.set(key, { owner: tx.buyer, price: tx.price_paid });
+    }
+  }
+
+  /**
+   * Raw book for an agent (null if it never appears in the ledger).
+   */
+  function book(agentId) {
+    sync();
+    return books.get(agentId) || null;
+  }
+
+  /**
+   * Ledger rows involving an agent, newest first.
+   *
+   * @param {string} agentId
+   * @param {object} opts
+   * @param {number} opts.page  - 1-based
+   * @param {number} opts.limit
+   * @param {'buy'|'sell'|null} [opts.side] - only rows where the agent was buyer / seller
+   * @returns {{ total: number, rows: Array<object> }}
+   */
+  function history(agentId, { page, limit, side = null }) {
+    const b = book(agentId);
+    if (!b) return { total: 0, rows: [] };
+
+    const sideOf = tx => (tx.buyer === agentId ? 'buy' : 'sell');
+    const indices = side ? b.rows.filter(i => sideOf(ledger[i]) === side) : b.rows;
+
+    const rows = [];
+    const start = indices.length - 1 - (page - 1) * limit;
+    for (let i = start; i >= 0 && rows.length < limit; i--) {
+      const tx = ledger[indices[i]];
+      rows.push({ ledger_index: indices[i], side: sideOf(tx), ...tx });
+    }
+    return { total: indices.length, rows };
+  }
+
+  return { book, history };
+}
+
+module.exports = { createAgentBooks };
@@ -0,0 +1,53 @@
+/**
+ * PixelWar AI - Time-decay pricing
+ *
+ * A pixel nobody has claimed for a while drifts back toward the base
+ * price: after `delay_seconds` untouched, the distance between the price
+ * and `floor` halves every `half_life_seconds`.
+ *
+ *   price' = floor + (price − floor) × 0.5 ^ (max(0, idle − delay) / half_life)
+ *
+ * `floor` defaults to the chain's initial price. Unclaimed pixels are left alone.
+ */
+
+const DEFAULTS = { half_life_seconds: 86_400, delay_seconds: 0, floor: null };
+
+/**
+ * @param {object} [params]
+ * @param {number} [params.half_life_seconds=86400]
+ * @param {number} [params.delay_seconds=0]  - idle time before decay starts
+ * @param {number} [params.floor]            - USDC (default: the chain's initial price)
+ */
+function createDecayModel(params = {}) {
+  const { half_life_seconds, delay_seconds, floor } = { ...DEFAULTS, ...params };
+  if (!(half_life_seconds > 0)) throw new Error('time_decay pricing: half_life_seconds must be > 0');
+  if (!(delay_seconds >= 0)) throw new Error('time_decay pricing: delay_seconds must be ≥ 0');
+  if (floor !== null && !(floor > 0)) throw new Error('time_decay pricing: floor must be > 0');
+
+  return {
+    name: 'time_decay',
+    base: false,
+    params: { half_life_seconds, delay_seconds, floor },
+
+    apply(price, { pixel, now, initial }) {
+      if (!pixel) return { price };
+      const target = floor ?? initial;
+      const idle_seconds = Math.max(0, (now - pixel.timestamp) / 1000);
+      const factor = Math.pow(0.5, Math.max(0, idle_seconds - delay_seconds) / half_life_seconds);
+      return {
+        price: target + (price - target) * factor,
+        idle_seconds: Math.round(idle_seconds),
+        floor: target,
+        factor: Math.round(factor * 1e6) / 1e6,
+      };
+    },
+
+    // Anywhere between the incoming price and the floor
+    bounds([lo, hi], _stored, { initial }) {
+      const target = floor ?? initial;
+      return [Math.min(lo, target), Math.max(hi, target)];
+    },
+  };
+}
+
+module.exports = { createDecayModel };
@@ -0,0 +1,105 @@
+/**
+ * PixelWar AI - Demand pricing
+ *
+ * Prices follow recent claim velocity around the pixel: claims per hour
+ * in its tile (`tile` × `tile`) over the last `window_seconds`.
+ *
+ *   multiplier = min(max_multiplier, 1 + sensitivity × velocity / reference_per_hour)
+ *
+ * Claim timestamps per tile are caught up from the append-only ledger on
+ * read, one array per tile size, shared by every demand model.
+ */
+
+const DEFAULTS = {
+  window_seconds: 3600,
+  tile: 50,
+  reference_per_hour: 10,
+  sensitivity: 1,
+  max_multiplier: 3,
+};
+
+/**
+ * Claim timestamps per tile, for any number of tile sizes.
+ * @param {object} opts
+ * @param {Array} opts.ledger - store ledger (append-only, time-ordered)
+ */
+function createClaimVelocity({ ledger }) {
+  const bySize = new Map(); // tile size → { indexed, tiles: Map<`${tx}:${ty}`, number[]> }
+
+  function sync(tile) {
+    let entry = bySize.get(tile);
+    if (!entry) {
+      entry = { indexed: 0, tiles: new Map() };
+      bySize.set(tile, entry);
+    }
+    for (; entry.indexed < ledger.length; entry.indexed++) {
+      const tx = ledger[entry.indexed];
+      const key = `${Math.floor(tx.x / tile)}:${Math.floor(tx.y / tile)}`;
+      if (!entry.tiles.has(key)) entry.tiles.set(key, []);
+      entry.tiles.get(key).push(tx.timestamp);
+    }
+    return entry;
+  }
+
+  /**
+   * Claims per hour in the tile of (x, y) over [now − windowMs, now].
+   * @returns {{ claims: number, per_hour: number }}
+   */
+  function rate(x, y, tile, windowMs, now) {
+    const times = sync(tile).tiles.get(`${Math.floor(x / tile)}:${Math.floor(y / tile)}`) || [];
+    const since = now - windowMs;
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < since) lo = mid + 1;
+      else hi = mid;
+    }
+    const claims = times.length - lo;
+    return { claims, per_hour: claims / (windowMs / 3_600_000) };
+  }
+
+  return { rate };
+}
+
+/**
+ * @param {object} [params]
+ * @param {number} [params.window_seconds=3600]
+ * @param {number} [params.tile=50]
+ * @param {number} [params.reference_per_hour=10] - velocity that adds `sensitivity` × the price
+ * @param {number} [params.sensitivity=1]
+ * @param {number} [params.max_multiplier=3]
+ * @param {object} deps
+ * @param {object} deps.velocity - createClaimVelocity()
+ */
+function createDemandModel(params = {}, { velocity }) {
+  const p = { ...DEFAULTS, ...params };
+  if (!(p.window_seconds > 0)) throw new Error('demand pricing: window_seconds must be > 0');
+  if (!(Number.isInteger(p.tile) && p.tile >= 1)) throw new Error('demand pricing: tile must be an integer ≥ 1');
+  if (!(p.reference_per_hour > 0)) throw new Error('demand pricing: reference_per_hour must be > 0');
+  if (!(p.sensitivity >= 0)) throw new Error('demand pricing: sensitivity must be ≥ 0');
+  if (!(p.max_multiplier >= 1)) throw new Error('demand pricing: max_multiplier must be ≥ 1');
+
+  return {
+    name: 'demand',
+    base: false,
+    params: p,
+
+    apply(price, { x, y, now }) {
+      const { claims, per_hour } = velocity.rate(x, y, p.tile, p.window_seconds * 1000, now);
+      const multiplier = Math.min(p.max_multiplier, 1 + p.sensitivity * per_hour / p.reference_per_hour);
+      return {
+        price: price * multiplier,
+        claims_in_window: claims,
+        claims_per_hour: Math.round(per_hour * 100) / 100,
+        multiplier: Math.round(multiplier * 1e4) / 1e4,
+      };
+    },
+
+    bounds([lo, hi]) {
+      return [lo, hi * p.max_multiplier];
+    },
+  };
+}
+
+module.exports = { createDemandModel, createClaimVelocity };
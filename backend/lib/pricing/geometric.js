@@ -0,0 +1,38 @@
+/**
+ * PixelWar AI - Geometric pricing (the original model)
+ *
+ *   unclaimed → initial
+ *   claimed   → last price paid × multiplier
+ */
+
+const DEFAULTS = { initial: 0.001, multiplier: 1.3 };
+
+/**
+ * @param {object} [params]
+ * @param {number} [params.initial=0.001]  - USDC, price of an unclaimed pixel
+ * @param {number} [params.multiplier=1.3] - each claim costs this much more than the last
+ */
+function createGeometricModel(params = {}) {
+  const { initial, multiplier } = { ...DEFAULTS, ...params };
+  if (!(initial > 0)) throw new Error('geometric pricing: initial must be > 0');
+  if (!(multiplier >= 1)) throw new Error('geometric pricing: multiplier must be ≥ 1');
+
+  return {
+    name: 'geometric',
+    base: true,
+    params: { initial, multiplier },
+    initial,
+
+    apply(_price, { pixel }) {
+      if (!pixel) return { price: initial, initial };
+      return { price: pixel.price * multiplier, last_price: pixel.price, multiplier };
+    },
+
+    bounds(_range, stored) {
+      const price = stored === null ? initial : stored * multiplier;
+      return [price, price];
+    },
+  };
+}
+
+module.exports = { createGeometricModel };
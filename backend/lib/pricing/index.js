@@ -0,0 +1,203 @@
+/**
+ * PixelWar AI - Pricing
+ *
+ * The price of claiming a pixel comes from a chain of pricing models. The
+ * first model of a chain is a base model that prices the pixel from
+ * scratch; every following one adjusts the price before it:
+ *
+ *   [{ "model": "geometric", "initial": 0.001, "multiplier": 1.3 },
+ *    { "model": "zone" },
+ *    { "model": "demand", "sensitivity": 0.5 }]
+ *
+ * Model interface:
+ *   name
+ *   base                         — prices from scratch (first in a chain only)
+ *   params                       — effective parameters (shown by GET /price/:x/:y)
+ *   apply(price, ctx)            → { price, ...detail }   ctx = { x, y, pixel, now, initial }
+ *   bounds([lo, hi], stored, ctx) → [lo, hi]  range apply() can return for any pixel
+ *                                  last sold at `stored` (null = unclaimed), at any time
+ *
+ * Models (PRICING `model`):
+ *   geometric  — initial, then last price × multiplier (base; the default chain)
+ *   time_decay — untouched pixels drift back toward the base price
+ *   zone       — premium by distance to the center
+ *   demand     — premium by recent claim velocity around the pixel
+ *
+ * Operators pick chains per region and per season:
+ *
+ *   {
+ *     "models":  [ … ],                                         default chain
+ *     "regions": [{ "name", "x0", "y0", "x1", "y1", "models" }], first match wins
+ *     "seasons": [{ "name", "from", "to", "models"?, "regions"? }]
+ *   }
+ *
+ * A season is active from `from` (inclusive) to `to` (exclusive), ISO-8601
+ * or Unix ms, and replaces the top-level models / regions it sets.
+ */
+
+const { createGeometricModel } = require('./geometric');
+const { createDecayModel } = require('./decay');
+const { createZoneModel } = require('./zone');
+const { createDemandModel, createClaimVelocity } = require('./demand');
+
+const MODELS = ['geometric', 'time_decay', 'zone', 'demand'];
+const DEFAULT_MODELS = [{ model: 'geometric' }];
+const MIN_PRICE = 0.000001; // USDC base unit
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * @param {object} spec - { model, ...params }
+ * @param {object} deps - { size, velocity }
+ */
+function createModel(spec, deps) {
+  const { model, ...params } = spec || {};
+  switch (model) {
+    case 'geometric':
+      return createGeometricModel(params);
+    case 'time_decay':
+      return createDecayModel(params);
+    case 'zone':
+      return createZoneModel(params, deps);
+    case 'demand':
+      return createDemandModel(params, deps);
+    default:
+      throw new Error(`Unknown pricing model "${model}" (expected ${MODELS.join(' | ')})`);
+  }
+}
+
+function createChain(specs, deps, where) {
+  if (!Array.isArray(specs) || specs.length === 0) throw new Error(`Pricing models for ${where} must be a non-empty array`);
+  const models = specs.map(spec => createModel(spec, deps));
+  if (!models[0].base) throw new Error(`Pricing for ${where} must start with a base model (geometric), not "${models[0].name}"`);
+  const extra = models.slice(1).find(m => m.base);
+  if (extra) throw new Error(`Pricing for ${where}: "${extra.name}" can only come first`);
+  const initial = models[0].initial;
+
+  function quote(ctx) {
+    const steps = [];
+    let price = null;
+    for (const model of models) {
+      const { price: next, ...detail } = model.apply(price, { ...ctx, initial });
+      price = next;
+      steps.push({ model: model.name, ...detail, price_usdc: round6(price) });
+    }
+    return { price_usdc: Math.max(MIN_PRICE, round6(price)), steps };
+  }
+
+  function bounds(stored) {
+    let range = null;
+    for (const model of models) range = model.bounds(range, stored, { initial });
+    return range;
+  }
+
+  return { quote, bounds, initial, models };
+}
+
+function parseTime(value, where) {
+  const t = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(t)) throw new Error(`Invalid pricing season time "${value}" in ${where}`);
+  return t;
+}
+
+function createSchedule({ models, regions = [] }, deps, where) {
+  return {
+    chain: createChain(models, deps, where),
+    regions: regions.map((region, i) => {
+      const name = region.name || `region ${i + 1}`;
+      const bounds = ['x0', 'y0', 'x1', 'y1'].map(k => region[k]);
+      if (!bounds.every(Number.isInteger)) throw new Error(`Pricing ${name} needs integer x0, y0, x1, y1`);
+      return {
+        name,
+        x0: Math.min(region.x0, region.x1), y0: Math.min(region.y0, region.y1),
+        x1: Math.max(region.x0, region.x1), y1: Math.max(region.y0, region.y1),
+        chain: createChain(region.models, deps, `${where} / ${name}`),
+      };
+    }),
+  };
+}
+
+/**
+ * @param {object} [config] - see above (default: geometric everywhere)
+ * @param {object} deps
+ * @param {Array}  deps.ledger - store ledger (demand pricing)
+ * @param {number} deps.size   - canvas size
+ */
+function createPricing(config = {}, { ledger, size }) {
+  const deps = { size, velocity: createClaimVelocity({ ledger }) };
+  const models = config.models || DEFAULT_MODELS;
+  const regions = config.regions || [];
+  const base = { name: null, ...createSchedule({ models, regions }, deps, 'default') };
+  const seasons = (config.seasons || []).map((season, i) => {
+    const name = season.name || `season ${i + 1}`;
+    const from = season.from === undefined ? -Infinity : parseTime(season.from, name);
+    const to = season.to === undefined ? Infinity : parseTime(season.to, name);
+    if (!(from < to)) throw new Error(`Pricing ${name}: from must be before to`);
+    return {
+      name, from, to,
+      ...createSchedule({ models: season.models || models, regions: season.regions || regions }, deps, name),
+    };
+  });
+
+  function scheduleAt(now) {
+    return seasons.find(s => s.from <= now && now < s.to) || base;
+  }
+
+  function chainFor(schedule, x, y) {
+    const region = schedule.regions.find(r => x >= r.x0 && x <= r.x1 && y >= r.y0 && y <= r.y1);
+    return region ? { region: region.name, chain: region.chain } : { region: null, chain: schedule.chain };
+  }
+
+  /**
+   * Price of claiming (x, y) over `pixel` (undefined = unclaimed).
+   */
+  function price(x, y, pixel, now = Date.now()) {
+    return chainFor(scheduleAt(now), x, y).chain.quote({ x, y, pixel, now }).price_usdc;
+  }
+
+  /**
+   * Same, with the season, region and each model's step.
+   */
+  function explain(x, y, pixel, now = Date.now()) {
+    const schedule = scheduleAt(now);
+    const { region, chain } = chainFor(schedule, x, y);
+    const { price_usdc, steps } = chain.quote({ x, y, pixel, now });
+    return {
+      price_usdc,
+      season: schedule.name,
+      ...(Number.isFinite(schedule.to) ? { season_ends_at: new Date(schedule.to).toISOString() } : {}),
+      region,
+      steps,
+      models: chain.models.map(m => ({ model: m.name, ...m.params })),
+    };
+  }
+
+  /**
+   * Lowest price any pixel last sold at `stored` (null = unclaimed) can
+   * cost right now, anywhere — lets price-ordered searches stop early.
+   */
+  function floor(stored, now = Date.now()) {
+    const schedule = scheduleAt(now);
+    let lo = schedule.chain.bounds(stored)[0];
+    for (const region of schedule.regions) lo = Math.min(lo, region.chain.bounds(stored)[0]);
+    return Math.max(MIN_PRICE, lo);
+  }
+
+  /**
+   * Base price of an unclaimed pixel under the default chain now.
+   */
+  function initialPrice(now = Date.now()) {
+    return scheduleAt(now).chain.initial;
+  }
+
+  /** Active season name (null = none). */
+  function season(now = Date.now()) {
+    return scheduleAt(now).name;
+  }
+
+  return { price, explain, floor, initialPrice, season };
+}
+
+module.exports = { createPricing, createModel, MODELS };
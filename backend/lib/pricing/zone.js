@@ -0,0 +1,55 @@
+/**
+ * PixelWar AI - Zone premium pricing
+ *
+ * Multiplies the price by the premium of the smallest zone the pixel falls
+ * in — squares around `center`, `radius` being the largest of |dx| and |dy|.
+ * Defaults are the zones of GET /pixels/arbitrage: the middle 50% × 50% ×2,
+ * the middle 75% × 75% ×1.3.
+ */
+
+/**
+ * @param {object} [params]
+ * @param {number[]} [params.center]  - [x, y] (default: canvas center)
+ * @param {Array<{ name?: string, radius: number, multiplier: number }>} [params.zones]
+ * @param {object} deps
+ * @param {number} deps.size - canvas size
+ */
+function createZoneModel(params = {}, { size }) {
+  const center = params.center || [(size - 1) / 2, (size - 1) / 2];
+  const zones = (params.zones || [
+    { name: 'center_zone', radius: size * 0.25, multiplier: 2 },
+    { name: 'mid_zone', radius: size * 0.375, multiplier: 1.3 },
+  ]).slice().sort((a, b) => a.radius - b.radius);
+  if (!Array.isArray(center) || center.length !== 2 || !center.every(Number.isFinite)) {
+    throw new Error('zone pricing: center must be [x, y]');
+  }
+  for (const zone of zones) {
+    if (!(zone.radius >= 0) || !(zone.multiplier > 0)) {
+      throw new Error('zone pricing: every zone needs radius ≥ 0 and multiplier > 0');
+    }
+  }
+  const multipliers = [1, ...zones.map(z => z.multiplier)];
+
+  return {
+    name: 'zone',
+    base: false,
+    params: { center, zones },
+
+    apply(price, { x, y }) {
+      const distance = Math.max(Math.abs(x - center[0]), Math.abs(y - center[1]));
+      const zone = zones.find(z => distance <= z.radius);
+      return {
+        price: zone ? price * zone.multiplier : price,
+        zone: zone ? (zone.name || `r${zone.radius}`) : null,
+        distance: Math.round(distance * 10) / 10,
+        multiplier: zone ? zone.multiplier : 1,
+      };
+    },
+
+    bounds([lo, hi]) {
+      return [lo * Math.min(...multipliers), hi * Math.max(...multipliers)];
+    },
+  };
+}
+
+module.exports = { createZoneModel };
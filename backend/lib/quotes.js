@@ -0,0 +1,134 @@
+/**
+ * PixelWar AI - Signed price quotes
+ *
+ * Every 402 response carries a quote id binding the pixel, the price, the
+ * payer and the pixel version (store seq of its last write). The id is
+ * self-contained and HMAC-signed, so it survives restarts and cannot be
+ * edited to a cheaper price:
+ *
+ *   quote_id = "q1." + base64url(JSON quote) + "." + base64url(HMAC-SHA256)
+ *
+ * Settlement compares the quoted version with the pixel's current one —
+ * if anyone wrote the pixel in between, the quote is stale ("price moved").
+ *
+ * Batch quotes (`kind: "batch"`) carry the total price, a digest of the
+ * ordered pixel list and one version + price per pixel instead of x / y / version.
+ *
+ * Market quotes (lib/market.js) are `kind: "bid"` — the escrow of a bid,
+ * its terms bound by digest — and `kind: "listing"` — one listed pixel,
+ * with the order id next to x / y / version.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'q1';
+
+/**
+ * @param {object} opts
+ * @param {string} opts.secret               - server secret (a quote-specific key is derived from it)
+ * @param {number} [opts.ttlSeconds=300]     - quote lifetime (= 402 maxTimeoutSeconds)
+ */
+function createQuoteSigner({ secret, ttlSeconds = 300 }) {
+  const key = crypto.createHmac('sha256', secret).update('pixelwar:quotes').digest();
+
+  function mac(data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+  }
+
+  function sign(fields) {
+    const now = Date.now();
+    const quote = {
+      ...fields,
+      issued_at: now,
+      expires_at: now + ttlSeconds * 1000,
+      nonce: crypto.randomBytes(6).toString('base64url'),
+    };
+    const body = `${PREFIX}.${Buffer.from(JSON.stringify(quote)).toString('base64url')}`;
+    return { quote_id: `${body}.${mac(body).toString('base64url')}`, quote };
+  }
+
+  /**
+   * @param {object} q
+   * @param {number} q.x
+   * @param {number} q.y
+   * @param {number} q.price_usdc
+   * @param {string} q.payer    - agent_id the quote was issued to
+   * @param {number} q.version  - pixel version the price was computed from
+   * @returns {{ quote_id: string, quote: object }}
+   */
+  function issue({ x, y, price_usdc, payer, version }) {
+    return sign({ x, y, price_usdc, payer, version });
+  }
+
+  /**
+   * Quote for a batch claim. The pixel list is bound by digest (see
+   * `batchDigest`); `versions` follow the same order.
+   * @param {object} q
+   * @param {string}   q.digest
+   * @param {number[]} q.versions
+   * @param {number[]} q.prices     - per-pixel price
+   * @param {number}   q.price_usdc - total
+   * @param {string}   q.payer
+   * @returns {{ quote_id: string, quote: object }}
+   */
+  function issueBatch({ digest, versions, prices, price_usdc, payer }) {
+    return sign({ kind: 'batch', digest, versions, prices, price_usdc, payer });
+  }
+
+  /**
+   * Quote for a market payment.
+   * @param {'bid'|'listing'} kind
+   * @param {object} fields - bid: { digest, price_usdc, payer }
+   *                          listing: { order, x, y, price_usdc, payer, version }
+   * @returns {{ quote_id: string, quote: object }}
+   */
+  function issueMarket(kind, fields) {
+    return sign({ kind, ...fields });
+  }
+
+  /**
+   * Check a quote id's signature. Expired quotes still decode (`expired: true`)
+   * so the caller can credit a payment made against them.
+   * @returns {{ ok: boolean, quote?: object, expired?: boolean, reason?: string }}
+   */
+  function verify(quoteId) {
+    if (!quoteId || typeof quoteId !== 'string') return { ok: false, reason: 'missing_quote' };
+
+    const parts = quoteId.split('.');
+    if (parts.length !== 3 || parts[0] !== PREFIX) return { ok: false, reason: 'malformed_quote' };
+
+    const body  = `${parts[0]}.${parts[1]}`;
+    const given = Buffer.from(parts[2], 'base64url');
+    const want  = mac(body);
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+      return { ok: false, reason: 'bad_quote_signature' };
+    }
+
+    let quote;
+    try {
+      quote = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch {
+      return { ok: false, reason: 'malformed_quote' };
+    }
+    return { ok: true, quote, expired: quote.expires_at <= Date.now() };
+  }
+
+  return { issue, issueBatch, issueMarket, verify, ttlSeconds };
+}
+
+/**
+ * Digest of an ordered pixel list ([{ x, y }]) for batch quotes.
+ */
+function batchDigest(pixels) {
+  const list = pixels.map(p => `${p.x}:${p.y}`).join(',');
+  return crypto.createHash('sha256').update(list).digest('base64url');
+}
+
+/**
+ * Digest of a bid's terms (any JSON-able object with a stable key order).
+ */
+function orderDigest(terms) {
+  return crypto.createHash('sha256').update(JSON.stringify(terms)).digest('base64url');
+}
+
+module.exports = { createQuoteSigner, batchDigest, orderDigest };
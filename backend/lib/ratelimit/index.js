@@ -0,0 +1,128 @@
+/**
+ * PixelWar AI - Rate limiting
+ *
+ * Token buckets: a limit of N per window is a bucket of N tokens refilled
+ * continuously at N / window, so bursts up to N are allowed and the long-run
+ * rate is capped. Each request takes one token from every bucket that
+ * applies to it, and is refused (429) if any of them is empty:
+ *
+ *   ip     — client IP (always; the only key for guests)
+ *   agent  — agent_id of the bearer token
+ *   wallet — wallet the agent is registered to, so several agent_ids
+ *            behind one wallet share its budget
+ *
+ * Bucket key = `${scope}:${id}:${tier}:${rule}` — the limit follows the
+ * caller's token tier, and each rule (a request class or an overridden
+ * route, see policy.js) has its own buckets.
+ *
+ * Bucket store interface (RATE_LIMIT_STORE):
+ *   name
+ *   take(buckets, now) → { allowed, tokens[] }   all-or-nothing
+ *   close()
+ *
+ * Implementations:
+ *   memory — per process (default)
+ *   redis  — shared by every instance using the same REDIS_URL
+ */
+
+const { createPolicy, parseRate, DEFAULT_LIMITS } = require('./policy');
+const { MemoryBucketStore } = require('./memory');
+const { RedisBucketStore } = require('./redis');
+
+const SCOPES = ['ip', 'agent', 'wallet'];
+
+/**
+ * @param {object} config
+ * @param {string} config.store      - memory | redis
+ * @param {string} [config.redisUrl]
+ */
+function createRateLimitStore(config) {
+  switch (config.store) {
+    case 'memory':
+      return new MemoryBucketStore();
+    case 'redis':
+      return new RedisBucketStore({ url: config.redisUrl });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${config.store}" (expected memory | redis)`);
+  }
+}
+
+/**
+ * Express middleware. Mount after auth.attachAgent (reads req.agent).
+ *
+ * @param {object} opts
+ * @param {object} opts.store                - bucket store
+ * @param {Function} opts.policy             - createPolicy(...)
+ * @param {string[]} [opts.scopes]           - subset of ip | agent | wallet
+ * @param {(agentId) => string|null} [opts.walletOf] - registered wallet of an agent
+ */
+function createRateLimiter({ store, policy, scopes = SCOPES, walletOf = () => null }) {
+  for (const scope of scopes) {
+    if (!SCOPES.includes(scope)) throw new Error(`Unknown rate-limit scope "${scope}" (expected ${SCOPES.join(' | ')})`);
+  }
+
+  function keysFor(req) {
+    const { tier, agent_id: agentId } = req.agent;
+    const ids = [];
+    // Guests are anonymous: the IP is all there is to key on
+    if (scopes.includes('ip') || !agentId) ids.push(['ip', req.ip]);
+    if (agentId && scopes.includes('agent')) ids.push(['agent', agentId]);
+    if (agentId && scopes.includes('wallet')) {
+      const wallet = walletOf(agentId);
+      if (wallet) ids.push(['wallet', wallet.toLowerCase()]);
+    }
+    return ids.map(([scope, id]) => `${scope}:${id}:${tier}`);
+  }
+
+  return async function rateLimit(req, res, next) {
+    const rule = policy(req.method, req.path);
+    if (!rule) return next();
+
+    const { limit, windowMs } = rule.limits[req.agent.tier];
+    const refillPerMs = limit / windowMs;
+    const buckets = keysFor(req).map(key => ({ key: `${key}:${rule.rule}`, capacity: limit, refillPerMs }));
+
+    let result;
+    try {
+      result = await store.take(buckets, Date.now());
+    } catch (err) {
+      // A broken limiter must not take the API down with it
+      console.error('[ratelimit] bucket store error, letting request through:', err.message);
+      return next();
+    }
+
+    // Report the emptiest bucket (they share capacity and refill rate)
+    const tokens = Math.min(...result.tokens);
+    const remaining = Math.max(0, Math.floor(tokens));
+    const resetSeconds = Math.ceil((limit - tokens) / refillPerMs / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${Math.round(windowMs / 1000)}`,
+    });
+    if (result.allowed) return next();
+
+    const retryAfter = Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: `Rate limit exceeded: ${limit} requests per ${Math.round(windowMs / 1000)}s for ${req.agent.tier} — retry in ${retryAfter}s`,
+      code: 'rate_limited',
+      tier: req.agent.tier,
+      limit,
+      window_seconds: Math.round(windowMs / 1000),
+      retry_after: retryAfter,
+    });
+  };
+}
+
+module.exports = {
+  createRateLimitStore,
+  createRateLimiter,
+  createPolicy,
+  parseRate,
+  DEFAULT_LIMITS,
+  SCOPES,
+  MemoryBucketStore,
+  RedisBucketStore,
+};
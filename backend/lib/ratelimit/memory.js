@@ -0,0 +1,56 @@
+/**
+ * PixelWar AI - In-process token bucket store
+ *
+ * Limits are per process: with several instances each one enforces them
+ * separately (use the redis store to share them).
+ */
+
+// Sweep idle buckets at most this often
+const SWEEP_INTERVAL_MS = 60_000;
+
+class MemoryBucketStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map(); // key → { tokens, ts, fullAt }
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Take one token from every bucket, or from none if any is empty.
+   *
+   * @param {Array<{ key: string, capacity: number, refillPerMs: number }>} buckets
+   * @param {number} now - ms
+   * @returns {Promise<{ allowed: boolean, tokens: number[] }>} tokens left in each
+   *   bucket (after the take, if allowed)
+   */
+  async take(buckets, now) {
+    this.sweep(now);
+
+    const tokens = buckets.map(b => {
+      const state = this.buckets.get(b.key);
+      if (!state) return b.capacity;
+      return Math.min(b.capacity, state.tokens + Math.max(0, now - state.ts) * b.refillPerMs);
+    });
+    const allowed = tokens.every(t => t >= 1);
+    if (!allowed) return { allowed, tokens };
+
+    buckets.forEach((b, i) => {
+      tokens[i] -= 1;
+      this.buckets.set(b.key, { tokens: tokens[i], ts: now, fullAt: now + (b.capacity - tokens[i]) / b.refillPerMs });
+    });
+    return { allowed, tokens };
+  }
+
+  // A bucket that has refilled completely is the same as no bucket
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+    for (const [key, state] of this.buckets) {
+      if (state.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryBucketStore };
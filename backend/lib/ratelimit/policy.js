@@ -0,0 +1,95 @@
+/**
+ * PixelWar AI - Rate-limit policy
+ *
+ * Which limits apply to a request. Every route belongs to a class —
+ * `read` (GET / HEAD) or `write` (everything else) — whose per-tier limits
+ * come from agent-sdk/api_spec.md. Single routes can override the tier
+ * limits of their class, or be exempt (`null`).
+ *
+ * Limits are written "<count>/<unit>" with unit s | min | h, e.g. "60/min".
+ */
+
+const { TIERS } = require('../auth');
+
+const DEFAULT_LIMITS = {
+  read:  { guest: '60/min', ai_verified: '300/min', alliance_member: '600/min' },
+  write: { guest: '5/min',  ai_verified: '30/min',  alliance_member: '60/min' },
+};
+
+// Health checks come from load balancers, not clients
+const DEFAULT_ROUTES = {
+  'GET /health': null,
+};
+
+const UNIT_MS = { s: 1000, sec: 1000, min: 60_000, h: 3_600_000, hour: 3_600_000 };
+
+/**
+ * @param {string} spec - e.g. "60/min"
+ * @returns {{ limit: number, windowMs: number }}
+ */
+function parseRate(spec) {
+  const m = /^\s*(\d+)\s*\/\s*(\d*)\s*([a-z]+)\s*$/.exec(String(spec));
+  const unit = m && UNIT_MS[m[3]];
+  if (!m || !unit || Number(m[1]) < 1) {
+    throw new Error(`Invalid rate limit "${spec}" (expected e.g. "60/min", "10/s", "1000/h")`);
+  }
+  return { limit: Number(m[1]), windowMs: unit * (m[2] ? Number(m[2]) : 1) };
+}
+
+function parseTierLimits(limits, where) {
+  const parsed = {};
+  for (const [tier, spec] of Object.entries(limits)) {
+    if (!TIERS.includes(tier)) throw new Error(`Unknown tier "${tier}" in rate limits for ${where}`);
+    parsed[tier] = parseRate(spec);
+  }
+  return parsed;
+}
+
+/**
+ * "METHOD /path/:param/*" → RegExp over req.path
+ */
+function compilePattern(pattern) {
+  const [method, path] = pattern.trim().split(/\s+/);
+  if (!method || !path || !path.startsWith('/')) {
+    throw new Error(`Invalid rate-limit route "${pattern}" (expected e.g. "GET /pixels")`);
+  }
+  const source = path
+    .split('/')
+    .map(part => (part === '*' ? '.*' : part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return { method: method.toUpperCase(), regex: new RegExp(`^${source}/?$`) };
+}
+
+/**
+ * @param {object} [config]
+ * @param {object} [config.read]   - { tier: "n/unit" } overrides for the read class
+ * @param {object} [config.write]  - same for the write class
+ * @param {object} [config.routes] - { "METHOD /path": { tier: "n/unit" } | null }
+ * @returns {(method: string, path: string) => { rule: string, limits: object } | null}
+ *   null = not limited
+ */
+function createPolicy(config = {}) {
+  const classes = {};
+  for (const name of Object.keys(DEFAULT_LIMITS)) {
+    classes[name] = parseTierLimits({ ...DEFAULT_LIMITS[name], ...(config[name] || {}) }, name);
+  }
+
+  const routes = Object.entries({ ...DEFAULT_ROUTES, ...(config.routes || {}) }).map(([pattern, limits]) => ({
+    pattern,
+    ...compilePattern(pattern),
+    limits: limits === null ? null : parseTierLimits(limits, pattern),
+  }));
+
+  return function resolve(method, path) {
+    const cls = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+    for (const route of routes) {
+      if ((route.method === method || route.method === '*') && route.regex.test(path)) {
+        if (!route.limits) return null;
+        return { rule: route.pattern, limits: { ...classes[cls], ...route.limits } };
+      }
+    }
+    return { rule: cls, limits: classes[cls] };
+  };
+}
+
+module.exports = { createPolicy, parseRate, DEFAULT_LIMITS };
@@ -0,0 +1,75 @@
+/**
+ * PixelWar AI - Redis token bucket store
+ *
+ * Buckets live in Redis hashes ({ t: tokens, ts: last update ms }) so every
+ * instance pointed at the same Redis shares the limits. The check-and-take
+ * over all of a request's buckets runs as one Lua script, i.e. atomically.
+ * Keys expire once their bucket would be full again.
+ */
+
+const Redis = require('ioredis');
+
+// KEYS = bucket keys; ARGV = now, then capacity + refill-per-ms per key
+const TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local allowed = 1
+for i = 1, #KEYS do
+  local cap = tonumber(ARGV[i * 2])
+  local rate = tonumber(ARGV[i * 2 + 1])
+  local b = redis.call('HMGET', KEYS[i], 't', 'ts')
+  local t = tonumber(b[1]) or cap
+  local ts = tonumber(b[2]) or now
+  t = math.min(cap, t + math.max(0, now - ts) * rate)
+  if t < 1 then allowed = 0 end
+  tokens[i] = t
+end
+if allowed == 1 then
+  for i = 1, #KEYS do
+    local cap = tonumber(ARGV[i * 2])
+    local rate = tonumber(ARGV[i * 2 + 1])
+    tokens[i] = tokens[i] - 1
+    redis.call('HSET', KEYS[i], 't', tostring(tokens[i]), 'ts', tostring(now))
+    redis.call('PEXPIRE', KEYS[i], math.ceil((cap - tokens[i]) / rate) + 1000)
+  end
+end
+local out = { allowed }
+for i = 1, #KEYS do out[i + 1] = tostring(tokens[i]) end
+return out
+`;
+
+class RedisBucketStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.url           - redis://…
+   * @param {string} [opts.prefix='pixelwar:rl:']
+   */
+  constructor({ url, prefix = 'pixelwar:rl:' }) {
+    if (!url) throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+    this.name   = 'redis';
+    this.prefix = prefix;
+    // Fail fast instead of queueing while Redis is unreachable — the
+    // limiter lets requests through on errors
+    this.redis  = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    this.redis.on('error', err => console.error('[ratelimit] redis error:', err.message));
+    this.redis.defineCommand('takeTokens', { lua: TAKE_SCRIPT });
+  }
+
+  /** @see MemoryBucketStore#take */
+  async take(buckets, now) {
+    const args = [now];
+    for (const b of buckets) args.push(b.capacity, b.refillPerMs);
+    const [allowed, ...tokens] = await this.redis.takeTokens(
+      buckets.length,
+      ...buckets.map(b => this.prefix + b.key),
+      ...args,
+    );
+    return { allowed: allowed === 1, tokens: tokens.map(Number) };
+  }
+
+  async close() {
+    this.redis.disconnect();
+  }
+}
+
+module.exports = { RedisBucketStore };
@@ -0,0 +1,310 @@
+/**
+ * PixelWar AI - Agent registration (POST /agent/register, GET /agent/:id)
+ *
+ * Binds an agent_id to the wallet that pays for its claims and receives its
+ * payouts. Ownership of the wallet is proven with an EIP-191
+ * (`personal_sign`) signature over a server-issued challenge:
+ *
+ *   1. POST /agent/register/challenge { agent_id, wallet, delegates? }
+ *        → challenge (HMAC-signed, like quote ids) + the message to sign
+ *   2. POST /agent/register { challenge, signature, current_signature? }
+ *
+ * The message names the agent, the wallet and the delegate wallets allowed
+ * to pay for the agent's claims, so registering again (same flow) is also
+ * how delegates are changed. Moving an agent to a different wallet needs
+ * `current_signature` from the wallet it is registered to as well.
+ *
+ * An agent_id that already has history (claims, sales, credits) can only be
+ * registered the first time by a wallet that paid for some of it — the
+ * payer of each payment is kept on its ledger row / credit / bid — so
+ * nobody can register a rival's name and collect what it earned.
+ *
+ * Tokens for a registered agent are only issued against a signature from
+ * its wallet (lib/auth.js):
+ *
+ *   1. POST /agent/signin/challenge { agent_id } → challenge + the message to sign
+ *   2. POST /captcha/verify { challenge_id, answer, agent_id, wallet_challenge, wallet_signature }
+ *
+ *   challenge = "r1." + base64url(JSON fields) + "." + base64url(HMAC-SHA256)   (registration)
+ *             = "s1." + …                                                      (sign-in)
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const PREFIX = 'r1';
+const SIGNIN_PREFIX = 's1';
+const MAX_DELEGATES = 10;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.state            - store state view (agents)
+ * @param {string} opts.secret           - server secret (a registration key is derived from it)
+ * @param {string} opts.network          - x402 network name, shown in the message
+ * @param {number} opts.chainId
+ * @param {number} [opts.ttlSeconds=600] - challenge lifetime
+ */
+function createAgentRegistry({ state, secret, network, chainId, ttlSeconds = 600 }) {
+  const key = crypto.createHmac('sha256', secret).update('pixelwar:registration').digest();
+
+  function mac(data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+  }
+
+  // ── Payment history: agent → { wallets that paid for it } (ledger + credits, incremental) ──
+  const history = new Map();
+  let indexedLedger = 0;
+  let indexedCredits = 0;
+
+  function touch(agentId, payer) {
+    if (!agentId) return;
+    if (!history.has(agentId)) history.set(agentId, new Set());
+    if (payer) history.get(agentId).add(ethers.getAddress(payer));
+  }
+
+  function catchUp() {
+    for (; indexedLedger < state.ledger.length; indexedLedger++) {
+      const tx = state.ledger[indexedLedger];
+      touch(tx.buyer, tx.payer);
+      touch(tx.seller, null);
+    }
+    for (; indexedCredits < state.credits.length; indexedCredits++) {
+      const credit = state.credits[indexedCredits];
+      touch(credit.agent_id, credit.payer);
+    }
+  }
+
+  /**
+   * Whether an agent has any history, and the wallets that paid for it
+   * (bids still open count as paid).
+   * @returns {{ history: boolean, wallets: Set<string> }}
+   */
+  function paymentHistory(agentId) {
+    catchUp();
+    const wallets = new Set(history.get(agentId) || []);
+    let known = history.has(agentId);
+    for (const order of state.marketOrders.values()) {
+      if (order.side !== 'buy' || order.agent_id !== agentId) continue;
+      known = true;
+      if (order.payer) wallets.add(ethers.getAddress(order.payer));
+    }
+    return { history: known, wallets };
+  }
+
+  /**
+   * The exact text the wallet signs (EIP-191 personal_sign).
+   */
+  function message(c) {
+    return [
+      'PixelWar agent registration',
+      '',
+      `Agent: ${c.agent_id}`,
+      `Wallet: ${c.wallet}`,
+      `Delegates: ${c.delegates.length ? c.delegates.join(', ') : 'none'}`,
+      `Network: ${network} (chain ${chainId})`,
+      `Nonce: ${c.nonce}`,
+      `Issued: ${new Date(c.issued_at).toISOString()}`,
+      `Expires: ${new Date(c.expires_at).toISOString()}`,
+    ].join('\n');
+  }
+
+  /**
+   * Issue a registration challenge.
+   * @param {object} req
+   * @param {string} req.agent_id
+   * @param {string} req.wallet
+   * @param {string[]} [req.delegates]
+   * @returns {{ ok: true, challenge: string, message: string, expires_at: number } | { ok: false, error: string }}
+   */
+  function challenge({ agent_id, wallet, delegates = [] }) {
+    if (typeof wallet !== 'string' || !ethers.isAddress(wallet)) return { ok: false, error: 'wallet must be an EVM address' };
+    if (!Array.isArray(delegates) || delegates.length > MAX_DELEGATES) {
+      return { ok: false, error: `delegates must be a list of at most ${MAX_DELEGATES} addresses` };
+    }
+    if (!delegates.every(d => typeof d === 'string' && ethers.isAddress(d))) {
+      return { ok: false, error: 'delegates must be EVM addresses' };
+    }
+    const owner = ethers.getAddress(wallet);
+    if (owner === ethers.ZeroAddress) return { ok: false, error: 'wallet must not be the zero address' };
+
+    const now = Date.now();
+    const fields = {
+      agent_id,
+      wallet: owner,
+      delegates: [...new Set(delegates.map(d => ethers.getAddress(d)))].filter(d => d !== owner),
+      nonce: crypto.randomBytes(12).toString('base64url'),
+      issued_at: now,
+      expires_at: now + ttlSeconds * 1000,
+    };
+    const body = `${PREFIX}.${Buffer.from(JSON.stringify(fields)).toString('base64url')}`;
+    return {
+      ok: true,
+      challenge: `${body}.${mac(body).toString('base64url')}`,
+      message: message(fields),
+      expires_at: fields.expires_at,
+    };
+  }
+
+  function decode(token, prefix = PREFIX) {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== prefix) return null;
+    const body = `${parts[0]}.${parts[1]}`;
+    const expected = mac(body);
+    const given = Buffer.from(parts[2], 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function signer(text, signature) {
+    try {
+      return ethers.verifyMessage(text, signature);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check a signed challenge. Does not write anything — commit the returned
+   * `agent` as an `agent.register` event.
+   *
+   * @param {object} req
+   * @param {string} req.challenge
+   * @param {string} req.signature            - by the challenge's wallet
+   * @param {string} [req.current_signature]  - by the registered wallet, when moving to a new one
+   * @param {boolean} [req.override=false]    - skip the payment-history check (operator)
+   * @returns {{ ok: true, agent: object } | { ok: false, status: number, error: string, code?: string }}
+   */
+  function verify({ challenge: token, signature, current_signature, override = false }) {
+    const c = decode(token);
+    if (!c) return { ok: false, status: 400, error: 'Invalid registration challenge' };
+    if (c.expires_at <= Date.now()) return { ok: false, status: 400, error: 'Registration challenge expired — request a new one' };
+
+    const text = message(c);
+    if (signer(text, signature) !== c.wallet) {
+      return { ok: false, status: 401, error: `signature is not from ${c.wallet}` };
+    }
+
+    const current = state.agents.get(c.agent_id);
+    if (current) {
+      // An older challenge must not undo a later registration
+      if (c.issued_at <= current.updated_at) {
+        return { ok: false, status: 409, error: 'Challenge was issued before the current registration — request a new one' };
+      }
+      if (current.wallet !== c.wallet && signer(text, current_signature) !== current.wallet) {
+        return {
+          ok: false,
+          status: 403,
+          error: `"${c.agent_id}" is registered to ${current.wallet} — current_signature from that wallet is required to move it`,
+        };
+      }
+    } else if (!override) {
+      const paid = paymentHistory(c.agent_id);
+      if (paid.history && !paid.wallets.has(c.wallet)) {
+        return {
+          ok: false,
+          status: 403,
+          error: paid.wallets.size
+            ? `"${c.agent_id}" already has claims — register it with a wallet that paid for them`
+            : `"${c.agent_id}" has history with no recorded payer — ask an operator to register it`,
+          code: 'payer_required',
+        };
+      }
+    }
+
+    const now = Date.now();
+    return {
+      ok: true,
+      agent: {
+        agent_id: c.agent_id,
+        wallet: c.wallet,
+        delegates: c.delegates,
+        registered_at: current ? current.registered_at : now,
+        updated_at: now,
+      },
+    };
+  }
+
+  // ── Sign-in (tokens for a registered agent) ──
+
+  function signInMessage(c) {
+    return [
+      'PixelWar agent sign-in',
+      '',
+      `Agent: ${c.agent_id}`,
+      `Wallet: ${c.wallet}`,
+      `Network: ${network} (chain ${chainId})`,
+      `Nonce: ${c.nonce}`,
+      `Issued: ${new Date(c.issued_at).toISOString()}`,
+      `Expires: ${new Date(c.expires_at).toISOString()}`,
+    ].join('\n');
+  }
+
+  /**
+   * Issue a sign-in challenge for a registered agent.
+   * @returns {{ ok: true, challenge: string, message: string, expires_at: number } | { ok: false, status: number, error: string }}
+   */
+  function signInChallenge(agentId) {
+    const agent = state.agents.get(agentId);
+    if (!agent) return { ok: false, status: 404, error: `"${agentId}" is not registered — no wallet signature needed` };
+
+    const now = Date.now();
+    const fields = {
+      agent_id: agentId,
+      wallet: agent.wallet,
+      nonce: crypto.randomBytes(12).toString('base64url'),
+      issued_at: now,
+      expires_at: now + ttlSeconds * 1000,
+    };
+    const body = `${SIGNIN_PREFIX}.${Buffer.from(JSON.stringify(fields)).toString('base64url')}`;
+    return {
+      ok: true,
+      challenge: `${body}.${mac(body).toString('base64url')}`,
+      message: signInMessage(fields),
+      expires_at: fields.expires_at,
+    };
+  }
+
+  /**
+   * Check a signed sign-in challenge for `agentId`: the signer must be the
+   * wallet the agent is registered to now.
+   * @returns {{ ok: true, wallet: string } | { ok: false, status: number, error: string }}
+   */
+  function verifySignIn(agentId, { challenge: token, signature }) {
+    const c = decode(token, SIGNIN_PREFIX);
+    if (!c) return { ok: false, status: 400, error: 'Invalid sign-in challenge' };
+    if (c.expires_at <= Date.now()) return { ok: false, status: 400, error: 'Sign-in challenge expired — request a new one' };
+    if (c.agent_id !== agentId) return { ok: false, status: 403, error: `Sign-in challenge was issued to "${c.agent_id}", not "${agentId}"` };
+
+    const agent = state.agents.get(agentId);
+    if (!agent || agent.wallet !== c.wallet) {
+      return { ok: false, status: 409, error: 'Registration changed since the challenge was issued — request a new one' };
+    }
+    if (signer(signInMessage(c), signature) !== agent.wallet) {
+      return { ok: false, status: 401, error: `signature is not from ${agent.wallet}` };
+    }
+    return { ok: true, wallet: agent.wallet };
+  }
+
+  /** Registration of an agent, or null. */
+  function get(agentId) {
+    return state.agents.get(agentId) || null;
+  }
+
+  /**
+   * Wallets allowed to pay for an agent's claims (null if unregistered).
+   * @returns {Set<string>|null} checksummed addresses
+   */
+  function payers(agentId) {
+    const agent = state.agents.get(agentId);
+    return agent ? new Set([agent.wallet, ...agent.delegates]) : null;
+  }
+
+  return { challenge, verify, signInChallenge, verifySignIn, get, payers, paymentHistory, message };
+}
+
+module.exports = { createAgentRegistry, MAX_DELEGATES };
@@ -0,0 +1,165 @@
+/**
+ * PixelWar AI - Server-side canvas renderer (GET /canvas.png)
+ *
+ * Renders a region of the board to PNG, each board pixel drawn as a
+ * `scale`×`scale` block. Overlays replace the pixel colors:
+ *
+ *   none  — the colors agents painted
+ *   owner — one stable color per agent (hash of agent_id)
+ *   price — heat ramp over log(price), blue = cheapest in view → red = priciest
+ *
+ * With `agent` set, pixels owned by anyone else are dimmed so that
+ * agent's territory stands out (works with every overlay).
+ *
+ * Rendered images are cached per store seq: any store write invalidates
+ * the whole cache.
+ */
+
+const crypto = require('crypto');
+const { encodePng } = require('./png');
+const { parseHexColor } = require('./bitmap');
+
+const OVERLAYS = ['none', 'owner', 'price'];
+
+// Blue → cyan → green → yellow → red
+const HEAT_STOPS = [
+  [0, 0, 255],
+  [0, 255, 255],
+  [0, 255, 0],
+  [255, 255, 0],
+  [255, 0, 0],
+];
+
+function heatColor(t) {
+  const pos = Math.min(Math.max(t, 0), 1) * (HEAT_STOPS.length - 1);
+  const i = Math.min(Math.floor(pos), HEAT_STOPS.length - 2);
+  const f = pos - i;
+  const [a, b] = [HEAT_STOPS[i], HEAT_STOPS[i + 1]];
+  return [0, 1, 2].map(c => Math.round(a[c] + (b[c] - a[c]) * f));
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0), f(8), f(4)].map(v => Math.round(v * 255));
+}
+
+/**
+ * Stable color for an agent id.
+ */
+function agentColor(agentId) {
+  const hash = crypto.createHash('sha1').update(String(agentId)).digest();
+  return hslToRgb(hash.readUInt16BE(0) % 360, 0.7, 0.55);
+}
+
+/**
+ * Render a region to PNG.
+ *
+ * @param {object} opts
+ * @param {Map}    opts.canvas       - Map<`${x}:${y}`, PixelData>
+ * @param {{ x0, y0, x1, y1 }} opts.region - inclusive bounds
+ * @param {number} [opts.scale=1]    - output pixels per board pixel
+ * @param {string} [opts.overlay='none']
+ * @param {string} [opts.agent]      - highlight this agent, dim everyone else
+ * @param {number[]|null} [opts.background] - [r, g, b] for unclaimed pixels (null = transparent)
+ * @returns {{ png: Buffer, width: number, height: number }}
+ */
+function renderCanvas({ canvas, region, scale = 1, overlay = 'none', agent = null, background = null }) {
+  const { x0, y0, x1, y1 } = region;
+  const width  = (x1 - x0 + 1) * scale;
+  const height = (y1 - y0 + 1) * scale;
+  const out = Buffer.alloc(width * height * 4);
+
+  if (background) {
+    for (let i = 0; i < out.length; i += 4) {
+      out[i] = background[0];
+      out[i + 1] = background[1];
+      out[i + 2] = background[2];
+      out[i + 3] = 255;
+    }
+  }
+
+  const visible = [];
+  for (const [key, pixel] of canvas) {
+    const [x, y] = key.split(':').map(Number);
+    if (x >= x0 && x <= x1 && y >= y0 && y <= y1) visible.push([x, y, pixel]);
+  }
+
+  let logLo = Infinity;
+  let logHi = -Infinity;
+  if (overlay === 'price') {
+    for (const [, , pixel] of visible) {
+      const l = Math.log(pixel.price);
+      if (l < logLo) logLo = l;
+      if (l > logHi) logHi = l;
+    }
+  }
+
+  const ownerColors = new Map();
+  for (const [x, y, pixel] of visible) {
+    let rgb;
+    if (overlay === 'owner') {
+      if (!ownerColors.has(pixel.owner)) ownerColors.set(pixel.owner, agentColor(pixel.owner));
+      rgb = ownerColors.get(pixel.owner);
+    } else if (overlay === 'price') {
+      rgb = heatColor(logHi > logLo ? (Math.log(pixel.price) - logLo) / (logHi - logLo) : 0);
+    } else {
+      rgb = parseHexColor(pixel.color);
+    }
+    if (agent && pixel.owner !== agent) {
+      rgb = rgb.map(c => Math.round(c * 0.2 + 32));
+    }
+
+    for (let dy = 0; dy < scale; dy++) {
+      let offset = (((y - y0) * scale + dy) * width + (x - x0) * scale) * 4;
+      for (let dx = 0; dx < scale; dx++, offset += 4) {
+        out[offset]     = rgb[0];
+        out[offset + 1] = rgb[1];
+        out[offset + 2] = rgb[2];
+        out[offset + 3] = 255;
+      }
+    }
+  }
+
+  return { png: encodePng(out, width, height), width, height };
+}
+
+/**
+ * Cached renderer bound to the store state.
+ *
+ * @param {object} opts
+ * @param {object} opts.state          - store state view (canvas + seq)
+ * @param {number} [opts.maxCached=32] - rendered images kept per seq
+ */
+function createCanvasRenderer({ state, maxCached = 32 }) {
+  let cacheSeq = -1;
+  const cache = new Map(); // params key → { png, width, height, etag }
+
+  /**
+   * @param {object} params - renderCanvas options minus `canvas`
+   * @returns {{ png: Buffer, width: number, height: number, etag: string, cached: boolean }}
+   */
+  function render(params) {
+    if (cacheSeq !== state.seq) {
+      cache.clear();
+      cacheSeq = state.seq;
+    }
+
+    const key = JSON.stringify(params);
+    const hit = cache.get(key);
+    if (hit) return { ...hit, cached: true };
+
+    const image = renderCanvas({ canvas: state.canvas, ...params });
+    const paramsHash = crypto.createHash('sha1').update(key).digest('base64url').slice(0, 12);
+    const entry = { ...image, etag: `"png-${state.seq}-${paramsHash}"` };
+
+    if (cache.size >= maxCached) cache.delete(cache.keys().next().value);
+    cache.set(key, entry);
+    return { ...entry, cached: false };
+  }
+
+  return { render };
+}
+
+module.exports = { OVERLAYS, renderCanvas, createCanvasRenderer, agentColor };
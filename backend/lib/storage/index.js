@@ -0,0 +1,43 @@
+/**
+ * PixelWar AI - Storage adapter factory
+ *
+ * Adapter interface:
+ *   name            : string
+ *   open()          → state   — rebuild { seq, canvas, ledger } (call once on boot)
+ *   commit(event)   → seq     — durably apply one write event
+ *   close()                   — flush and release resources
+ *
+ * Backends (STORE_BACKEND):
+ *   memory  — in-process only, lost on restart
+ *   journal — append-only NDJSON journal + periodic snapshots (default)
+ */
+
+const path = require('path');
+const { MemoryStore }  = require('./memory');
+const { JournalStore } = require('./journal');
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.backend='journal']
+ * @param {string} [config.dir]            - journal data directory
+ * @param {number} [config.snapshotEvery]
+ * @param {boolean} [config.fsync]
+ */
+function createStore(config = {}) {
+  const backend = config.backend || 'journal';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    case 'journal':
+      return new JournalStore({
+        dir: config.dir || path.join(__dirname, '..', '..', 'data'),
+        snapshotEvery: config.snapshotEvery,
+        fsync: config.fsync,
+      });
+    default:
+      throw new Error(`Unknown STORE_BACKEND "${backend}" (expected memory | journal)`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, JournalStore };
@@ -0,0 +1,285 @@
+/**
+ * PixelWar AI - Append-only journal store adapter
+ *
+ * Layout inside `dir`:
+ *   snapshot.json      — state as of `seq`, minus the ledger (written atomically via rename)
+ *   ledger.ndjson      — ledger rows, one per line; the snapshot's `ledger_rows` are valid
+ *   journal.ndjson     — one event per line, appended after every commit
+ *   journal.prev.ndjson — events of a snapshot still being written (see below)
+ *
+ * Boot: load snapshot + its ledger rows → replay journal events with
+ * seq > snapshot.seq (journal.prev first, if present).
+ *
+ * Every `snapshotEvery` commits the journal is rotated to journal.prev and a
+ * snapshot is written in the background: the ledger rows added since the
+ * last snapshot are appended to ledger.ndjson, then snapshot.json is
+ * replaced and journal.prev removed. The ledger only grows, so the work
+ * done per snapshot stays bounded by the commits since the last one, not
+ * by the size of the ledger. A crash at any step is harmless: ledger rows
+ * past `ledger_rows` are cut off and already-snapshotted events are skipped
+ * on replay by their seq. A torn last line (crash mid-write) is cut off
+ * before appending resumes.
+ */
+
+const fs   = require('fs');
+const fsp  = require('fs/promises');
+const path = require('path');
+const { createState, applyEvent, toSnapshot, fromSnapshot } = require('./state');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LEDGER_FILE   = 'ledger.ndjson';
+const JOURNAL_FILE  = 'journal.ndjson';
+const ROTATED_FILE  = 'journal.prev.ndjson';
+
+/**
+ * Split an NDJSON file into its complete lines.
+ * @returns {{ lines: string[], bytes: number[], torn: boolean }}
+ *          bytes[i] = offset after line i; torn = unfinished text after the last line
+ */
+function readLines(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const lines = text.split('\n');
+  const bytes = [];
+  let offset = 0;
+  for (const line of lines) bytes.push(offset += Buffer.byteLength(line) + 1);
+  // Everything after the last '\n' (usually '') was never completed
+  lines.pop();
+  bytes.pop();
+  return { lines, bytes, torn: text.length > 0 && !text.endsWith('\n') };
+}
+
+class JournalStore {
+  /**
+   * @param {object} opts
+   * @param {string}  opts.dir                  - data directory (created if missing)
+   * @param {number}  [opts.snapshotEvery=1000] - commits between snapshots
+   * @param {boolean} [opts.fsync=false]        - fsync the journal after every commit
+   */
+  constructor({ dir, snapshotEvery = 1000, fsync = false }) {
+    this.name          = 'journal';
+    this.dir           = dir;
+    this.snapshotEvery = snapshotEvery;
+    this.fsync         = fsync;
+    this.state         = createState();
+    this._fd           = null;
+    this._sinceSnapshot = 0;
+    this._ledgerRows   = 0;     // rows in ledger.ndjson
+    this._ledgerBytes  = 0;     // … and their length in bytes
+    this._pending      = null;  // background snapshot in flight
+  }
+
+  get snapshotPath() { return path.join(this.dir, SNAPSHOT_FILE); }
+  get ledgerPath()   { return path.join(this.dir, LEDGER_FILE); }
+  get journalPath()  { return path.join(this.dir, JOURNAL_FILE); }
+  get rotatedPath()  { return path.join(this.dir, ROTATED_FILE); }
+
+  /**
+   * Rebuild state from disk and open the journal for appending.
+   * @returns {object} state
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    let ledgerRows = 0;
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      this.state = fromSnapshot(snapshot);
+      ledgerRows = snapshot.ledger_rows || 0;
+    }
+    this._loadLedger(ledgerRows);
+
+    let replayed = 0;
+    const rotated = fs.existsSync(this.rotatedPath);
+    if (rotated) replayed += this._replay(this.rotatedPath);
+    if (fs.existsSync(this.journalPath)) replayed += this._replay(this.journalPath);
+    this._sinceSnapshot = replayed;
+
+    this._fd = fs.openSync(this.journalPath, 'a');
+    console.log(`[store] journal loaded: seq=${this.state.seq}, pixels=${this.state.canvas.size}, ledger=${this.state.ledger.length}, replayed=${replayed}`);
+
+    // Finish a snapshot interrupted by a crash, and fold a long replay tail
+    if (rotated || replayed >= this.snapshotEvery) this.snapshotSync();
+
+    return this.state;
+  }
+
+  /**
+   * Load the first `rows` rows of ledger.ndjson (rows past them were
+   * written for a snapshot that never landed — they are replayed from the
+   * journal instead) and cut the file there.
+   */
+  _loadLedger(rows) {
+    this._ledgerRows = 0;
+    this._ledgerBytes = 0;
+    if (rows === 0) {
+      if (fs.existsSync(this.ledgerPath)) fs.truncateSync(this.ledgerPath, 0);
+      return;
+    }
+    if (!fs.existsSync(this.ledgerPath)) throw new Error(`Snapshot expects ${rows} ledger rows but ${LEDGER_FILE} is missing`);
+
+    const { lines, bytes } = readLines(this.ledgerPath);
+    if (lines.length < rows) throw new Error(`Snapshot expects ${rows} ledger rows but ${LEDGER_FILE} has ${lines.length}`);
+    this.state.ledger = lines.slice(0, rows).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Corrupt ledger line ${i + 1}: ${err.message}`);
+      }
+    });
+    this._ledgerRows = rows;
+    this._ledgerBytes = bytes[rows - 1];
+    if (fs.statSync(this.ledgerPath).size > this._ledgerBytes) fs.truncateSync(this.ledgerPath, this._ledgerBytes);
+  }
+
+  /**
+   * Apply the events of one journal file that are newer than the state.
+   * @returns {number} events applied
+   */
+  _replay(file) {
+    const { lines, bytes, torn } = readLines(file);
+    let replayed = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Corrupt journal line ${i + 1}: ${err.message}`);
+      }
+
+      if (event.seq <= this.state.seq) continue; // already in snapshot
+      applyEvent(this.state, event);
+      replayed++;
+    }
+    // Only the final line may be torn by a crash — cut it off, or the next
+    // record would be appended onto it
+    if (torn) {
+      console.warn(`[store] dropping torn journal tail at line ${lines.length + 1} of ${path.basename(file)}`);
+      fs.truncateSync(file, lines.length ? bytes[lines.length - 1] : 0);
+    }
+    return replayed;
+  }
+
+  /**
+   * Persist an event to the journal, then apply it.
+   * @param {object} event - { type, ...payload }
+   * @returns {number} sequence number of the event
+   */
+  commit(event) {
+    if (this._fd === null) throw new Error('JournalStore is not open');
+
+    const seq    = this.state.seq + 1;
+    const record = { ...event, seq };
+
+    fs.writeSync(this._fd, JSON.stringify(record) + '\n');
+    if (this.fsync) fs.fsyncSync(this._fd);
+
+    applyEvent(this.state, record);
+
+    if (++this._sinceSnapshot >= this.snapshotEvery && !this._pending) this.snapshot();
+    return seq;
+  }
+
+  /**
+   * Serialize the state (minus the ledger) and collect the ledger rows not
+   * yet on disk. Both are taken now: the state keeps changing afterwards.
+   */
+  _capture() {
+    return {
+      body: JSON.stringify(toSnapshot(this.state)),
+      rows: this.state.ledger.slice(this._ledgerRows),
+    };
+  }
+
+  /**
+   * Rotate the journal and write a snapshot in the background. Commits go
+   * on into a fresh journal meanwhile.
+   * @returns {Promise<void>} settles when the snapshot is on disk (never rejects)
+   */
+  snapshot() {
+    if (this._pending) return this._pending;
+    // A failed background snapshot left its journal behind — never rotate over it
+    if (fs.existsSync(this.rotatedPath)) {
+      try {
+        this.snapshotSync();
+      } catch (err) {
+        console.error(`[store] snapshot failed: ${err.message}`);
+      }
+      return Promise.resolve();
+    }
+
+    const { body, rows } = this._capture();
+    fs.closeSync(this._fd);
+    fs.renameSync(this.journalPath, this.rotatedPath);
+    this._fd = fs.openSync(this.journalPath, 'a');
+    this._sinceSnapshot = 0;
+
+    this._pending = (async () => {
+      await this._appendLedger(rows, fsp);
+      const tmp = `${this.snapshotPath}.tmp`;
+      await fsp.writeFile(tmp, body);
+      await fsp.rename(tmp, this.snapshotPath);
+      await fsp.unlink(this.rotatedPath);
+    })()
+      .catch(err => console.error(`[store] background snapshot failed (retried at the next one): ${err.message}`))
+      .finally(() => { this._pending = null; });
+    return this._pending;
+  }
+
+  /**
+   * Write a snapshot right away and truncate the journal (boot, shutdown,
+   * and recovery from a failed background snapshot).
+   */
+  snapshotSync() {
+    const { body, rows } = this._capture();
+    this._appendLedger(rows, null);
+    const tmp = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, this.snapshotPath);
+
+    if (this._fd !== null) fs.closeSync(this._fd);
+    fs.writeFileSync(this.journalPath, '');
+    if (fs.existsSync(this.rotatedPath)) fs.unlinkSync(this.rotatedPath);
+    this._fd = fs.openSync(this.journalPath, 'a');
+    this._sinceSnapshot = 0;
+  }
+
+  /**
+   * Append ledger rows after the last known-good byte (dropping whatever a
+   * failed earlier attempt left behind). `io` = fs/promises, or null for sync.
+   */
+  _appendLedger(rows, io) {
+    const data = rows.map(row => JSON.stringify(row) + '\n').join('');
+    const done = () => {
+      this._ledgerRows += rows.length;
+      this._ledgerBytes += Buffer.byteLength(data);
+    };
+    if (!io) {
+      fs.writeFileSync(this.ledgerPath, '', { flag: 'a' });
+      fs.truncateSync(this.ledgerPath, this._ledgerBytes);
+      if (data) fs.appendFileSync(this.ledgerPath, data);
+      return done();
+    }
+    return (async () => {
+      await io.writeFile(this.ledgerPath, '', { flag: 'a' });
+      await io.truncate(this.ledgerPath, this._ledgerBytes);
+      if (data) await io.appendFile(this.ledgerPath, data);
+      done();
+    })();
+  }
+
+  /**
+   * Wait for a background snapshot, write the final one and close.
+   */
+  async close() {
+    if (this._fd === null) return;
+    if (this._pending) await this._pending;
+    this.snapshotSync();
+    fs.closeSync(this._fd);
+    this._fd = null;
+  }
+}
+
+module.exports = { JournalStore };
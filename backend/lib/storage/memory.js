@@ -0,0 +1,35 @@
+/**
+ * PixelWar AI - In-memory store adapter
+ *
+ * Keeps everything in process memory. State is lost on restart;
+ * useful for local development and throwaway test servers.
+ */
+
+const { createState, applyEvent } = require('./state');
+
+class MemoryStore {
+  constructor() {
+    this.name  = 'memory';
+    this.state = createState();
+  }
+
+  /** Nothing to rebuild — always starts empty. */
+  open() {
+    return this.state;
+  }
+
+  /**
+   * Apply an event. Assigns the next sequence number.
+   * @param {object} event - { type, ...payload }
+   * @returns {number} sequence number of the event
+   */
+  commit(event) {
+    const seq = this.state.seq + 1;
+    applyEvent(this.state, { ...event, seq });
+    return seq;
+  }
+
+  close() {}
+}
+
+module.exports = { MemoryStore };
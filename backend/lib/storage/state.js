@@ -0,0 +1,220 @@
+/**
+ * PixelWar AI - Store state & event reducer
+ *
+ * Every storage adapter keeps the same in-memory view of the game:
+ *
+ *   canvas         : Map<`${x}:${y}`, PixelData>
+ *   ledger         : Array<TxRecord>
+ *   revokedTokens  : Map<jti, exp>         — revoked agent tokens (until they expire)
+ *   tokenNotBefore : Map<agent_id, iat>    — tokens issued before this are revoked
+ *   credits        : Array<CreditRecord>   — payments owed back to agents (e.g. price moved)
+ *   usedPayments   : Map<payment_id, UsedPayment> — spent payment proofs (until their replay window closes)
+ *   payouts        : Map<payout_id, PayoutRecord> — withdrawals of an agent's balance to its wallet
+ *   lootDraws      : Map<draw_id, LootDraw>  — loot pool draws (commit-reveal, see lib/loot.js)
+ *   agents         : Map<agent_id, AgentRegistration> — wallet + delegates bound to an agent (see lib/registry.js)
+ *   alliances      : Map<alliance_id, Alliance> — members, invites and treasury distributions (see lib/alliances.js)
+ *   marketOrders   : Map<order_id, MarketOrder> — pixel listings and escrowed bids (see lib/market.js)
+ *
+ * Writes are expressed as events and applied through `applyEvent`, so a
+ * durable adapter only has to persist the event stream (plus snapshots)
+ * to rebuild exactly the same state on boot.
+ */
+
+/**
+ * Create an empty state.
+ */
+function createState() {
+  return {
+    seq: 0,              // sequence number of the last applied event
+    canvas: new Map(),
+    ledger: [],
+    revokedTokens: new Map(),
+    tokenNotBefore: new Map(),
+    credits: [],
+    usedPayments: new Map(),
+    payouts: new Map(),
+    lootDraws: new Map(),
+    agents: new Map(),
+    alliances: new Map(),
+    marketOrders: new Map(),
+  };
+}
+
+/**
+ * Apply one event to the state (mutates in place).
+ *
+ * Event types:
+ *   pixel.claim         { key, pixel, tx, payment? }  — overwrite pixel (stamped with `seq`) + append ledger row
+ *   pixel.claim_batch   { claims: [{ key, pixel, tx }], credit?, payment? }
+ *                                                     — several claims (+ credit for the unused part) at once
+ *   token.revoke        { jti, exp }                  — revoke one token
+ *   agent.revoke_tokens { agent_id, before }          — revoke every token an agent got before `before`
+ *   agent.register      { agent }                     — bind (or re-bind) an agent to a wallet + delegates
+ *   credit.add          { credit, payment? }          — record an amount owed to an agent
+ *   payout.request      { payout }                    — queue a withdrawal (status "queued")
+ *   payout.update       { id, status, tx_hash?, reason?, updated_at }
+ *                                                     — move a payout along queued → sending → paid | failed
+ *   loot.commit         { draw }                      — open a loot draw (commitment published)
+ *   loot.update         { id, status, ... }           — reveal / pay a loot draw
+ *   alliance.create     { alliance }                  — found an alliance
+ *   alliance.update     { id, members?, invites?, ... } — membership / founder / status changes
+ *   alliance.distribute { id, distribution, credits } — pay treasury out to members as credits
+ *   market.order        { order, payment? }           — place a listing or a (paid) bid
+ *   market.update       { id, status?, pixels?, ..., credit? }
+ *                                                     — cancel / expire / shrink an order (+ refund of a bid)
+ *   market.fill         { claims: [{ key, pixel, tx }], orders: [{ id, ... }], credits?, payment? }
+ *                                                     — pixels changing hands through the market + order updates
+ *
+ * `payment` ({ id, x, y, price_usdc, tx_hash, agent_id, expires_at }) marks the
+ * payment proof that funded the write as spent, in the same event.
+ */
+function applyEvent(state, event) {
+  switch (event.type) {
+    case 'pixel.claim':
+      // seq doubles as the pixel's version — quotes and change feeds compare it
+      state.canvas.set(event.key, { ...event.pixel, seq: event.seq });
+      state.ledger.push(event.tx);
+      if (event.payment) state.usedPayments.set(event.payment.id, event.payment);
+      break;
+    case 'pixel.claim_batch':
+      for (const claim of event.claims) {
+        state.canvas.set(claim.key, { ...claim.pixel, seq: event.seq });
+        state.ledger.push(claim.tx);
+      }
+      if (event.credit) state.credits.push(event.credit);
+      if (event.payment) state.usedPayments.set(event.payment.id, event.payment);
+      break;
+    case 'token.revoke':
+      state.revokedTokens.set(event.jti, event.exp);
+      break;
+    case 'agent.revoke_tokens':
+      state.tokenNotBefore.set(event.agent_id, event.before);
+      break;
+    case 'agent.register':
+      state.agents.set(event.agent.agent_id, event.agent);
+      break;
+    case 'credit.add':
+      state.credits.push(event.credit);
+      if (event.payment) state.usedPayments.set(event.payment.id, event.payment);
+      break;
+    case 'payout.request':
+      state.payouts.set(event.payout.id, event.payout);
+      break;
+    case 'payout.update': {
+      const { type, seq, id, ...update } = event;
+      state.payouts.set(id, { ...state.payouts.get(id), ...update });
+      break;
+    }
+    case 'loot.commit':
+      state.lootDraws.set(event.draw.id, event.draw);
+      break;
+    case 'loot.update': {
+      const { type, seq, id, ...update } = event;
+      state.lootDraws.set(id, { ...state.lootDraws.get(id), ...update });
+      break;
+    }
+    case 'alliance.create':
+      state.alliances.set(event.alliance.id, event.alliance);
+      break;
+    case 'alliance.update': {
+      const { type, seq, id, ...update } = event;
+      state.alliances.set(id, { ...state.alliances.get(id), ...update });
+      break;
+    }
+    case 'alliance.distribute': {
+      const alliance = state.alliances.get(event.id);
+      state.alliances.set(event.id, { ...alliance, distributions: [...alliance.distributions, event.distribution] });
+      state.credits.push(...event.credits);
+      break;
+    }
+    case 'market.order':
+      state.marketOrders.set(event.order.id, event.order);
+      if (event.payment) state.usedPayments.set(event.payment.id, event.payment);
+      break;
+    case 'market.update': {
+      const { type, seq, id, credit, ...update } = event;
+      state.marketOrders.set(id, { ...state.marketOrders.get(id), ...update });
+      if (credit) state.credits.push(credit);
+      break;
+    }
+    case 'market.fill':
+      for (const claim of event.claims) {
+        state.canvas.set(claim.key, { ...claim.pixel, seq: event.seq });
+        state.ledger.push(claim.tx);
+      }
+      for (const { id, ...update } of event.orders) {
+        state.marketOrders.set(id, { ...state.marketOrders.get(id), ...update });
+      }
+      if (event.credits) state.credits.push(...event.credits);
+      if (event.payment) state.usedPayments.set(event.payment.id, event.payment);
+      break;
+    default:
+      throw new Error(`Unknown store event type: ${event.type}`);
+  }
+  state.seq = event.seq;
+}
+
+/**
+ * Forget spent payment proofs whose replay window has closed (`expires_at`,
+ * chain-time seconds) — they are refused as too old anyway.
+ * @returns {number} entries removed
+ */
+function pruneUsedPayments(state, nowSec) {
+  let removed = 0;
+  for (const [id, used] of state.usedPayments) {
+    // expires_at null = no known window (tx hash without block time), kept
+    if (used.expires_at !== null && used.expires_at <= nowSec) {
+      state.usedPayments.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Serialize state to a plain JSON-able object.
+ * The ledger only grows and is persisted on its own (see journal.js): the
+ * snapshot records how many rows it covers in `ledger_rows`.
+ * Revocations of already-expired tokens and spent payments outside their
+ * replay window are dropped — they can never verify again.
+ */
+function toSnapshot(state) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  return {
+    seq: state.seq,
+    canvas: Array.from(state.canvas.entries()),
+    ledger_rows: state.ledger.length,
+    revokedTokens: Array.from(state.revokedTokens.entries()).filter(([, exp]) => exp > nowSec),
+    tokenNotBefore: Array.from(state.tokenNotBefore.entries()),
+    credits: state.credits,
+    usedPayments: Array.from(state.usedPayments.entries()).filter(([, used]) => used.expires_at === null || used.expires_at > nowSec),
+    payouts: Array.from(state.payouts.entries()),
+    lootDraws: Array.from(state.lootDraws.entries()),
+    agents: Array.from(state.agents.entries()),
+    alliances: Array.from(state.alliances.entries()),
+    marketOrders: Array.from(state.marketOrders.entries()),
+  };
+}
+
+/**
+ * Rebuild state from a snapshot produced by `toSnapshot` (the ledger is
+ * loaded by the adapter; older snapshots carry it inline as `ledger`).
+ */
+function fromSnapshot(snapshot) {
+  const state = createState();
+  state.seq = snapshot.seq || 0;
+  state.canvas = new Map(snapshot.canvas || []);
+  state.ledger = snapshot.ledger || [];
+  state.revokedTokens = new Map(snapshot.revokedTokens || []);
+  state.tokenNotBefore = new Map(snapshot.tokenNotBefore || []);
+  state.credits = snapshot.credits || [];
+  state.usedPayments = new Map(snapshot.usedPayments || []);
+  state.payouts = new Map(snapshot.payouts || []);
+  state.lootDraws = new Map(snapshot.lootDraws || []);
+  state.agents = new Map(snapshot.agents || []);
+  state.alliances = new Map(snapshot.alliances || []);
+  state.marketOrders = new Map(snapshot.marketOrders || []);
+  return state;
+}
+
+module.exports = { createState, applyEvent, pruneUsedPayments, toSnapshot, fromSnapshot };
@@ -0,0 +1,97 @@
+/**
+ * PixelWar AI - Signed agent tokens (JWT, HS256)
+ *
+ * Token = base64url(header) . base64url(claims) . base64url(HMAC-SHA256)
+ *
+ * Claims:
+ *   iss      : "pixelwar"
+ *   agent_id : string | null  — agent the token was issued to
+ *   wallet?  : string         — registered wallet that signed for it (see lib/registry.js)
+ *   tier     : string         — guest | ai_verified | alliance_member
+ *   iat, exp : number         — Unix seconds
+ *   jti      : string         — unique id, used for revocation
+ *
+ * Standard JWT libraries can verify these tokens given the same secret.
+ */
+
+const crypto = require('crypto');
+
+const ISSUER = 'pixelwar';
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function b64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * @param {object} opts
+ * @param {string|Buffer} opts.secret     - HMAC key (keep it out of source control)
+ * @param {number}        [opts.ttlSeconds=600]
+ */
+function createTokenSigner({ secret, ttlSeconds = 600 }) {
+  if (!secret || secret.length < 16) {
+    throw new Error('Token secret must be at least 16 characters');
+  }
+
+  /**
+   * Sign a new token.
+   * @returns {{ token: string, claims: object }}
+   */
+  function sign({ agent_id = null, tier, wallet = null }) {
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: ISSUER,
+      agent_id,
+      ...(wallet ? { wallet } : {}),
+      tier,
+      iat,
+      exp: iat + ttlSeconds,
+      jti: crypto.randomUUID(),
+    };
+    const body = `${b64url(JSON.stringify(HEADER))}.${b64url(JSON.stringify(claims))}`;
+    const sig  = hmac(secret, body).toString('base64url');
+    return { token: `${body}.${sig}`, claims };
+  }
+
+  /**
+   * Check signature, issuer and expiry. Does NOT check revocation.
+   * @returns {{ ok: boolean, claims?: object, reason?: string }}
+   */
+  function verify(token) {
+    if (!token || typeof token !== 'string') return { ok: false, reason: 'missing_token' };
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return { ok: false, reason: 'malformed_token' };
+
+    const [h, p, s] = parts;
+    const expected = hmac(secret, `${h}.${p}`);
+    const given    = Buffer.from(s, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { ok: false, reason: 'bad_signature' };
+    }
+
+    let header, claims;
+    try {
+      header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+    } catch {
+      return { ok: false, reason: 'malformed_token' };
+    }
+
+    if (header.alg !== HEADER.alg) return { ok: false, reason: 'unsupported_alg' };
+    if (claims.iss !== ISSUER)     return { ok: false, reason: 'bad_issuer' };
+    if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return { ok: false, reason: 'token_expired', claims };
+    }
+
+    return { ok: true, claims };
+  }
+
+  return { sign, verify, ttlSeconds };
+}
+
+module.exports = { createTokenSigner };
@@ -3,12 +3,38 @@
  * Port: 3001
  *
  * x402 Payment Integration: HTTP 402 Payment Required flow
- * TODO: 替换为 Redis — 当前所有存储使用内存 Map 模拟
+ * Storage: pluggable adapter (lib/storage) — journal by default, memory for dev
  */
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const { once } = require('events');
 const { ethers } = require('ethers');
+const { createStore } = require('./lib/storage');
+const { createAuth, parseBearer } = require('./lib/auth');
+const { createQuoteSigner, batchDigest, orderDigest } = require('./lib/quotes');
+const { createCanvasBitmap, parseHexColor } = require('./lib/bitmap');
+const { createCanvasRenderer, OVERLAYS } = require('./lib/render');
+const { createHeatmap, parseWindow, firstIndexSince } = require('./lib/heatmap');
+const { createPriceIndex, sampleFreePixels, scoreArbitrage } = require('./lib/discovery');
+const { createAgentBooks } = require('./lib/portfolio');
+const { createLeaderboard, RANKINGS } = require('./lib/leaderboard');
+const { createPixelFeed, changeFilter } = require('./lib/events');
+const { createChangeIndex } = require('./lib/changes');
+const { CSV_COLUMNS, parseTime, ledgerFilter, scanLedger, toCsvRow } = require('./lib/ledger');
+const { createBalances } = require('./lib/balances');
+const { createLoot, publicDraw, distributeLootInstruction, WEIGHTINGS } = require('./lib/loot');
+const { createAgentRegistry } = require('./lib/registry');
+const { createAlliances, publicAlliance } = require('./lib/alliances');
+const { createMarket, publicOrder, SIDES, STATUSES } = require('./lib/market');
+const { createPricing } = require('./lib/pricing');
+const { createRateLimitStore, createRateLimiter, createPolicy } = require('./lib/ratelimit');
+const { createVerifier, createReplayGuard, paymentId } = require('./lib/payment');
+const { createPayoutExecutor, createPayoutQueue } = require('./lib/payout');
+const eip3009 = require('./lib/payment/eip3009');
+const captcha = require('../agent-sdk/captcha');
+const x402 = require('../agent-sdk/x402');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -17,30 +43,95 @@ const PORT = process.env.PORT || 3001;
 // x402 Payment Config
 // ─────────────────────────────────────────────
 const OWNER_WALLET_ADDRESS = process.env.OWNER_WALLET_ADDRESS || '0x0000000000000000000000000000000000000000';
-const PAYMENT_NETWORK = process.env.PAYMENT_NETWORK || 'base-sepolia';
+// x402 network name ('base' | 'base-sepolia'; legacy 'base-mainnet' → 'base')
+const PAYMENT_NETWORK = x402.normalizeNetwork(process.env.PAYMENT_NETWORK || 'base-sepolia');
 const PAYMENT_TOKEN = 'USDC';
 const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://sepolia.base.org';
 
-// USDC contract addresses
-const USDC_ADDRESS = PAYMENT_NETWORK === 'base-mainnet'
-  ? '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
-  : '0x036CbD53842c5426634e7929541eC2318f3dCF7e'; // base-sepolia
+if (!x402.networkInfo(PAYMENT_NETWORK)) {
+  throw new Error(`Unsupported PAYMENT_NETWORK "${PAYMENT_NETWORK}" (expected ${Object.keys(x402.NETWORKS).join(' | ')})`);
+}
+
+// USDC contract on the payment network (+ its EIP-712 domain for EIP-3009)
+const NETWORK_INFO = x402.networkInfo(PAYMENT_NETWORK);
+const USDC_ADDRESS = NETWORK_INFO.usdc;
+const USDC_DOMAIN = eip3009.usdcDomain({
+  name: NETWORK_INFO.usdcName,
+  version: NETWORK_INFO.usdcVersion,
+  chainId: NETWORK_INFO.chainId,
+  verifyingContract: USDC_ADDRESS,
+});
 
-const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+// Relayer key that submits EIP-3009 authorizations (pays gas, not USDC)
+const SETTLEMENT_PRIVATE_KEY = process.env.SETTLEMENT_PRIVATE_KEY || null;
 
-// RPC provider (lazy init)
-let _provider = null;
-function getProvider() {
-  if (!_provider) _provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
-  return _provider;
-}
+// Quote lifetime — also advertised as maxTimeoutSeconds in the 402
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '300', 10);
+
+// Payment verifier: rpc | facilitator | simulated.
+// Without a real OWNER_WALLET_ADDRESS there is nothing to pay on-chain, so dev defaults to the simulated chain.
+const DEV_MODE = OWNER_WALLET_ADDRESS === '0x0000000000000000000000000000000000000000';
+const PAYMENT_VERIFIER = process.env.PAYMENT_VERIFIER || (DEV_MODE ? 'simulated' : 'rpc');
+const verifier = createVerifier({
+  verifier: PAYMENT_VERIFIER,
+  chainId: NETWORK_INFO.chainId,
+  usdcAddress: USDC_ADDRESS,
+  usdcDomain: USDC_DOMAIN,
+  rpcUrl: BASE_RPC_URL,
+  settlementPrivateKey: SETTLEMENT_PRIVATE_KEY,
+  facilitatorUrl: process.env.FACILITATOR_URL,
+  facilitatorApiKey: process.env.FACILITATOR_API_KEY,
+});
+
+// Payment proofs are accepted only within this chain-time window, so the
+// persisted set of spent proofs can be pruned (see lib/payment/replay.js)
+const PAYMENT_REPLAY_WINDOW_SECONDS = parseInt(process.env.PAYMENT_REPLAY_WINDOW_SECONDS || '3600', 10);
+
+// PixelWarTreasury contract — pays `treasury` payouts and loot draws
+const TREASURY_CONTRACT_ADDRESS = process.env.TREASURY_CONTRACT_ADDRESS || null;
 
-// Track used tx hashes to prevent replay attacks
-const usedTxHashes = new Set();
+// Payout executor: usdc | treasury | simulated | none.
+// Balances are always tracked; with `none` payout requests are queued and
+// held until an executor is configured.
+const PAYOUT_EXECUTOR = process.env.PAYOUT_EXECUTOR || (verifier.name === 'simulated' ? 'simulated' : 'none');
+const payoutExecutor = PAYOUT_EXECUTOR === 'none' ? null : createPayoutExecutor({
+  executor: PAYOUT_EXECUTOR,
+  usdcAddress: USDC_ADDRESS,
+  rpcUrl: BASE_RPC_URL,
+  privateKey: process.env.PAYOUT_PRIVATE_KEY,
+  treasuryAddress: TREASURY_CONTRACT_ADDRESS,
+  chain: verifier.chain,
+  from: OWNER_WALLET_ADDRESS,
+});
+
+// Smallest payout worth a transfer
+const PAYOUT_MIN_USDC = parseFloat(process.env.PAYOUT_MIN_USDC || '0.01');
+
+// ─────────────────────────────────────────────
+// Auth Config (reverse CAPTCHA → signed bearer token)
+// ─────────────────────────────────────────────
+const CAPTCHA_TTL_MS = parseInt(process.env.CAPTCHA_TTL_MS || '5000', 10);
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS || '600', 10);
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Without a configured secret every restart invalidates outstanding tokens
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.TOKEN_SECRET) {
+  console.warn('[auth] TOKEN_SECRET not set — using a random per-process key (tokens die on restart)');
+}
 
 // ─────────────────────────────────────────────
-// In-Memory Store  (TODO: 替换为 Redis ioredis)
+// Store
 // ─────────────────────────────────────────────
+const STORE_BACKEND = process.env.STORE_BACKEND || 'journal';
+const store = createStore({
+  backend: STORE_BACKEND,
+  dir: process.env.STORE_DIR,
+  snapshotEvery: parseInt(process.env.STORE_SNAPSHOT_EVERY || '1000', 10),
+  fsync: process.env.STORE_FSYNC === 'true',
+});
+const storeState = store.open();
+
 /**
  * Canvas storage: Map<`${x}:${y}`, PixelData>
  *
@@ -50,25 +141,184 @@ const usedTxHashes = new Set();
  *   price     : number        — current USDC price
  *   timestamp : number        — Unix ms
  * }
+ *
+ * Read-only view owned by the store — write through `store.commit()`.
  */
-const canvasStore = new Map(); // TODO: 替换为 Redis Hash
+const canvasStore = storeState.canvas;
 
 /**
  * Transaction ledger: Array<TxRecord>
+ * Read-only view owned by the store — write through `store.commit()`.
  */
-const txLedger = []; // TODO: 替换为 Redis List / Stream
+const txLedger = storeState.ledger;
+
+const quotes = createQuoteSigner({ secret: TOKEN_SECRET, ttlSeconds: QUOTE_TTL_SECONDS });
+
+const replay = createReplayGuard({ state: storeState, windowSeconds: PAYMENT_REPLAY_WINDOW_SECONDS });
+
+// Wallet-bound agents (POST /agent/register). A registered agent's claims
+// must be paid from its wallet or a delegate; with AGENT_REGISTRATION_REQUIRED
+// unregistered agent_ids cannot claim at all.
+const registry = createAgentRegistry({
+  state: storeState,
+  secret: TOKEN_SECRET,
+  network: PAYMENT_NETWORK,
+  chainId: NETWORK_INFO.chainId,
+});
+const AGENT_REGISTRATION_REQUIRED = process.env.AGENT_REGISTRATION_REQUIRED === 'true';
+
+// Tokens of a registered agent are bound to its wallet (see lib/auth.js)
+const auth = createAuth({
+  secret: TOKEN_SECRET,
+  ttlSeconds: TOKEN_TTL_SECONDS,
+  store,
+  state: storeState,
+  walletOf: agentId => registry.get(agentId)?.wallet || null,
+});
+
+// Token-bucket rate limits per IP, agent and wallet (lib/ratelimit). The
+// per-tier defaults are the api_spec.md table; RATE_LIMITS overrides them as
+// JSON: { "read": { tier: "n/unit" }, "write": {...}, "routes": {...}, "scopes": [...] }
+const RATE_LIMITS = JSON.parse(process.env.RATE_LIMITS || '{}');
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const rateLimitStore = process.env.RATE_LIMIT_DISABLED === 'true' ? null : createRateLimitStore({
+  store: RATE_LIMIT_STORE,
+  redisUrl: process.env.REDIS_URL,
+});
+const rateLimit = rateLimitStore && createRateLimiter({
+  store: rateLimitStore,
+  policy: createPolicy(RATE_LIMITS),
+  scopes: RATE_LIMITS.scopes,
+  walletOf: agentId => {
+    const agent = registry.get(agentId);
+    return agent ? agent.wallet : null;
+  },
+});
 
 // ─────────────────────────────────────────────
 // Constants
 // ─────────────────────────────────────────────
 const CANVAS_SIZE = 1000;          // 1000×1000
-const INITIAL_PRICE = 0.001;       // USDC
-const PRICE_MULTIPLIER = 1.3;
 const REBATE_RATIO = 0.4;
 const TREASURY_RATIO = 0.4;
 const LOOT_RATIO = 0.1;
 const DEV_RATIO = 0.1;
 
+// Claim prices (lib/pricing): chains of pricing models per region and
+// season, from PRICING (JSON); the default is the geometric ×1.3 model
+const pricing = createPricing(JSON.parse(process.env.PRICING || '{}'), { ledger: txLedger, size: CANVAS_SIZE });
+
+// Batch claims (POST /pixels/batch)
+const BATCH_MAX_PIXELS = parseInt(process.env.BATCH_MAX_PIXELS || '256', 10);
+const BATCH_MODES = ['all_or_nothing', 'best_effort'];
+
+// Largest rectangle GET /pixels/region will scan (cells, not occupied pixels)
+const REGION_MAX_AREA = parseInt(process.env.REGION_MAX_AREA || '250000', 10);
+
+// GET /canvas.png — largest output edge (board pixels × scale)
+const PNG_MAX_DIMENSION = parseInt(process.env.PNG_MAX_DIMENSION || '4000', 10);
+const PNG_MAX_SCALE = 32;
+
+const bitmap = createCanvasBitmap({ state: storeState, size: CANVAS_SIZE });
+const renderer = createCanvasRenderer({ state: storeState });
+
+// Hottest pixels listed in GET /stats (feeds the skill's heatmap strategy)
+const HEATMAP_TOP_N = parseInt(process.env.HEATMAP_TOP_N || '50', 10);
+
+const heatmap = createHeatmap({ ledger: txLedger, size: CANVAS_SIZE });
+
+// GET /pixels/cheapest, GET /pixels/arbitrage
+const DISCOVERY_MAX_RESULTS = 500;
+const priceIndex = createPriceIndex({ ledger: txLedger });
+
+// GET /agent/:id/portfolio, GET /agent/:id/history
+const PORTFOLIO_MAX_PIXELS = 10000;
+const agentBooks = createAgentBooks({ ledger: txLedger });
+
+const leaderboard = createLeaderboard({ state: storeState });
+
+// Alliances (/alliances): members share territory stats and a treasury
+// fed by their rebates, and cannot claim each other's pixels
+const ALLIANCE_MAX_MEMBERS = parseInt(process.env.ALLIANCE_MAX_MEMBERS || '20', 10);
+const ALLIANCE_LIST_MAX = 100;
+const alliances = createAlliances({
+  store,
+  state: storeState,
+  canvasSize: CANVAS_SIZE,
+  maxMembers: ALLIANCE_MAX_MEMBERS,
+  // A registered agent's tokens are bound to its wallet (see walletProofProblem)
+  walletProven: agentId => !!registry.get(agentId),
+});
+
+// Rebate balances + payouts (GET /agent/:id/balance, POST /agent/:id/payouts)
+const balances = createBalances({ state: storeState, books: agentBooks, alliances });
+const payoutQueue = createPayoutQueue({ store, state: storeState, executor: payoutExecutor });
+const PAYOUT_LIST_MAX = 100;
+
+// Loot pool draws (GET /loot): one every LOOT_DRAW_INTERVAL_MS (0 = off),
+// eligibility weighted by pixels held or by claims during the draw; winners
+// have LOOT_CLAIM_WINDOW_MS to claim before the prize returns to the pool
+const LOOT_DRAW_INTERVAL_MS = parseInt(process.env.LOOT_DRAW_INTERVAL_MS || String(24 * 3600 * 1000), 10);
+const LOOT_CLAIM_WINDOW_MS = parseInt(process.env.LOOT_CLAIM_WINDOW_MS || String(7 * 24 * 3600 * 1000), 10);
+const LOOT_WEIGHTING = process.env.LOOT_WEIGHTING || 'holdings';
+const LOOT_DRAW_SHARE = parseFloat(process.env.LOOT_DRAW_SHARE || '1');
+if (!WEIGHTINGS.includes(LOOT_WEIGHTING)) {
+  throw new Error(`Unknown LOOT_WEIGHTING "${LOOT_WEIGHTING}" (expected ${WEIGHTINGS.join(' | ')})`);
+}
+if (!(LOOT_DRAW_SHARE > 0 && LOOT_DRAW_SHARE <= 1)) {
+  throw new Error('LOOT_DRAW_SHARE must be in (0, 1]');
+}
+const loot = createLoot({
+  store,
+  state: storeState,
+  intervalMs: LOOT_DRAW_INTERVAL_MS,
+  weighting: LOOT_WEIGHTING,
+  share: LOOT_DRAW_SHARE,
+  claimWindowMs: LOOT_CLAIM_WINDOW_MS,
+  registeredAt: agentId => registry.get(agentId)?.registered_at ?? null,
+});
+
+// GET /ledger — largest JSON page
+const LEDGER_PAGE_MAX = 1000;
+
+// GET /pixels/stream — recent changes kept for resume, open streams allowed
+const FEED_CAPACITY = parseInt(process.env.FEED_CAPACITY || '10000', 10);
+const STREAM_MAX_SUBSCRIBERS = parseInt(process.env.STREAM_MAX_SUBSCRIBERS || '1000', 10);
+const STREAM_HEARTBEAT_MS = 15_000;
+
+const pixelFeed = createPixelFeed({ startSeq: storeState.seq, capacity: FEED_CAPACITY });
+const openStreams = new Set();
+
+// GET /pixels/changes — largest page of deltas
+const CHANGES_MAX_LIMIT = 10000;
+const changeIndex = createChangeIndex({ state: storeState, feed: pixelFeed });
+
+// Pixel market (/market/orders): owners list pixels at an ask, bids wait in
+// escrow for a listing or a forced-buy price at or below their limit
+const MARKET_FEE_RATIO = parseFloat(process.env.MARKET_FEE_RATIO || '0.1');
+const MARKET_MATCH_INTERVAL_MS = parseInt(process.env.MARKET_MATCH_INTERVAL_MS || '60000', 10);
+const MARKET_MAX_PIXELS = parseInt(process.env.MARKET_MAX_PIXELS || '256', 10);
+const MARKET_DEFAULT_TTL_SECONDS = 24 * 3600;
+const MARKET_MAX_TTL_SECONDS = 30 * 24 * 3600;
+const MARKET_LIST_MAX = 100;
+if (!(MARKET_FEE_RATIO >= 0 && MARKET_FEE_RATIO < 1)) {
+  throw new Error('MARKET_FEE_RATIO must be in [0, 1)');
+}
+const market = createMarket({
+  store,
+  state: storeState,
+  calcPrice,
+  buildClaim,
+  publish: publishClaims,
+  shields: alliances.shields,
+  feeRatio: MARKET_FEE_RATIO,
+  // The fee is shared like the non-rebate part of a claim
+  feeSplit: { treasury: TREASURY_RATIO, loot: LOOT_RATIO, dev: DEV_RATIO },
+  intervalMs: MARKET_MATCH_INTERVAL_MS,
+});
+// Listed pixels bought outside the market leave their listing
+pixelFeed.subscribe(market.onChanges);
+
 // ─────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────
@@ -98,390 +348,2684 @@ function round6(n) {
 }
 
 /**
- * Calculate price for a pixel (fresh or overwrite).
+ * Version of a pixel's state — the store seq of its last write (0 = never written).
+ * Pixels written before seq stamping fall back to their timestamp.
  */
-function calcPrice(existing) {
-  if (!existing) return INITIAL_PRICE;
-  return round6(existing.price * PRICE_MULTIPLIER);
+function pixelVersion(pixel) {
+  if (!pixel) return 0;
+  return pixel.seq ?? pixel.timestamp;
 }
 
 /**
- * Parse X-PAYMENT header.
- * Accepts JSON or plain string tx_hash.
- * Returns { tx_hash, raw } or null.
+ * True if the request's If-None-Match names `etag`. Compared by hand rather
+ * than req.fresh: fetch() adds Cache-Control: no-cache to conditional
+ * requests, which makes req.fresh always false.
  */
-function parsePaymentHeader(header) {
-  if (!header) return null;
-  try {
-    const parsed = JSON.parse(header);
-    return {
-      tx_hash: parsed.tx_hash || parsed.txHash || parsed.transaction_hash || header,
-      raw: parsed,
-    };
-  } catch {
-    // Treat as plain tx_hash string
-    return { tx_hash: header, raw: header };
-  }
+function etagMatches(req, etag) {
+  const ifNoneMatch = req.get('If-None-Match');
+  return !!ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
 }
 
 /**
- * On-chain payment verification via Base RPC.
- * Verifies:
- *   1. tx exists and succeeded (status === 1)
- *   2. USDC Transfer event: from=payer, to=OWNER_WALLET, amount>=expected
- *   3. tx_hash not previously used (anti-replay)
- *
- * Returns { ok: boolean, reason?: string }
+ * Optional inclusive rectangle from query x0, y0, x1, y1 — all four or none.
+ * @returns {{ region: { x0, y0, x1, y1 } } | { error: string }} whole canvas when absent
  */
-async function verifyPaymentOnChain(paymentProof, expectedPriceUsdc) {
-  if (!paymentProof || !paymentProof.tx_hash) {
-    return { ok: false, reason: 'missing tx_hash' };
+function parseRegion(q) {
+  const bounds = [q.x0, q.y0, q.x1, q.y1];
+  if (bounds.every(v => v === undefined)) {
+    return { region: { x0: 0, y0: 0, x1: CANVAS_SIZE - 1, y1: CANVAS_SIZE - 1 } };
   }
-  const txHash = paymentProof.tx_hash;
-
-  // Anti-replay
-  if (usedTxHashes.has(txHash)) {
-    return { ok: false, reason: 'tx_hash already used' };
-  }
-
-  // If owner wallet is zero address, skip on-chain check (dev mode)
-  if (OWNER_WALLET_ADDRESS === '0x0000000000000000000000000000000000000000') {
-    console.warn('[payment] OWNER_WALLET_ADDRESS not set — skipping on-chain verify (dev mode)');
-    usedTxHashes.add(txHash);
-    return { ok: true };
-  }
-
-  try {
-    const provider = getProvider();
-    const receipt = await provider.getTransactionReceipt(txHash);
-
-    if (!receipt) return { ok: false, reason: 'tx not found on chain' };
-    if (receipt.status !== 1) return { ok: false, reason: 'tx failed on chain' };
-
-    // Find USDC Transfer log: Transfer(from, to=OWNER_WALLET, amount)
-    const ownerLower = OWNER_WALLET_ADDRESS.toLowerCase();
-    const usdcLower = USDC_ADDRESS.toLowerCase();
-
-    const log = receipt.logs.find(l =>
-      l.address.toLowerCase() === usdcLower &&
-      l.topics[0] === TRANSFER_TOPIC &&
-      l.topics.length === 3 &&
-      ('0x' + l.topics[2].slice(26)).toLowerCase() === ownerLower
-    );
-
-    if (!log) return { ok: false, reason: 'no matching USDC Transfer to owner' };
-
-    // Decode amount (USDC has 6 decimals)
-    const amount = BigInt(log.data);
-    const expectedRaw = BigInt(Math.round(expectedPriceUsdc * 1e6));
-
-    if (amount < expectedRaw) {
-      return { ok: false, reason: `amount too low: got ${amount}, expected ${expectedRaw}` };
-    }
-
-    usedTxHashes.add(txHash);
-    return { ok: true };
-  } catch (err) {
-    console.error('[payment] on-chain verify error:', err.message);
-    // Fail open in dev, fail closed in prod
-    return { ok: false, reason: `rpc error: ${err.message}` };
+  const a = validateCoords(q.x0, q.y0);
+  const b = validateCoords(q.x1, q.y1);
+  if (!a.valid || !b.valid) {
+    return { error: 'Region needs all of x0, y0, x1, y1 in range (0–999)' };
   }
+  return {
+    region: {
+      x0: Math.min(a.x, b.x), y0: Math.min(a.y, b.y),
+      x1: Math.max(a.x, b.x), y1: Math.max(a.y, b.y),
+    },
+  };
 }
 
-// ─────────────────────────────────────────────
-// Middleware
-// ─────────────────────────────────────────────
-app.use(cors());
-app.use(express.json());
-
-// Request logger
-app.use((req, _res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  next();
-});
-
-// ─────────────────────────────────────────────
-// Routes
-// ─────────────────────────────────────────────
+/**
+ * Price of claiming (x, y) now, over `existing` (undefined = unclaimed),
+ * from the pricing chain that applies there (lib/pricing).
+ */
+function calcPrice(x, y, existing) {
+  return pricing.price(x, y, existing);
+}
 
 /**
- * GET /health
- * Simple health-check.
+ * PaymentRequirements for a claim costing `price_usdc`.
  */
-app.get('/health', (_req, res) => {
-  res.json({
-    status: 'ok',
-    store: 'in-memory',
-    pixels: canvasStore.size,
-    payment: 'x402',
+function claimRequirements(req, { description, price_usdc, extra = {} }) {
+  return x402.buildPaymentRequirements({
+    scheme: 'exact',
     network: PAYMENT_NETWORK,
-    owner_wallet: OWNER_WALLET_ADDRESS,
+    maxAmountRequired: x402.toBaseUnits(price_usdc),
+    resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    description,
+    mimeType: 'application/json',
+    payTo: OWNER_WALLET_ADDRESS,
+    maxTimeoutSeconds: QUOTE_TTL_SECONDS,
+    asset: USDC_ADDRESS,
+    extra: {
+      price_usdc,
+      wallet_address: OWNER_WALLET_ADDRESS,
+      network: PAYMENT_NETWORK,
+      token: PAYMENT_TOKEN,
+      // EIP-712 domain of the asset, per x402 convention (for EIP-3009 signing)
+      name: USDC_DOMAIN.name,
+      version: USDC_DOMAIN.version,
+      ...extra,
+    },
   });
-});
+}
+
+function pixelDescription(x, y) {
+  return `Claim pixel (${x}, ${y}) on PixelWar AI`;
+}
 
 /**
- * GET /pixels?page=1&limit=100
- *
- * Returns paginated list of all *occupied* pixels.
+ * Build the x402 402 body for claiming (x, y): one `exact` requirement
+ * carrying a fresh signed quote for `payer`.
  */
-app.get('/pixels', (req, res) => {
-  const page  = Math.max(1, parseInt(req.query.page  || '1',   10));
-  const limit = Math.min(10000, Math.max(1, parseInt(req.query.limit || '100', 10)));
-
-  const all = Array.from(canvasStore.entries()).map(([key, data]) => {
-    const [x, y] = key.split(':').map(Number);
-    return { x, y, ...data };
+function paymentRequiredBody(req, { x, y, existing, payer }, error) {
+  const price_usdc = calcPrice(x, y, existing);
+  const { quote_id, quote } = quotes.issue({
+    x, y,
+    price_usdc,
+    payer,
+    version: pixelVersion(existing),
   });
 
-  const total = all.length;
-  const start = (page - 1) * limit;
-  const items = all.slice(start, start + limit);
-
-  res.json({
-    total,
-    page,
-    limit,
-    pages: Math.ceil(total / limit),
-    pixels: items,
-  });
-});
+  return x402.encodePaymentRequired([
+    claimRequirements(req, {
+      description: pixelDescription(x, y),
+      price_usdc,
+      extra: { quote_id, quote_expires_at: new Date(quote.expires_at).toISOString() },
+    }),
+  ], error);
+}
 
 /**
- * GET /pixel/:x/:y
- *
- * Returns single pixel data. If unoccupied, returns default state.
+ * Current price and version of every pixel in a batch, in request order.
  */
-app.get('/pixel/:x/:y', (req, res) => {
-  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
-  if (!valid) {
-    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
-  }
+function priceBatch(items) {
+  return items.map(({ x, y, key }) => {
+    const existing = canvasStore.get(key);
+    return { x, y, price_usdc: calcPrice(x, y, existing), version: pixelVersion(existing) };
+  });
+}
 
-  const key  = pixelKey(x, y);
-  const data = canvasStore.get(key);
+function batchDescription(items) {
+  return `Claim ${items.length} pixels on PixelWar AI`;
+}
 
-  if (!data) {
-    return res.json({
-      x, y,
-      owner: null,
-      color: null,
-      price: INITIAL_PRICE,
-      timestamp: null,
-      occupied: false,
-    });
-  }
+/**
+ * Build the x402 402 body for a batch claim: one `exact` requirement for
+ * the summed price, a per-pixel breakdown and a signed batch quote.
+ */
+function batchRequiredBody(req, { items, payer }, error) {
+  const breakdown = priceBatch(items);
+  const prices = breakdown.map(b => b.price_usdc);
+  const price_usdc = round6(prices.reduce((sum, p) => sum + p, 0));
+  const { quote_id, quote } = quotes.issueBatch({
+    digest: batchDigest(items),
+    versions: breakdown.map(b => b.version),
+    prices,
+    price_usdc,
+    payer,
+  });
 
-  res.json({ x, y, ...data, occupied: true });
-});
+  return x402.encodePaymentRequired([
+    claimRequirements(req, {
+      description: batchDescription(items),
+      price_usdc,
+      extra: {
+        quote_id,
+        quote_expires_at: new Date(quote.expires_at).toISOString(),
+        pixel_count: items.length,
+        breakdown: breakdown.map(({ x, y, price_usdc }) => ({ x, y, price_usdc })),
+      },
+    }),
+  ], error);
+}
 
 /**
- * POST /pixel/:x/:y
- * Body: { color: "#RRGGBB", agent_id: "string" }
- *
- * x402 Payment Flow:
- *
- * Step 1 — No X-PAYMENT header:
- *   → 402 Payment Required + { price_usdc, wallet_address, network, token, x, y }
- *
- * Step 2 — With X-PAYMENT header (tx_hash or JSON proof):
- *   → Verify payment → Execute pixel claim
- *   → 200 { success, x, y, color, owner, price_paid, ... }
- *
- * TODO: Redis — atomic Lua script for HGET + HSET + LPUSH ledger
+ * Credit record for a verified payment (or part of one) that could not be
+ * settled, so it is owed back to the payer instead of silently lost.
  */
-app.post('/pixel/:x/:y', async (req, res) => {
-  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
-  if (!valid) {
-    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
-  }
+function newCredit({ agent_id, amount_usdc, reason, x, y, quote_id, tx_hash, payer = null, batch_id = null }) {
+  return {
+    id: `cr_${crypto.randomUUID()}`,
+    agent_id,
+    amount_usdc: round6(amount_usdc),
+    reason,
+    x, y,
+    ...(batch_id ? { batch_id } : {}),
+    quote_id: quote_id || null,
+    tx_hash,
+    ...(payer ? { payer } : {}),
+    status: 'credited',
+    timestamp: Date.now(),
+  };
+}
 
-  const { color, agent_id } = req.body;
+/**
+ * Commit a credit on its own (see `newCredit`).
+ */
+function recordCredit({ payment = null, ...fields }) {
+  const credit = newCredit(fields);
+  store.commit({ type: 'credit.add', credit, ...(payment ? { payment } : {}) });
+  return credit;
+}
 
-  if (!validateColor(color)) {
-    return res.status(400).json({ error: 'Invalid color. Must be "#RRGGBB"' });
-  }
-  if (!agent_id || typeof agent_id !== 'string' || agent_id.trim() === '') {
-    return res.status(400).json({ error: 'agent_id is required' });
+/**
+ * Wallet a payout is sent to: the agent's registered wallet (never a
+ * delegate). A `requested` wallet, if given, must be that one.
+ * @returns {{ wallet: string } | { status: number, error: string, code?: string }}
+ */
+function payoutWallet(agentId, requested) {
+  const agent = registry.get(agentId);
+  if (!agent) {
+    return {
+      status: 409,
+      error: `"${agentId}" has no registered wallet — POST /agent/register first`,
+      code: 'registration_required',
+    };
   }
-
-  const key      = pixelKey(x, y);
-  const existing = canvasStore.get(key);
-  const price_usdc = calcPrice(existing);
-
-  // ── x402: Check for payment header ──
-  const paymentHeader = req.headers['x-payment'];
-
-  if (!paymentHeader) {
-    // ── STEP 1: Return 402 Payment Required ──
-    return res.status(402).json({
-      x402Version: 1,
-      error: 'Payment Required',
-      accepts: [
-        {
-          scheme: 'exact',
-          network: PAYMENT_NETWORK,
-          maxAmountRequired: String(Math.round(price_usdc * 1e6)), // in USDC base units (6 decimals)
-          resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
-          description: `Claim pixel (${x}, ${y}) on PixelWar AI`,
-          mimeType: 'application/json',
-          payTo: OWNER_WALLET_ADDRESS,
-          maxTimeoutSeconds: 300,
-          asset: PAYMENT_TOKEN === 'USDC' && PAYMENT_NETWORK === 'base-sepolia'
-            ? '0x036CbD53842c5426634e7929541eC2318f3dCF7e'  // USDC on Base Sepolia
-            : PAYMENT_NETWORK === 'base'
-            ? '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'  // USDC on Base Mainnet
-            : '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
-          extra: {
-            price_usdc,
-            wallet_address: OWNER_WALLET_ADDRESS,
-            network: PAYMENT_NETWORK,
-            token: PAYMENT_TOKEN,
-            name: 'PixelWar AI',
-          },
-        },
-      ],
-    });
+  if (requested !== undefined && !(typeof requested === 'string' && ethers.isAddress(requested)
+      && ethers.getAddress(requested) === agent.wallet)) {
+    return { status: 400, error: `Payouts go to the registered wallet ${agent.wallet}` };
   }
+  return { wallet: agent.wallet };
+}
 
-  // ── STEP 2: Validate payment and execute pixel claim ──
-  const paymentProof = parsePaymentHeader(paymentHeader);
-
-  const verification = await verifyPaymentOnChain(paymentProof, price_usdc);
-  if (!verification.ok) {
-    return res.status(402).json({
-      error: `Invalid payment: ${verification.reason}`,
-      x402Version: 1,
-    });
-  }
+/**
+ * Actions that move value without a payment (listing pixels, cancelling
+ * orders, alliance treasury) need proof of the agent's wallet. A registered
+ * agent's tokens are only issued against a signature from its wallet (see
+ * lib/auth.js), so requiring the registration is that proof.
+ * @returns {null | { status: number, error: string, code: string }}
+ */
+function walletProofProblem(agentId, action) {
+  if (registry.get(agentId)) return null;
+  return {
+    status: 403,
+    error: `"${agentId}" must be registered to a wallet to ${action} — POST /agent/register first`,
+    code: 'registration_required',
+  };
+}
 
-  const now = Date.now();
-  let price_paid = price_usdc;
+/**
+ * Build the store writes for claiming one pixel over `current` at
+ * `price_paid`: the new pixel, its ledger row, and the response fields.
+ * The revenue split is computed from the previous price, unless a market
+ * sale passes its own `split` (see lib/market.js — the seller's share is
+ * then `sale_proceeds` instead of a rebate); `market` tags the ledger row
+ * with the orders involved. `payer` (the wallet that paid) is kept on
+ * the row — first registrations of an agent are checked against it.
+ */
+function buildClaim({ x, y, color, owner, current, price_paid, tx_hash, payer = null, quote_id, batch_id = null, split = null, market = null, now }) {
   let rebate_to_previous_owner = 0;
   let treasury_cut = 0;
   let loot_cut = 0;
   let dev_cut = 0;
+  let sale_proceeds = 0;
   let previousOwner = null;
 
-  if (existing) {
-    previousOwner = existing.owner;
-    const oldPrice = existing.price;
+  if (current) {
+    previousOwner = current.owner;
+    const oldPrice = current.price;
     rebate_to_previous_owner = round6(oldPrice * REBATE_RATIO);
     treasury_cut              = round6(oldPrice * TREASURY_RATIO);
     loot_cut                  = round6(oldPrice * LOOT_RATIO);
     dev_cut                   = round6(oldPrice * DEV_RATIO);
   }
+  if (split) ({ rebate_to_previous_owner, sale_proceeds = 0, treasury_cut, loot_cut, dev_cut } = split);
 
-  // ── Write new pixel state ──
-  const newPixel = {
-    owner: agent_id.trim(),
+  const pixel = {
+    owner,
     color,
     price: price_paid,
     timestamp: now,
-    tx_hash: paymentProof.tx_hash,
+    tx_hash,
   };
-  canvasStore.set(key, newPixel);
-
-  // ── Append to ledger ──
-  txLedger.push({
+  const tx = {
     x, y,
-    buyer: agent_id.trim(),
+    buyer: owner,
     seller: previousOwner,
     price_paid,
-    tx_hash: paymentProof.tx_hash,
+    tx_hash,
+    ...(payer ? { payer } : {}),
+    quote_id,
+    ...(batch_id ? { batch_id } : {}),
+    ...(market ? { market } : {}),
     rebate_to_previous_owner,
+    ...(sale_proceeds ? { sale_proceeds } : {}),
     treasury_cut,
     loot_cut,
     dev_cut,
     timestamp: now,
-  });
-
-  res.json({
-    success: true,
+  };
+  const result = {
     x, y,
     color,
-    owner: agent_id.trim(),
+    owner,
     price_paid,
-    tx_hash: paymentProof.tx_hash,
+    tx_hash,
     rebate_to_previous_owner,
+    ...(sale_proceeds ? { sale_proceeds } : {}),
     treasury_cut,
     loot_cut,
     dev_cut,
     previous_owner: previousOwner,
-  });
-});
+  };
+  return { key: pixelKey(x, y), pixel, tx, result };
+}
 
 /**
- * GET /price/:x/:y
- *
- * Returns the current price for a pixel (useful for agents before payment).
+ * Publish committed claims to the change feed (one PixelChange per pixel).
  */
-app.get('/price/:x/:y', (req, res) => {
-  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
-  if (!valid) {
-    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+function publishClaims(seq, claims) {
+  pixelFeed.record(claims.map(({ pixel, tx }) => ({
+    seq,
+    x: tx.x,
+    y: tx.y,
+    color: pixel.color,
+    owner: pixel.owner,
+    previous_owner: tx.seller,
+    price: pixel.price,
+    tx_hash: tx.tx_hash,
+    ...(tx.batch_id ? { batch_id: tx.batch_id } : {}),
+    timestamp: tx.timestamp,
+  })));
+}
+
+/**
+ * The agent a claim is for: body `agent_id`, defaulting to the token's agent.
+ * A token may only claim for its own agent. `payers` are the wallets allowed
+ * to pay for it (null = any, the agent is not registered).
+ * @returns {{ ok: true, owner: string, payers: Set<string>|null }
+ *         | { ok: false, status: number, error: string, code?: string }}
+ */
+function resolveClaimant(req) {
+  const agent_id = req.body.agent_id ?? req.agent.agent_id;
+  if (!agent_id || typeof agent_id !== 'string' || agent_id.trim() === '') {
+    return { ok: false, status: 400, error: 'agent_id is required' };
+  }
+  if (req.agent.agent_id && req.agent.agent_id !== agent_id.trim()) {
+    return { ok: false, status: 403, error: `Token was issued to "${req.agent.agent_id}", not "${agent_id.trim()}"` };
+  }
+  const owner = agent_id.trim();
+  const payers = registry.payers(owner);
+  if (!payers && AGENT_REGISTRATION_REQUIRED) {
+    return {
+      ok: false,
+      status: 403,
+      error: `"${owner}" is not registered — bind it to a wallet with POST /agent/register`,
+      code: 'registration_required',
+    };
   }
+  return { ok: true, owner, payers };
+}
 
-  const existing = canvasStore.get(pixelKey(x, y));
-  const price_usdc = calcPrice(existing);
+/**
+ * Why a decoded X-PAYMENT header cannot pay for a claim (null if it can).
+ */
+function paymentProblem(payment) {
+  if (!payment) return 'malformed X-PAYMENT header';
+  if (payment.scheme !== 'exact') return `unsupported scheme "${payment.scheme}"`;
+  if (payment.network && payment.network !== PAYMENT_NETWORK) {
+    return `wrong network "${payment.network}", expected "${PAYMENT_NETWORK}"`;
+  }
+  return null;
+}
 
-  res.json({
-    x, y,
-    price_usdc,
-    wallet_address: OWNER_WALLET_ADDRESS,
-    network: PAYMENT_NETWORK,
-    token: PAYMENT_TOKEN,
-    occupied: !!existing,
-    current_owner: existing ? existing.owner : null,
-  });
-});
+/**
+ * Quote id sent back with a payment: X-PAYMENT payload, X-Quote-Id header or body.
+ */
+function quoteIdFrom(req, payment) {
+  return payment.payload.quote_id
+    || req.headers['x-quote-id']
+    || req.body.quote_id
+    || null;
+}
 
 /**
- * GET /stats
+ * Verify and settle an x402 `exact` payment against `requirements` with the
+ * configured verifier. With `payers`, the paying wallet must be one of them
+ * (checked before settling, so a refused authorization is not executed).
  *
- * Returns aggregate stats.
+ * Replay protection: the payment id is reserved for the whole async
+ * round-trip (released if it fails) and must fall inside the chain-time
+ * window. The caller marks it spent by committing `spentPayment(...)` with
+ * the event that consumes it, then calls `replay.release(payment_id)`.
+ *
+ * A settlement broadcast but never seen mined has most likely moved the
+ * payer's USDC and used up its authorization: it is credited to `agent_id`
+ * (reason `settlement_unconfirmed`, proof marked spent) rather than
+ * released as a plain failure — answer with `paymentUnconfirmed`.
+ *
+ * Returns { ok, reason?, credit?, transaction?, amount_usdc?, payer?, payment_id?, expires_at? }
  */
-app.get('/stats', (_req, res) => {
+async function verifyPayment(payment, requirements, { payers = null, agent_id } = {}) {
+  const id = paymentId(payment);
+  if (!id) return { ok: false, reason: 'missing tx_hash or authorization' };
+
+  let nowSec;
+  try {
+    nowSec = await verifier.chainTime();
+  } catch (err) {
+    console.error('[payment] chain time error:', err.message);
+    return { ok: false, reason: `rpc error: ${err.message}` };
+  }
+
+  const isAuthorization = id.startsWith('auth:');
+  let admitted = isAuthorization
+    ? replay.admitAuthorization(payment.payload.authorization.validBefore, nowSec)
+    : null;
+  if (admitted && !admitted.ok) return admitted;
+
+  const reserved = replay.reserve(id, nowSec);
+  if (!reserved.ok) return reserved;
+
+  const fail = (reason) => {
+    replay.release(id);
+    return { ok: false, reason };
+  };
+
+  const verified = await verifier.verify(payment, requirements);
+  if (!verified.ok) return fail(verified.reason);
+
+  if (!isAuthorization) {
+    admitted = replay.admitTransfer(verified.blockTime, nowSec);
+    if (!admitted.ok) return fail(admitted.reason);
+  }
+
+  if (payers) {
+    if (!verified.payer) return fail('paying wallet could not be determined for a registered agent');
+    if (!payers.has(ethers.getAddress(verified.payer))) {
+      return fail(`payer ${verified.payer} is not the agent's registered wallet or an approved delegate`);
+    }
+  }
+
+  const settled = await verifier.settle(payment, requirements);
+  if (settled.unconfirmed) {
+    const amount_usdc = x402.fromBaseUnits(verified.amount);
+    const credit = recordCredit({
+      agent_id,
+      amount_usdc,
+      reason: 'settlement_unconfirmed',
+      tx_hash: settled.transaction,
+      payer: settled.payer || verified.payer || null,
+      payment: spentPayment(
+        { payment_id: id, transaction: settled.transaction, amount_usdc, expires_at: admitted.expires_at },
+        { x: null, y: null, price_usdc: amount_usdc, agent_id },
+      ),
+    });
+    replay.release(id);
+    return { ok: false, reason: settled.reason, credit };
+  }
+  if (!settled.ok) return fail(settled.reason);
+
+  return {
+    ok: true,
+    transaction: settled.transaction,
+    amount_usdc: x402.fromBaseUnits(verified.amount),
+    payer: settled.payer || verified.payer || null,
+    payment_id: id,
+    expires_at: admitted.expires_at,
+  };
+}
+
+/**
+ * 409 for a payment whose settlement outcome is unknown (see verifyPayment):
+ * it was credited to the agent's balance instead of funding the write.
+ */
+function paymentUnconfirmed(res, verification) {
+  return res.status(409).json({
+    error: `Payment settlement could not be confirmed (${verification.reason}) — payment credited, retry with the balance or a new payment`,
+    code: 'settlement_unconfirmed',
+    credit: verification.credit,
+  });
+}
+
+/**
+ * Spent-payment record stored with the event a verified payment funded —
+ * ties the proof to the pixel and price it paid for.
+ */
+function spentPayment(verification, { x, y, price_usdc, agent_id, batch_id = null }) {
+  return {
+    id: verification.payment_id,
+    x, y,
+    ...(batch_id ? { batch_id } : {}),
+    price_usdc,
+    amount_usdc: verification.amount_usdc,
+    tx_hash: verification.transaction,
+    agent_id,
+    expires_at: verification.expires_at,
+  };
+}
+
+/**
+ * Pixels an order covers, from body { x, y } or an inclusive region
+ * { x0, y0, x1, y1 } of at most MARKET_MAX_PIXELS.
+ * @returns {{ pixels: string[] } | { error: string }}
+ */
+function orderPixels(body) {
+  if (body.x !== undefined || body.y !== undefined) {
+    const { valid, x, y } = validateCoords(body.x, body.y);
+    if (!valid) return { error: 'Coordinates out of range (0–999)' };
+    return { pixels: [pixelKey(x, y)] };
+  }
+  if ([body.x0, body.y0, body.x1, body.y1].every(v => v === undefined)) {
+    return { error: 'Give x, y or a region x0, y0, x1, y1' };
+  }
+  const parsed = parseRegion(body);
+  if (parsed.error) return parsed;
+  const { x0, y0, x1, y1 } = parsed.region;
+  if ((x1 - x0 + 1) * (y1 - y0 + 1) > MARKET_MAX_PIXELS) {
+    return { error: `An order covers at most ${MARKET_MAX_PIXELS} pixels` };
+  }
+  const pixels = [];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) pixels.push(pixelKey(x, y));
+  }
+  return { pixels };
+}
+
+/**
+ * Build the x402 402 body for the escrow of a bid.
+ */
+function bidRequiredBody(req, { terms, escrow_usdc, payer }, error) {
+  const { quote_id, quote } = quotes.issueMarket('bid', { digest: orderDigest(terms), price_usdc: escrow_usdc, payer });
+  return x402.encodePaymentRequired([
+    claimRequirements(req, {
+      description: `Bid on up to ${terms.quantity} pixels on PixelWar AI`,
+      price_usdc: escrow_usdc,
+      extra: {
+        quote_id,
+        quote_expires_at: new Date(quote.expires_at).toISOString(),
+        limit_price_usdc: terms.price_usdc,
+        quantity: terms.quantity,
+      },
+    }),
+  ], error);
+}
+
+/**
+ * Build the x402 402 body for buying (x, y) from `listing`.
+ */
+function listingRequiredBody(req, { listing, x, y, current, payer }, error) {
+  const { quote_id, quote } = quotes.issueMarket('listing', {
+    order: listing.id,
+    x, y,
+    price_usdc: listing.price_usdc,
+    payer,
+    version: pixelVersion(current),
+  });
+  return x402.encodePaymentRequired([
+    claimRequirements(req, {
+      description: `Buy listed pixel (${x}, ${y}) on PixelWar AI`,
+      price_usdc: listing.price_usdc,
+      extra: { quote_id, quote_expires_at: new Date(quote.expires_at).toISOString(), order_id: listing.id },
+    }),
+  ], error);
+}
+
+// ─────────────────────────────────────────────
+// Middleware
+// ─────────────────────────────────────────────
+// Behind a load balancer req.ip is the balancer unless its
+// X-Forwarded-For is trusted (e.g. TRUST_PROXY=1 for one hop)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors({
+  exposedHeaders: [
+    x402.HEADER_PAYMENT_RESPONSE,
+    'ETag', 'X-Canvas-Width', 'X-Canvas-Height', 'X-Canvas-Format', 'X-Canvas-Seq',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+  ],
+}));
+app.use(express.json());
+app.use(auth.attachAgent);
+app.use(alliances.attachAlliance);
+if (rateLimit) app.use(rateLimit);
+
+// Request logger
+app.use((req, _res, next) => {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  next();
+});
+
+// ─────────────────────────────────────────────
+// Routes
+// ─────────────────────────────────────────────
+
+/**
+ * GET /health
+ * Simple health-check.
+ */
+app.get('/health', (_req, res) => {
+  res.json({
+    status: 'ok',
+    store: store.name,
+    pixels: canvasStore.size,
+    store_seq: storeState.seq,
+    used_payments: storeState.usedPayments.size,
+    registered_agents: storeState.agents.size,
+    alliances: alliances.list({ page: 1, limit: 1 }).total,
+    market_open_orders: market.openCount(),
+    pricing_season: pricing.season(),
+    streams: openStreams.size,
+    auth: 'reverse-captcha',
+    payment: 'x402',
+    verifier: verifier.name,
+    payout_executor: payoutExecutor ? payoutExecutor.name : 'none',
+    payouts_held: payoutQueue.stuck().length,
+    rate_limit: rateLimitStore ? rateLimitStore.name : 'off',
+    network: PAYMENT_NETWORK,
+    owner_wallet: OWNER_WALLET_ADDRESS,
+  });
+});
+
+/**
+ * GET /captcha/challenge
+ *
+ * Issues a reverse-CAPTCHA challenge (short TTL — trivial for an LLM,
+ * impractical for a human).
+ */
+app.get('/captcha/challenge', (_req, res) => {
+  const challenge = captcha.generateChallenge(CAPTCHA_TTL_MS);
+  res.json({ ...challenge, options: challenge.options || null });
+});
+
+/**
+ * POST /captcha/verify
+ * Body: { challenge_id, answer, agent_id?, wallet_challenge?, wallet_signature? }
+ *       (`solution` accepted as alias of `answer`)
+ *
+ * → 200 { valid: true, token, agent_id, wallet?, agent_tier, expires_in, expires_at }
+ * → 400 { valid: false, reason }
+ * → 403 { valid: false, reason, code: 'wallet_signature_required' }
+ *
+ * The token is an HS256 JWT carrying agent_id, tier and expiry. A token for
+ * a registered agent also needs the sign-in challenge of
+ * POST /agent/signin/challenge signed by its wallet, and is bound to it.
+ */
+app.post('/captcha/verify', (req, res) => {
+  const { challenge_id, wallet_challenge, wallet_signature } = req.body || {};
+  const answer = req.body?.answer ?? req.body?.solution;
+  const agent_id = req.body?.agent_id || req.headers['x-agent-id'] || null;
+
+  if (!challenge_id || answer === undefined || answer === null) {
+    return res.status(400).json({ valid: false, reason: 'challenge_id and answer are required' });
+  }
+
+  // Checked first so a refused signature does not use up the captcha
+  let wallet = null;
+  if (agent_id && registry.get(agent_id)) {
+    if (!wallet_challenge || !wallet_signature) {
+      return res.status(403).json({
+        valid: false,
+        reason: `"${agent_id}" is registered — sign POST /agent/signin/challenge with its wallet and send wallet_challenge + wallet_signature`,
+        code: 'wallet_signature_required',
+      });
+    }
+    const signedIn = registry.verifySignIn(agent_id, { challenge: wallet_challenge, signature: wallet_signature });
+    if (!signedIn.ok) return res.status(signedIn.status).json({ valid: false, reason: signedIn.error });
+    wallet = signedIn.wallet;
+  }
+
+  let session = null;
+  const result = captcha.verifyAnswer(challenge_id, answer, {
+    issueToken: () => {
+      session = auth.issue({ agent_id, tier: 'ai_verified', wallet });
+      return session.token;
+    },
+  });
+  if (!result.valid) {
+    return res.status(400).json({ valid: false, reason: result.reason });
+  }
+
+  res.json({ valid: true, ...session });
+});
+
+/**
+ * POST /auth/refresh
+ * Auth: Authorization: Bearer <valid token>
+ *
+ * Returns a fresh token for the same agent, wallet + tier; the old token is
+ * revoked. A registered agent's token is only valid while bound to its
+ * wallet, so only a token issued against a wallet signature can be refreshed.
+ */
+app.post('/auth/refresh', (req, res) => {
+  const token = parseBearer(req.headers.authorization);
+  const result = auth.refresh(token);
+  if (!result.ok) {
+    return res.status(401).json({ error: 'Cannot refresh token', code: 'captcha_required', reason: result.reason });
+  }
+  res.json({ valid: true, ...result.session });
+});
+
+/**
+ * POST /auth/revoke
+ *
+ * Self-revoke:  Authorization: Bearer <token>          → revokes that token
+ * Admin revoke: X-Admin-Key + Body { agent_id }        → revokes every token issued to agent_id
+ */
+app.post('/auth/revoke', (req, res) => {
+  const agentId = req.body?.agent_id;
+
+  if (agentId) {
+    if (!ADMIN_API_KEY || req.headers['x-admin-key'] !== ADMIN_API_KEY) {
+      return res.status(403).json({ error: 'Admin key required to revoke another agent\'s tokens' });
+    }
+    const before = auth.revokeAgent(agentId);
+    return res.json({ revoked: true, agent_id: agentId, issued_before: new Date(before * 1000).toISOString() });
+  }
+
+  if (!req.agent.claims) {
+    return res.status(401).json({ error: 'No valid token to revoke', reason: req.agent.auth_error || 'missing_token' });
+  }
+  auth.revoke(req.agent.claims);
+  res.json({ revoked: true, jti: req.agent.claims.jti });
+});
+
+/**
+ * GET /pixels?page=1&limit=100
+ *
+ * Returns paginated list of all *occupied* pixels.
+ */
+app.get('/pixels', (req, res) => {
+  const page  = Math.max(1, parseInt(req.query.page  || '1',   10));
+  const limit = Math.min(10000, Math.max(1, parseInt(req.query.limit || '100', 10)));
+
+  // Walk the map once, materializing only the requested page
+  const total = canvasStore.size;
+  const start = (page - 1) * limit;
+  const items = [];
+  let i = 0;
+  for (const [key, data] of canvasStore) {
+    if (i++ < start) continue;
+    if (items.length >= limit) break;
+    const [x, y] = key.split(':').map(Number);
+    items.push({ x, y, ...data });
+  }
+
+  res.json({
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    // Cursor for GET /pixels/changes — take it from the first page read
+    seq: storeState.seq,
+    pixels: items,
+  });
+});
+
+/**
+ * GET /pixels/region?x0=&y0=&x1=&y1=
+ *
+ * Occupied pixels inside the inclusive rectangle [x0..x1] × [y0..y1],
+ * row-major. The rectangle may cover at most REGION_MAX_AREA cells.
+ */
+app.get('/pixels/region', (req, res) => {
+  const a = validateCoords(req.query.x0, req.query.y0);
+  const b = validateCoords(req.query.x1, req.query.y1);
+  if (!a.valid || !b.valid) {
+    return res.status(400).json({ error: 'x0, y0, x1, y1 are required and must be in range (0–999)' });
+  }
+
+  const x0 = Math.min(a.x, b.x), x1 = Math.max(a.x, b.x);
+  const y0 = Math.min(a.y, b.y), y1 = Math.max(a.y, b.y);
+  const area = (x1 - x0 + 1) * (y1 - y0 + 1);
+  if (area > REGION_MAX_AREA) {
+    return res.status(400).json({ error: `Region covers ${area} cells, max ${REGION_MAX_AREA} — split it into tiles` });
+  }
+
+  const pixels = [];
+  if (area <= canvasStore.size) {
+    // Small rectangle: probe each cell
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const data = canvasStore.get(pixelKey(x, y));
+        if (data) pixels.push({ x, y, ...data });
+      }
+    }
+  } else {
+    // Sparse board: scan occupied pixels instead
+    for (const [key, data] of canvasStore) {
+      const [x, y] = key.split(':').map(Number);
+      if (x >= x0 && x <= x1 && y >= y0 && y <= y1) pixels.push({ x, y, ...data });
+    }
+    pixels.sort((p, q) => p.y - q.y || p.x - q.x);
+  }
+
+  res.json({ x0, y0, x1, y1, seq: storeState.seq, count: pixels.length, pixels });
+});
+
+/**
+ * GET /pixels/snapshot
+ *
+ * The whole canvas as one binary RGBA bitmap (see lib/bitmap.js):
+ * CANVAS_SIZE² × 4 bytes, row-major, alpha 0 = unclaimed.
+ * ETag is the store seq — send If-None-Match to get 304 when nothing
+ * changed. Gzipped when the client accepts it.
+ */
+app.get('/pixels/snapshot', (req, res) => {
+  const snap = bitmap.current();
+
+  res.set({
+    'ETag': snap.etag,
+    'Cache-Control': 'no-cache',
+    'Vary': 'Accept-Encoding',
+    'X-Canvas-Width': String(CANVAS_SIZE),
+    'X-Canvas-Height': String(CANVAS_SIZE),
+    'X-Canvas-Format': 'rgba8',
+    'X-Canvas-Seq': String(snap.seq),
+  });
+  if (etagMatches(req, snap.etag)) return res.status(304).end();
+
+  res.type('application/octet-stream');
+  if (req.acceptsEncodings('gzip')) {
+    res.set('Content-Encoding', 'gzip');
+    return res.send(snap.gzip());
+  }
+  res.send(snap.raw);
+});
+
+/**
+ * GET /pixels/heatmap?tile=100&window=1h&top=20
+ *
+ * Claim frequency from the ledger:
+ *   tile   — cell edge in pixels, 10–1000 (default 100 → 10×10 grid)
+ *   window — "30m" | "1h" | "24h" | "7d" | … | "all" (default all)
+ *   top    — hottest pixels to list, 1–500 (default 20)
+ */
+app.get('/pixels/heatmap', (req, res) => {
+  const tile = req.query.tile === undefined ? 100 : Number(req.query.tile);
+  if (!Number.isInteger(tile) || tile < 10 || tile > CANVAS_SIZE) {
+    return res.status(400).json({ error: `tile must be an integer 10–${CANVAS_SIZE}` });
+  }
+  const windowMs = parseWindow(req.query.window);
+  if (windowMs === undefined) {
+    return res.status(400).json({ error: 'window must look like "30m", "1h", "7d" or be "all"' });
+  }
+  const top = req.query.top === undefined ? 20 : Number(req.query.top);
+  if (!Number.isInteger(top) || top < 1 || top > 500) {
+    return res.status(400).json({ error: 'top must be an integer 1–500' });
+  }
+
+  const since = windowMs == null ? null : Date.now() - windowMs;
+  const { cols, rows, grid, total } = heatmap.grid(tile, since);
+
+  // Busiest tiles, graded against the busiest one
+  const tiles = [];
+  grid.forEach((row, ty) => row.forEach((count, tx) => {
+    if (count) tiles.push({ tx, ty, count });
+  }));
+  tiles.sort((a, b) => b.count - a.count);
+  const peak = tiles.length ? tiles[0].count : 0;
+  const hot_zones = tiles.slice(0, 5).map(({ tx, ty, count }) => ({
+    x_from: tx * tile,
+    x_to: Math.min((tx + 1) * tile, CANVAS_SIZE) - 1,
+    y_from: ty * tile,
+    y_to: Math.min((ty + 1) * tile, CANVAS_SIZE) - 1,
+    claim_count: count,
+    intensity: count >= peak * 0.75 ? 'extreme' : count >= peak * 0.5 ? 'high' : count >= peak * 0.25 ? 'medium' : 'low',
+  }));
+
+  res.json({
+    tile,
+    window: req.query.window || 'all',
+    since: since == null ? null : new Date(since).toISOString(),
+    cols,
+    rows,
+    total_claims: total,
+    grid,
+    hot_zones,
+    heatmap: heatmap.hottest(top, since),
+  });
+});
+
+/**
+ * GET /pixels/stream?x0=&y0=&x1=&y1=&agent=&alliance=&since=
+ *
+ * Server-Sent Events push channel for pixel claims:
+ *
+ *   event: claim
+ *   id: <store seq>
+ *   data: { seq, x, y, color, owner, previous_owner, price, tx_hash, batch_id?, timestamp }
+ *
+ *   x0,y0,x1,y1 — only changes inside this region (all four or none)
+ *   agent       — only changes where this agent is the new or previous owner
+ *   alliance    — only changes where a current member of this alliance is
+ *                 the new or previous owner, plus the alliance's own events:
+ *
+ *   event: alliance
+ *   data: { seq, type, alliance_id, agent_id?, ..., timestamp }
+ *         type = created | invited | joined | left | removed | distributed | disbanded
+ *
+ *                 (alliance events are live only — they are not replayed on resume)
+ *   since       — resume: first replay retained changes after this seq
+ *                 (EventSource sends it back as Last-Event-ID on reconnect)
+ *
+ * Pixels claimed in one batch share a seq and are sent back to back. If
+ * the changes after `since` are no longer retained, a `resync` event is
+ * sent first: reload the canvas (GET /pixels/snapshot, /pixels/region)
+ * and keep following the stream from its `seq`.
+ */
+app.get('/pixels/stream', (req, res) => {
+  const parsed = parseRegion(req.query);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const region = [req.query.x0, req.query.y0, req.query.x1, req.query.y1].some(v => v !== undefined)
+    ? parsed.region
+    : null;
+  const agent = typeof req.query.agent === 'string' && req.query.agent.trim() ? req.query.agent.trim() : null;
+  const alliance = typeof req.query.alliance === 'string' && req.query.alliance.trim() ? req.query.alliance.trim() : null;
+  if (alliance && !alliances.get(alliance)) return res.status(404).json({ error: 'Unknown alliance' });
+
+  const resumeFrom = req.query.since ?? req.get('Last-Event-ID');
+  const since = resumeFrom === undefined ? null : Number(resumeFrom);
+  if (since !== null && (!Number.isInteger(since) || since < 0)) {
+    return res.status(400).json({ error: 'since must be a non-negative integer seq' });
+  }
+  if (openStreams.size >= STREAM_MAX_SUBSCRIBERS) {
+    return res.status(503).json({ error: 'Too many open streams, retry later' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const members = alliance ? { has: agentId => alliances.allianceOf(agentId)?.id === alliance } : null;
+  const matches = changeFilter({ region, agent, members });
+  const send = changes => {
+    for (const change of changes) {
+      if (matches(change)) res.write(`event: claim\nid: ${change.seq}\ndata: ${JSON.stringify(change)}\n\n`);
+    }
+  };
+
+  res.write('retry: 3000\n\n');
+  res.write(`event: ready\ndata: ${JSON.stringify({ seq: storeState.seq, region, agent, alliance })}\n\n`);
+  if (since !== null) {
+    const backlog = pixelFeed.since(since);
+    if (backlog.resync) {
+      res.write(`event: resync\nid: ${storeState.seq}\ndata: ${JSON.stringify({ seq: storeState.seq, oldest: backlog.oldest })}\n\n`);
+    } else {
+      send(backlog.changes);
+    }
+  }
+
+  const unsubscribe = pixelFeed.subscribe(send);
+  const unsubscribeAlliance = alliance
+    ? alliances.subscribe(event => {
+      if (event.alliance_id === alliance) res.write(`event: alliance\ndata: ${JSON.stringify(event)}\n\n`);
+    })
+    : () => {};
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  openStreams.add(res);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeAlliance();
+    openStreams.delete(res);
+  });
+});
+
+/**
+ * GET /pixels/changes?since=<cursor>&limit=1000
+ *
+ * Delta sync: pixels written after `since`, in write order, each with its
+ * current state and `seq`. Apply them, then ask again with `next_cursor`;
+ * `has_more` means another page is ready right away.
+ *
+ * Start from the `seq` of a full read (/pixels, /pixels/region,
+ * X-Canvas-Seq of /pixels/snapshot) or 0 for an empty canvas. A cursor the
+ * server cannot answer from (ahead of the store, or from before pixels
+ * were seq-stamped) gets 410 `resync_required`: reload and start over.
+ */
+app.get('/pixels/changes', (req, res) => {
+  const since = Number(req.query.since);
+  if (req.query.since === undefined || !Number.isInteger(since) || since < 0) {
+    return res.status(400).json({ error: 'since must be a non-negative integer cursor' });
+  }
+  const limit = req.query.limit === undefined ? 1000 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > CHANGES_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be an integer 1–${CHANGES_MAX_LIMIT}` });
+  }
+
+  const delta = changeIndex.since(since, limit);
+  if (delta.resync) {
+    return res.status(410).json({
+      error: 'Cursor can no longer be served — reload the canvas and sync from its seq',
+      code: 'resync_required',
+      seq: storeState.seq,
+      oldest_cursor: delta.oldest,
+    });
+  }
+
+  res.json({
+    cursor: since,
+    next_cursor: delta.next,
+    has_more: delta.hasMore,
+    seq: storeState.seq,
+    count: delta.changes.length,
+    changes: delta.changes,
+  });
+});
+
+/**
+ * GET /pixels/cheapest?count=10&max_price=&include=all&x0=&y0=&x1=&y1=
+ *
+ * The cheapest pixels to claim right now, across the whole board (or a
+ * region), ordered by what claiming them costs: a random sample of
+ * unclaimed pixels and occupied pixels from the price index. The index is
+ * ordered by last price paid; `pricing.floor()` bounds what a pixel at each
+ * level can cost now, so the scan stops once no later level can make the list.
+ *
+ *   count     — 1–500 (default 10)
+ *   max_price — USDC, skip anything costing more
+ *   include   — all | free | occupied (default all)
+ *   exclude   — agent_id whose pixels to leave out, with its allies' unless
+ *               its alliance allows friendly fire (default: none)
+ */
+app.get('/pixels/cheapest', (req, res) => {
+  const q = req.query;
+  const count = q.count === undefined ? 10 : Number(q.count);
+  if (!Number.isInteger(count) || count < 1 || count > DISCOVERY_MAX_RESULTS) {
+    return res.status(400).json({ error: `count must be an integer 1–${DISCOVERY_MAX_RESULTS}` });
+  }
+  const maxPrice = q.max_price === undefined ? Infinity : Number(q.max_price);
+  if (!(maxPrice > 0)) {
+    return res.status(400).json({ error: 'max_price must be a positive number (USDC)' });
+  }
+  const include = q.include || 'all';
+  if (!['all', 'free', 'occupied'].includes(include)) {
+    return res.status(400).json({ error: 'include must be one of: all, free, occupied' });
+  }
+  const parsed = parseRegion(q);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { region } = parsed;
+  const exclude = typeof q.exclude === 'string' && q.exclude.trim() ? alliances.friendsOf(q.exclude.trim()) : null;
+
+  const center = (CANVAS_SIZE - 1) / 2;
+  const distanceToCenter = (x, y) => Math.round(Math.hypot(x - center, y - center) * 10) / 10;
+  const pixels = [];
+
+  // Cheapest `count` so far, ascending (equal prices keep arrival order)
+  const keep = (pixel) => {
+    let i = pixels.length;
+    while (i > 0 && pixels[i - 1].price > pixel.price) i--;
+    pixels.splice(i, 0, pixel);
+    if (pixels.length > count) pixels.pop();
+  };
+
+  if (include !== 'occupied') {
+    for (const { x, y } of sampleFreePixels({ canvas: canvasStore, region, count })) {
+      const price = calcPrice(x, y, undefined);
+      if (price <= maxPrice) keep({ x, y, price, owner: null, distance_to_center: distanceToCenter(x, y) });
+    }
+  }
+
+  if (include !== 'free') {
+    for (const p of priceIndex.ascending()) {
+      const floor = pricing.floor(p.price);
+      if (floor > maxPrice || (pixels.length >= count && floor >= pixels[pixels.length - 1].price)) break;
+      if (p.x < region.x0 || p.x > region.x1 || p.y < region.y0 || p.y > region.y1) continue;
+      const current = canvasStore.get(pixelKey(p.x, p.y));
+      if (exclude && exclude.has(current.owner)) continue;
+      const price = calcPrice(p.x, p.y, current);
+      if (price > maxPrice) continue;
+      keep({ x: p.x, y: p.y, price, owner: current.owner, distance_to_center: distanceToCenter(p.x, p.y) });
+    }
+  }
+
+  res.json({ seq: storeState.seq, region, count: pixels.length, pixels });
+});
+
+/**
+ * GET /pixels/arbitrage?agent_id=&min_score=&window=1h&count=10
+ *
+ * Pixels claimed within `window`, scored by claim velocity, rebates paid
+ * out on them, location and price (formula in lib/discovery.js), best
+ * first. Pixels `agent_id` already holds are left out, and so are its
+ * allies' unless its alliance allows friendly fire.
+ *
+ *   window    — "30m" | "1h" | "24h" | … (default 1h; "all" not allowed)
+ *   min_score — drop anything scoring lower (default 0)
+ *   count     — 1–500 (default 10)
+ */
+app.get('/pixels/arbitrage', (req, res) => {
+  const q = req.query;
+  const windowMs = parseWindow(q.window === undefined ? '1h' : q.window);
+  if (!windowMs) {
+    return res.status(400).json({ error: 'window must look like "30m", "1h" or "7d"' });
+  }
+  const minScore = q.min_score === undefined ? 0 : Number(q.min_score);
+  if (!Number.isFinite(minScore)) {
+    return res.status(400).json({ error: 'min_score must be a number' });
+  }
+  const count = q.count === undefined ? 10 : Number(q.count);
+  if (!Number.isInteger(count) || count < 1 || count > DISCOVERY_MAX_RESULTS) {
+    return res.status(400).json({ error: `count must be an integer 1–${DISCOVERY_MAX_RESULTS}` });
+  }
+  const friends = typeof q.agent_id === 'string' && q.agent_id.trim() ? alliances.friendsOf(q.agent_id.trim()) : null;
+
+  const since = Date.now() - windowMs;
+  const rows = txLedger.slice(firstIndexSince(txLedger, since));
+  const opportunities = scoreArbitrage({
+    rows,
+    canvas: canvasStore,
+    windowMs,
+    size: CANVAS_SIZE,
+    initialPrice: pricing.initialPrice(),
+    rebateRatio: REBATE_RATIO,
+    calcPrice,
+  })
+    .filter(o => !friends || !friends.has(o.owner))
+    .filter(o => o.arbitrage_score >= minScore)
+    .sort((a, b) => b.arbitrage_score - a.arbitrage_score)
+    .slice(0, count);
+
+  res.json({
+    window: q.window || '1h',
+    since: new Date(since).toISOString(),
+    claims_in_window: rows.length,
+    count: opportunities.length,
+    opportunities,
+  });
+});
+
+/**
+ * GET /canvas.png?x0=&y0=&x1=&y1=&scale=&overlay=&agent=&bg=
+ *
+ * The board (or a region of it) rendered to PNG — see lib/render.js.
+ *
+ *   x0,y0,x1,y1 — inclusive region (all four or none; default whole canvas)
+ *   scale       — output pixels per board pixel, 1–32 (default 1)
+ *   overlay     — none | owner | price (default none)
+ *   agent       — highlight this agent's pixels, dim everyone else
+ *   bg          — "#RRGGBB" for unclaimed pixels (default transparent)
+ *
+ * Cached until the canvas changes; ETag / If-None-Match supported.
+ */
+app.get('/canvas.png', (req, res) => {
+  const q = req.query;
+
+  const parsed = parseRegion(q);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { region } = parsed;
+
+  const scale = q.scale === undefined ? 1 : Number(q.scale);
+  if (!Number.isInteger(scale) || scale < 1 || scale > PNG_MAX_SCALE) {
+    return res.status(400).json({ error: `scale must be an integer 1–${PNG_MAX_SCALE}` });
+  }
+  const width  = (region.x1 - region.x0 + 1) * scale;
+  const height = (region.y1 - region.y0 + 1) * scale;
+  if (width > PNG_MAX_DIMENSION || height > PNG_MAX_DIMENSION) {
+    return res.status(400).json({ error: `Image would be ${width}×${height}, max ${PNG_MAX_DIMENSION} per side — lower scale or shrink the region` });
+  }
+
+  const overlay = q.overlay || 'none';
+  if (!OVERLAYS.includes(overlay)) {
+    return res.status(400).json({ error: `overlay must be one of: ${OVERLAYS.join(', ')}` });
+  }
+  if (q.bg !== undefined && !validateColor(q.bg)) {
+    return res.status(400).json({ error: 'bg must be "#RRGGBB"' });
+  }
+  const background = q.bg ? parseHexColor(q.bg) : null;
+  const agent = typeof q.agent === 'string' && q.agent.trim() ? q.agent.trim() : null;
+
+  const image = renderer.render({ region, scale, overlay, agent, background });
+
+  res.set({
+    'ETag': image.etag,
+    'Cache-Control': 'no-cache',
+    'X-Canvas-Seq': String(storeState.seq),
+    'X-Cache': image.cached ? 'HIT' : 'MISS',
+  });
+  if (etagMatches(req, image.etag)) return res.status(304).end();
+  res.type('image/png').send(image.png);
+});
+
+/**
+ * GET /pixel/:x/:y
+ *
+ * Returns single pixel data. If unoccupied, returns default state.
+ */
+app.get('/pixel/:x/:y', (req, res) => {
+  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
+  if (!valid) {
+    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+  }
+
+  const key  = pixelKey(x, y);
+  const data = canvasStore.get(key);
+
+  if (!data) {
+    return res.json({
+      x, y,
+      owner: null,
+      color: null,
+      price: calcPrice(x, y, undefined),
+      timestamp: null,
+      occupied: false,
+    });
+  }
+
+  res.json({ x, y, ...data, occupied: true });
+});
+
+/**
+ * POST /pixel/:x/:y
+ * Body: { color: "#RRGGBB", agent_id?: "string" }
+ * Auth: Authorization: Bearer <captcha token>  (tier ≥ ai_verified, else 401)
+ *       agent_id defaults to the token's agent; a different one → 403
+ *
+ * x402 Payment Flow:
+ *
+ * Step 1 — No X-PAYMENT header:
+ *   → 402 Payment Required + { price_usdc, wallet_address, network, token, x, y }
+ *
+ * Step 2 — With X-PAYMENT header (tx_hash or JSON proof):
+ *   → Verify payment → Execute pixel claim
+ *   → 200 { success, x, y, color, owner, price_paid, ... }
+ */
+app.post('/pixel/:x/:y', auth.requireTier('ai_verified'), async (req, res) => {
+  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
+  if (!valid) {
+    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+  }
+
+  const { color } = req.body;
+  if (!validateColor(color)) {
+    return res.status(400).json({ error: 'Invalid color. Must be "#RRGGBB"' });
+  }
+
+  const claimant = resolveClaimant(req);
+  if (!claimant.ok) return res.status(claimant.status).json({ error: claimant.error, code: claimant.code });
+
+  const owner    = claimant.owner;
+  const key      = pixelKey(x, y);
+  const existing = canvasStore.get(key);
+
+  const ally = existing ? alliances.shields(owner, existing.owner) : null;
+  if (ally) {
+    return res.status(409).json({
+      error: `(${x}, ${y}) is held by "${existing.owner}", an ally in ${ally.name} — friendly fire is off`,
+      code: 'ally_pixel',
+      alliance_id: ally.id,
+    });
+  }
+
+  // ── x402: Check for payment header ──
+  const paymentHeader = req.headers['x-payment'];
+
+  if (!paymentHeader) {
+    // ── STEP 1: Return 402 Payment Required with a signed quote ──
+    return res.status(402).json(paymentRequiredBody(req, { x, y, existing, payer: owner }));
+  }
+
+  // ── STEP 2: Validate payment and execute pixel claim ──
+  const payment = x402.decodePaymentHeader(paymentHeader);
+  const rejectPayment = (reason) => res.status(402).json(
+    paymentRequiredBody(req, { x, y, existing: canvasStore.get(key), payer: owner }, `Invalid payment: ${reason}`)
+  );
+
+  const problem = paymentProblem(payment);
+  if (problem) return rejectPayment(problem);
+
+  // The quote fixes the price this payment is for. Without one (legacy and
+  // third-party clients) the price is taken now — either way the pixel
+  // version is pinned before the async verification and re-checked afterwards.
+  const quoteId = quoteIdFrom(req, payment);
+
+  let quote = null;
+  let quoteExpired = false;
+  if (quoteId) {
+    const checked = quotes.verify(quoteId);
+    if (!checked.ok) {
+      return res.status(400).json({ error: `Invalid quote: ${checked.reason}` });
+    }
+    quote = checked.quote;
+    if (quote.kind || quote.x !== x || quote.y !== y || quote.payer !== owner) {
+      return res.status(400).json({ error: 'Quote was issued for a different pixel or payer' });
+    }
+    quoteExpired = checked.expired;
+  }
+
+  const price_usdc    = quote ? quote.price_usdc : calcPrice(x, y, existing);
+  const pricedVersion = quote ? quote.version : pixelVersion(existing);
+
+  const verification = await verifyPayment(payment, claimRequirements(req, {
+    description: pixelDescription(x, y),
+    price_usdc,
+  }), { payers: claimant.payers, agent_id: owner });
+  if (verification.credit) return paymentUnconfirmed(res, verification);
+  if (!verification.ok) return rejectPayment(verification.reason);
+  const txRef = verification.transaction;
+  const spent = spentPayment(verification, { x, y, price_usdc, agent_id: owner });
+
+  // ── Settlement: everything below is synchronous, so check-and-write is
+  //    atomic per pixel. A concurrent claim that won the race bumps the
+  //    version and this payment becomes a credit instead of a lost transfer.
+  const current = canvasStore.get(key);
+  if (quoteExpired || pixelVersion(current) !== pricedVersion) {
+    const reason = quoteExpired ? 'quote_expired' : 'price_moved';
+    const credit = recordCredit({
+      agent_id: owner,
+      amount_usdc: verification.amount_usdc ?? price_usdc,
+      reason,
+      x, y,
+      quote_id: quoteId,
+      tx_hash: txRef,
+      payer: verification.payer,
+      payment: spent,
+    });
+    replay.release(spent.id);
+    return res.status(409).json({
+      error: quoteExpired
+        ? 'Quote expired before settlement — payment credited, request a new quote'
+        : 'Price moved — pixel was claimed by someone else first; payment credited',
+      code: 'pixel_contested',
+      quoted_price: price_usdc,
+      current_price: calcPrice(x, y, current),
+      credit,
+    });
+  }
+
+  // ── Write new pixel state + ledger row as one store event ──
+  const claim = buildClaim({
+    x, y,
+    color,
+    owner,
+    current,
+    price_paid: price_usdc,
+    tx_hash: txRef,
+    payer: verification.payer,
+    quote_id: quoteId,
+    now: Date.now(),
+  });
+  const seq = store.commit({ type: 'pixel.claim', key, pixel: claim.pixel, tx: claim.tx, payment: spent });
+  replay.release(spent.id);
+  publishClaims(seq, [claim]);
+
+  res.set(x402.HEADER_PAYMENT_RESPONSE, x402.encodePaymentResponse({
+    success: true,
+    transaction: txRef,
+    network: PAYMENT_NETWORK,
+    payer: verification.payer || null,
+  }));
+  res.json({ success: true, ...claim.result });
+});
+
+/**
+ * POST /pixels/batch
+ * Body: { pixels: [{ x, y, color }], mode?: "all_or_nothing" | "best_effort", agent_id? }
+ * Auth: same as POST /pixel/:x/:y
+ *
+ * One x402 round-trip for up to BATCH_MAX_PIXELS pixels:
+ *
+ * Step 1 — No X-PAYMENT header:
+ *   → 402, maxAmountRequired = summed price, extra.breakdown = [{ x, y, price_usdc }]
+ *
+ * Step 2 — With X-PAYMENT (send the same pixel list):
+ *   → verify the payment once, apply every pixel in a single store event
+ *
+ * Pixels claimed by someone else between quote and settlement:
+ *   all_or_nothing (default) — nothing is applied, the whole payment is credited → 409
+ *   best_effort              — the others are applied, their unused price is credited → 200
+ */
+app.post('/pixels/batch', auth.requireTier('ai_verified'), async (req, res) => {
+  const { pixels, mode = 'all_or_nothing' } = req.body;
+
+  if (!BATCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${BATCH_MODES.join(', ')}` });
+  }
+  if (!Array.isArray(pixels) || pixels.length === 0) {
+    return res.status(400).json({ error: 'pixels must be a non-empty array of { x, y, color }' });
+  }
+  if (pixels.length > BATCH_MAX_PIXELS) {
+    return res.status(400).json({ error: `At most ${BATCH_MAX_PIXELS} pixels per batch` });
+  }
+
+  const items = [];
+  const seen  = new Set();
+  for (const [i, p] of pixels.entries()) {
+    const { valid, x, y } = validateCoords(p && p.x, p && p.y);
+    if (!valid) {
+      return res.status(400).json({ error: `pixels[${i}]: coordinates out of range (0–999)` });
+    }
+    if (!validateColor(p.color)) {
+      return res.status(400).json({ error: `pixels[${i}]: invalid color. Must be "#RRGGBB"` });
+    }
+    const key = pixelKey(x, y);
+    if (seen.has(key)) {
+      return res.status(400).json({ error: `pixels[${i}]: duplicate pixel (${x}, ${y})` });
+    }
+    seen.add(key);
+    items.push({ x, y, color: p.color, key });
+  }
+
+  const claimant = resolveClaimant(req);
+  if (!claimant.ok) return res.status(claimant.status).json({ error: claimant.error, code: claimant.code });
+  const owner = claimant.owner;
+
+  const allyHeld = items
+    .map(item => ({ item, current: canvasStore.get(item.key) }))
+    .filter(({ current }) => current && alliances.shields(owner, current.owner))
+    .map(({ item, current }) => ({ x: item.x, y: item.y, owner: current.owner }));
+  if (allyHeld.length > 0) {
+    const ally = alliances.allianceOf(owner);
+    return res.status(409).json({
+      error: `${allyHeld.length} pixel(s) are held by allies in ${ally.name} — friendly fire is off`,
+      code: 'ally_pixels',
+      alliance_id: ally.id,
+      pixels: allyHeld,
+    });
+  }
+
+  const paymentHeader = req.headers['x-payment'];
+  if (!paymentHeader) {
+    return res.status(402).json(batchRequiredBody(req, { items, payer: owner }));
+  }
+
+  const payment = x402.decodePaymentHeader(paymentHeader);
+  const rejectPayment = (reason) => res.status(402).json(
+    batchRequiredBody(req, { items, payer: owner }, `Invalid payment: ${reason}`)
+  );
+
+  const problem = paymentProblem(payment);
+  if (problem) return rejectPayment(problem);
+
+  const quoteId = quoteIdFrom(req, payment);
+  let priced;
+  let quoteExpired = false;
+  if (quoteId) {
+    const checked = quotes.verify(quoteId);
+    if (!checked.ok) {
+      return res.status(400).json({ error: `Invalid quote: ${checked.reason}` });
+    }
+    const quote = checked.quote;
+    if (quote.kind !== 'batch' || quote.digest !== batchDigest(items) || quote.payer !== owner) {
+      return res.status(400).json({ error: 'Quote was issued for a different pixel list or payer' });
+    }
+    quoteExpired = checked.expired;
+    priced = items.map((item, i) => ({ price_usdc: quote.prices[i], version: quote.versions[i] }));
+  } else {
+    priced = priceBatch(items);
+  }
+  const price_usdc = round6(priced.reduce((sum, p) => sum + p.price_usdc, 0));
+
+  const verification = await verifyPayment(payment, claimRequirements(req, {
+    description: batchDescription(items),
+    price_usdc,
+  }), { payers: claimant.payers, agent_id: owner });
+  if (verification.credit) return paymentUnconfirmed(res, verification);
+  if (!verification.ok) return rejectPayment(verification.reason);
+  const txRef    = verification.transaction;
+  const batch_id = `b_${crypto.randomUUID()}`;
+  const spent    = spentPayment(verification, { x: null, y: null, price_usdc, agent_id: owner, batch_id });
+
+  // ── Settlement (synchronous): split into still-priced and contested pixels ──
+  const applicable = [];
+  const contested  = [];
+  items.forEach((item, i) => {
+    const current = canvasStore.get(item.key);
+    if (quoteExpired || pixelVersion(current) !== priced[i].version) {
+      contested.push({ x: item.x, y: item.y, quoted_price: priced[i].price_usdc, current_price: calcPrice(item.x, item.y, current) });
+    } else {
+      applicable.push({ ...item, current, price_paid: priced[i].price_usdc });
+    }
+  });
+  const reason = quoteExpired ? 'quote_expired' : 'price_moved';
+
+  if (applicable.length === 0 || (contested.length > 0 && mode === 'all_or_nothing')) {
+    const credit = recordCredit({
+      agent_id: owner,
+      amount_usdc: verification.amount_usdc ?? price_usdc,
+      reason,
+      x: null, y: null,
+      quote_id: quoteId,
+      tx_hash: txRef,
+      payer: verification.payer,
+      batch_id,
+      payment: spent,
+    });
+    replay.release(spent.id);
+    return res.status(409).json({
+      error: quoteExpired
+        ? 'Quote expired before settlement — payment credited, request a new quote'
+        : `${contested.length} pixel(s) were claimed by someone else first — nothing applied; payment credited`,
+      code: 'pixels_contested',
+      mode,
+      quoted_price: price_usdc,
+      contested,
+      credit,
+    });
+  }
+
+  // ── Apply every remaining pixel (+ credit for the contested ones) as one store event ──
+  const now = Date.now();
+  const claims = applicable.map(item => buildClaim({
+    x: item.x, y: item.y,
+    color: item.color,
+    owner,
+    current: item.current,
+    price_paid: item.price_paid,
+    tx_hash: txRef,
+    payer: verification.payer,
+    quote_id: quoteId,
+    batch_id,
+    now,
+  }));
+  const total_paid = round6(claims.reduce((sum, c) => sum + c.result.price_paid, 0));
+  const credit = contested.length > 0
+    ? newCredit({
+      agent_id: owner,
+      amount_usdc: price_usdc - total_paid,
+      reason,
+      x: null, y: null,
+      quote_id: quoteId,
+      tx_hash: txRef,
+      payer: verification.payer,
+      batch_id,
+    })
+    : null;
+
+  const seq = store.commit({
+    type: 'pixel.claim_batch',
+    claims: claims.map(({ key, pixel, tx }) => ({ key, pixel, tx })),
+    ...(credit ? { credit } : {}),
+    payment: spent,
+  });
+  replay.release(spent.id);
+  publishClaims(seq, claims);
+
+  res.set(x402.HEADER_PAYMENT_RESPONSE, x402.encodePaymentResponse({
+    success: true,
+    transaction: txRef,
+    network: PAYMENT_NETWORK,
+    payer: verification.payer || null,
+  }));
+  res.json({
+    success: true,
+    mode,
+    batch_id,
+    tx_hash: txRef,
+    total_paid,
+    applied: claims.map(c => c.result),
+    contested,
+    credit,
+  });
+});
+
+/**
+ * GET /price/:x/:y
+ *
+ * Returns the current price for a pixel (useful for agents before payment),
+ * with how it was reached: the season and region whose pricing chain
+ * applies, each model's step (`breakdown`) and the chain's parameters.
+ * Time-decay and demand prices move without a claim — a 402 quote fixes
+ * the price for its lifetime.
+ */
+app.get('/price/:x/:y', (req, res) => {
+  const { valid, x, y } = validateCoords(req.params.x, req.params.y);
+  if (!valid) {
+    return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+  }
+
+  const existing = canvasStore.get(pixelKey(x, y));
+  const { price_usdc, season, season_ends_at, region, steps, models } = pricing.explain(x, y, existing);
+
+  res.json({
+    x, y,
+    price_usdc,
+    wallet_address: OWNER_WALLET_ADDRESS,
+    network: PAYMENT_NETWORK,
+    token: PAYMENT_TOKEN,
+    occupied: !!existing,
+    current_owner: existing ? existing.owner : null,
+    last_price: existing ? existing.price : null,
+    last_claimed_at: existing ? existing.timestamp : null,
+    pricing: {
+      season,
+      ...(season_ends_at ? { season_ends_at } : {}),
+      region,
+      models,
+      breakdown: steps,
+    },
+  });
+});
+
+/**
+ * GET /stats
+ *
+ * Returns aggregate stats.
+ */
+app.get('/stats', (_req, res) => {
   const total_occupied = canvasStore.size;
 
-  // Most expensive pixel
-  let most_expensive = null;
-  for (const [key, data] of canvasStore.entries()) {
-    const [x, y] = key.split(':').map(Number);
-    if (!most_expensive || data.price > most_expensive.price) {
-      most_expensive = { x, y, ...data };
+  // Most expensive pixel
+  let most_expensive = null;
+  for (const [key, data] of canvasStore.entries()) {
+    const [x, y] = key.split(':').map(Number);
+    if (!most_expensive || data.price > most_expensive.price) {
+      most_expensive = { x, y, ...data };
+    }
+  }
+
+  // Most active agent (by number of purchases in ledger)
+  const agentCounts = {};
+  for (const tx of txLedger) {
+    agentCounts[tx.buyer] = (agentCounts[tx.buyer] || 0) + 1;
+  }
+  let most_active = null;
+  let maxCount = 0;
+  for (const [agent, count] of Object.entries(agentCounts)) {
+    if (count > maxCount) {
+      most_active = agent;
+      maxCount = count;
+    }
+  }
+
+  res.json({
+    total_occupied,
+    canvas_size: `${CANVAS_SIZE}x${CANVAS_SIZE}`,
+    most_expensive,
+    most_active: most_active
+      ? { agent_id: most_active, tx_count: maxCount }
+      : null,
+    // Most-claimed pixels, all time (GET /pixels/heatmap for tiles / windows)
+    heatmap: heatmap.hottest(HEATMAP_TOP_N),
+    payment_info: {
+      protocol: 'x402',
+      network: PAYMENT_NETWORK,
+      token: PAYMENT_TOKEN,
+      owner_wallet: OWNER_WALLET_ADDRESS,
+    },
+  });
+});
+
+/**
+ * GET /leaderboard?by=pixels_held&window=all&page=1&limit=20
+ *
+ *   by     — pixels_held | territory_value | spent | rebates | net_profit
+ *            | largest_territory (default pixels_held)
+ *   window — "all" | "24h" | "1h" | … (default all). Canvas rankings count
+ *            only holdings claimed inside the window, ledger rankings only
+ *            rows inside it.
+ *
+ * Every entry carries all metrics; `value` is the one ranked by.
+ */
+app.get('/leaderboard', (req, res) => {
+  const by = req.query.by || 'pixels_held';
+  if (!RANKINGS.includes(by)) {
+    return res.status(400).json({ error: `by must be one of: ${RANKINGS.join(', ')}` });
+  }
+  const windowMs = parseWindow(req.query.window);
+  if (windowMs === undefined) {
+    return res.status(400).json({ error: 'window must look like "1h", "24h" or be "all"' });
+  }
+  const page  = Math.max(1, parseInt(req.query.page  || '1',  10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+  const { total, since, entries } = leaderboard.rank(by, { windowMs, page, limit });
+  res.json({
+    by,
+    window: req.query.window || 'all',
+    since: since == null ? null : new Date(since).toISOString(),
+    seq: storeState.seq,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    rankings: entries,
+  });
+});
+
+/**
+ * POST /agent/register/challenge
+ * Body: { wallet, delegates?: string[] }
+ *
+ * Step 1 of binding the token's agent to a wallet (lib/registry.js).
+ * → 200 { agent_id, challenge, message, expires_at } — sign `message` with the wallet
+ *   (EIP-191 personal_sign) and send it to POST /agent/register.
+ */
+app.post('/agent/register/challenge', auth.requireTier('ai_verified'), (req, res) => {
+  const agentId = req.agent.agent_id;
+  if (!agentId) return res.status(400).json({ error: 'Token carries no agent_id — verify the captcha with one' });
+
+  const issued = registry.challenge({ agent_id: agentId, wallet: req.body?.wallet, delegates: req.body?.delegates });
+  if (!issued.ok) return res.status(400).json({ error: issued.error });
+  res.json({ agent_id: agentId, challenge: issued.challenge, message: issued.message, expires_at: issued.expires_at });
+});
+
+/**
+ * POST /agent/register
+ * Body: { challenge, signature, current_signature? }
+ *
+ * Binds the agent to the challenge's wallet and delegates. Registering
+ * again replaces the delegate list; moving to another wallet also needs
+ * `current_signature` (the same message signed by the registered wallet).
+ * An agent with claim history must be registered the first time by a
+ * wallet that paid for some of it (X-Admin-Key skips that check).
+ *
+ * From then on the agent's claims must be paid by its wallet or a
+ * delegate, its payouts and loot go to its wallet, and only tokens bound
+ * to the wallet work for it: the response carries a fresh one (`session`),
+ * earlier tokens are no longer valid.
+ */
+app.post('/agent/register', auth.requireTier('ai_verified'), (req, res) => {
+  const { challenge, signature, current_signature } = req.body || {};
+  const override = !!ADMIN_API_KEY && req.headers['x-admin-key'] === ADMIN_API_KEY;
+  const checked = registry.verify({ challenge, signature, current_signature, override });
+  if (!checked.ok) return res.status(checked.status).json({ error: checked.error, code: checked.code });
+  if (checked.agent.agent_id !== req.agent.agent_id) {
+    return res.status(403).json({ error: `Challenge was issued to "${checked.agent.agent_id}", not "${req.agent.agent_id}"` });
+  }
+
+  store.commit({ type: 'agent.register', agent: checked.agent });
+  const session = auth.issue({ agent_id: checked.agent.agent_id, tier: req.agent.claims.tier, wallet: checked.agent.wallet });
+  res.json({ registered: true, ...checked.agent, session });
+});
+
+/**
+ * POST /agent/signin/challenge
+ * Body: { agent_id }
+ *
+ * Sign-in challenge for a registered agent: sign `message` with its wallet
+ * (EIP-191 personal_sign) and send both with POST /captcha/verify as
+ * `wallet_challenge` / `wallet_signature` to get a token for it.
+ * → 200 { agent_id, wallet, challenge, message, expires_at }
+ * → 404 agent not registered (no signature needed)
+ */
+app.post('/agent/signin/challenge', (req, res) => {
+  const agentId = req.body?.agent_id;
+  if (!agentId || typeof agentId !== 'string') return res.status(400).json({ error: 'agent_id is required' });
+
+  const issued = registry.signInChallenge(agentId);
+  if (!issued.ok) return res.status(issued.status).json({ error: issued.error });
+  res.json({
+    agent_id: agentId,
+    wallet: registry.get(agentId).wallet,
+    challenge: issued.challenge,
+    message: issued.message,
+    expires_at: issued.expires_at,
+  });
+});
+
+/**
+ * GET /agent/:id
+ *
+ * Agent metadata: its registration (wallet + delegates, if bound) and a
+ * short activity summary from the ledger.
+ */
+app.get('/agent/:id', (req, res) => {
+  const agentId = req.params.id;
+  const agent = registry.get(agentId);
+  const book = agentBooks.book(agentId);
+  if (!agent && !book) return res.status(404).json({ error: 'Unknown agent' });
+
+  res.json({
+    agent_id: agentId,
+    registered: !!agent,
+    wallet: agent ? agent.wallet : null,
+    delegates: agent ? agent.delegates : [],
+    registered_at: agent ? agent.registered_at : null,
+    updated_at: agent ? agent.updated_at : null,
+    alliance_id: alliances.allianceOf(agentId)?.id || null,
+    pixels_held: book ? book.holdings.size : 0,
+    pixels_claimed: book ? book.claims : 0,
+    first_claim_at: book ? txLedger[book.rows[0]].timestamp : null,
+  });
+});
+
+/**
+ * GET /agent/:id/portfolio?limit=1000
+ *
+ * An agent's position, from the ledger (lib/portfolio.js):
+ *
+ *   total_spent_usdc      — Σ price paid for every claim
+ *   rebates_earned_usdc   — Σ rebates received when its pixels were taken
+ *   sale_proceeds_usdc    — Σ received for pixels sold through market listings
+ *   cost_basis_usdc       — Σ price paid for pixels it still holds
+ *   replacement_cost_usdc — what claiming its holdings would cost now
+ *   realized_pnl_usdc     — rebates + sale proceeds − price paid for pixels it lost
+ *   unrealized_pnl_usdc   — rebates its holdings would pay if taken now − cost basis
+ *   credits_usdc          — credited payments not turned into pixels
+ *
+ * `pixels` lists up to `limit` holdings (1–10000), newest first; the
+ * totals always cover all of them.
+ */
+app.get('/agent/:id/portfolio', (req, res) => {
+  const agentId = req.params.id;
+  const limit = req.query.limit === undefined ? 1000 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PORTFOLIO_MAX_PIXELS) {
+    return res.status(400).json({ error: `limit must be an integer 1–${PORTFOLIO_MAX_PIXELS}` });
+  }
+
+  const book = agentBooks.book(agentId);
+  let cost_basis = 0;
+  let replacement_cost = 0;
+  let rebate_value = 0;
+  const pixels = [];
+  if (book) {
+    for (const [key, held] of book.holdings) {
+      const current = canvasStore.get(key);
+      cost_basis += held.price;
+      const [x, y] = key.split(':').map(Number);
+      replacement_cost += calcPrice(x, y, current);
+      rebate_value += held.price * REBATE_RATIO;
+      pixels.push({ key, held });
+    }
+  }
+  pixels.sort((a, b) => b.held.since - a.held.since);
+
+  let credits_usdc = 0;
+  for (const credit of storeState.credits) {
+    if (credit.agent_id === agentId && credit.status === 'credited') credits_usdc += credit.amount_usdc;
+  }
+
+  const rebates = book ? book.rebates : 0;
+  const sales = book ? book.sales : 0;
+  const realized = rebates + sales - (book ? book.lostCost : 0);
+  const unrealized = rebate_value - cost_basis;
+
+  res.json({
+    agent_id: agentId,
+    seq: storeState.seq,
+    pixels_held: pixels.length,
+    pixels_claimed: book ? book.claims : 0,
+    pixels_lost: book ? book.lost : 0,
+    total_spent_usdc: round6(book ? book.spent : 0),
+    rebates_earned_usdc: round6(rebates),
+    sale_proceeds_usdc: round6(sales),
+    cost_basis_usdc: round6(cost_basis),
+    replacement_cost_usdc: round6(replacement_cost),
+    realized_pnl_usdc: round6(realized),
+    unrealized_pnl_usdc: round6(unrealized),
+    total_pnl_usdc: round6(realized + unrealized),
+    credits_usdc: round6(credits_usdc),
+    pixels: pixels.slice(0, limit).map(({ key, held }) => {
+      const [x, y] = key.split(':').map(Number);
+      const current = canvasStore.get(key);
+      return {
+        x, y,
+        color: current.color,
+        price_paid: held.price,
+        held_since: held.since,
+        replacement_cost: calcPrice(x, y, current),
+      };
+    }),
+  });
+});
+
+/**
+ * GET /agent/:id/history?page=1&limit=100&side=buy|sell
+ *
+ * Ledger rows where the agent was buyer or seller, newest first. Each row
+ * is the ledger entry plus `side` and its `ledger_index` for auditing.
+ */
+app.get('/agent/:id/history', (req, res) => {
+  const page  = Math.max(1, parseInt(req.query.page  || '1',   10));
+  const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit || '100', 10)));
+  const side = req.query.side || null;
+  if (side !== null && side !== 'buy' && side !== 'sell') {
+    return res.status(400).json({ error: 'side must be "buy" or "sell"' });
+  }
+
+  const { total, rows } = agentBooks.history(req.params.id, { page, limit, side });
+  res.json({
+    agent_id: req.params.id,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    transactions: rows,
+  });
+});
+
+/**
+ * GET /agent/:id/balance?limit=20
+ *
+ * What the agent is owed (lib/balances.js): rebates from pixels taken from
+ * it plus credited payments, minus payouts pending or paid.
+ * `payouts` lists its latest `limit` (1–100) payout requests, newest first.
+ */
+app.get('/agent/:id/balance', (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PAYOUT_LIST_MAX) {
+    return res.status(400).json({ error: `limit must be an integer 1–${PAYOUT_LIST_MAX}` });
+  }
+
+  const { payouts, ...totals } = balances.balance(req.params.id);
+  res.json({
+    agent_id: req.params.id,
+    seq: storeState.seq,
+    ...totals,
+    payout_min_usdc: PAYOUT_MIN_USDC,
+    payout_executor: payoutExecutor ? payoutExecutor.name : 'none',
+    payouts_total: payouts.length,
+    payouts: payouts.slice(-limit).reverse(),
+  });
+});
+
+/**
+ * POST /agent/:id/payouts
+ * Body: { amount_usdc? }  — amount defaults to the whole available balance
+ *
+ * Queues a withdrawal of the agent's own balance (token must be issued to
+ * `:id`) to its registered wallet. The amount is held from `available` at
+ * once and sent by the payout executor in request order; poll
+ * GET /agent/:id/balance for its status (queued → sending → paid | failed).
+ *
+ * → 202 { payout, balance }
+ * → 409 { code: 'registration_required' | 'insufficient_balance' }
+ */
+app.post('/agent/:id/payouts', auth.requireTier('ai_verified'), (req, res) => {
+  const agentId = req.params.id;
+  if (req.agent.agent_id !== agentId) {
+    return res.status(403).json({ error: `Token was issued to "${req.agent.agent_id}", not "${agentId}"` });
+  }
+
+  const target = payoutWallet(agentId, req.body?.wallet);
+  if (target.error) return res.status(target.status).json({ error: target.error, code: target.code });
+
+  const { available_usdc } = balances.balance(agentId);
+  const requested = req.body?.amount_usdc;
+  const amount = requested === undefined ? available_usdc : Number(requested);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'amount_usdc must be a positive number' });
+  }
+  if (round6(amount) > available_usdc) {
+    return res.status(409).json({
+      error: `Requested ${round6(amount)} USDC but only ${available_usdc} USDC is available`,
+      code: 'insufficient_balance',
+      available_usdc,
+    });
+  }
+  if (amount < PAYOUT_MIN_USDC) {
+    return res.status(400).json({ error: `Payouts must be at least ${PAYOUT_MIN_USDC} USDC`, available_usdc });
+  }
+
+  const payout = {
+    id: `po_${crypto.randomUUID()}`,
+    agent_id: agentId,
+    amount_usdc: round6(amount),
+    wallet: target.wallet,
+    status: 'queued',
+    requested_at: Date.now(),
+  };
+  store.commit({ type: 'payout.request', payout });
+  payoutQueue.run();
+
+  const { payouts: _payouts, ...balance } = balances.balance(agentId);
+  res.status(202).json({ payout: storeState.payouts.get(payout.id), balance });
+});
+
+/**
+ * POST /admin/payouts/:id/resolve   (X-Admin-Key)
+ * Body: { status: 'paid' | 'failed', tx_hash?, reason? }
+ *
+ * Settles a payout held in `sending` — after a crash mid-send, or when the
+ * executor could not tell whether the transfer was mined — once the chain
+ * has been checked. `failed` makes the amount available again.
+ */
+app.post('/admin/payouts/:id/resolve', (req, res) => {
+  if (!ADMIN_API_KEY || req.headers['x-admin-key'] !== ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'Admin key required' });
+  }
+  const payout = storeState.payouts.get(req.params.id);
+  if (!payout) return res.status(404).json({ error: 'Unknown payout' });
+  if (!payoutQueue.stuck().some(p => p.id === payout.id)) {
+    return res.status(409).json({ error: `Payout is ${payout.status}, not held in sending` });
+  }
+
+  const { status, tx_hash, reason } = req.body || {};
+  if (status !== 'paid' && status !== 'failed') {
+    return res.status(400).json({ error: 'status must be "paid" or "failed"' });
+  }
+  if (status === 'paid' && !(typeof tx_hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(tx_hash))) {
+    return res.status(400).json({ error: 'tx_hash of the payout transfer is required to mark it paid' });
+  }
+  store.commit({
+    type: 'payout.update',
+    id: payout.id,
+    status,
+    ...(tx_hash ? { tx_hash } : {}),
+    reason: reason || (status === 'failed' ? 'resolved as failed by operator' : null),
+    updated_at: Date.now(),
+  });
+  res.json({ payout: storeState.payouts.get(payout.id) });
+});
+
+/**
+ * GET /loot
+ *
+ * Loot pool (lib/loot.js): loot_cut booked from the ledger, minus what
+ * draws have taken, plus the open draw's commitment.
+ */
+app.get('/loot', (_req, res) => {
+  const open = loot.current();
+  const { draws } = loot.list({ page: 1, limit: 5 });
+  res.json({
+    ...loot.pool(),
+    weighting: LOOT_WEIGHTING,
+    share: LOOT_DRAW_SHARE,
+    draw_interval_ms: LOOT_DRAW_INTERVAL_MS,
+    claim_window_ms: LOOT_CLAIM_WINDOW_MS,
+    treasury_contract: TREASURY_CONTRACT_ADDRESS,
+    current_draw: open ? publicDraw(open) : null,
+    recent_draws: draws.filter(d => d.status !== 'committed'),
+  });
+});
+
+/**
+ * GET /loot/draws?page=1&limit=20
+ *
+ * Draws, newest first, without their eligibility tables.
+ */
+app.get('/loot/draws', (req, res) => {
+  const page  = Math.max(1, parseInt(req.query.page  || '1',  10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const { total, draws } = loot.list({ page, limit });
+  res.json({ total, page, limit, pages: Math.ceil(total / limit), draws });
+});
+
+/**
+ * GET /loot/draws/:id
+ *
+ * One draw. Once revealed it carries everything needed to check it
+ * against `GET /ledger?to=<closes_at>` (agent-sdk/loot.js verifyDraw):
+ * seed, entropy, randomness, excluded (agents without a registered wallet
+ * at closes_at), entries (agent_id + weight), ticket, winner.
+ */
+app.get('/loot/draws/:id', (req, res) => {
+  const draw = storeState.lootDraws.get(req.params.id);
+  if (!draw) return res.status(404).json({ error: 'Unknown draw' });
+  res.json(publicDraw(draw));
+});
+
+/**
+ * POST /loot/draws/:id/claim
+ *
+ * The winner (token must be issued to it) accepts the prize for its
+ * registered wallet before `claim_by`. The draw becomes `payable` with the
+ * treasury instruction `distributeLoot(wallet, amount)` for the contract
+ * owner to submit.
+ */
+app.post('/loot/draws/:id/claim', auth.requireTier('ai_verified'), (req, res) => {
+  // Void prizes past their claim window before looking at this one
+  loot.tick();
+  const draw = storeState.lootDraws.get(req.params.id);
+  if (!draw) return res.status(404).json({ error: 'Unknown draw' });
+  if (draw.void_reason === 'unclaimed') {
+    return res.status(409).json({ error: `Claim window closed at ${new Date(draw.claim_by).toISOString()}; the prize went back to the pool`, code: 'claim_expired' });
+  }
+  if (draw.status !== 'drawn') {
+    return res.status(409).json({ error: `Draw is ${draw.status}, not awaiting its winner's wallet` });
+  }
+  if (req.agent.agent_id !== draw.winner) {
+    return res.status(403).json({ error: `Draw ${draw.id} was won by "${draw.winner}"` });
+  }
+
+  const target = payoutWallet(draw.winner, req.body?.wallet);
+  if (target.error) return res.status(target.status).json({ error: target.error, code: target.code });
+
+  store.commit({
+    type: 'loot.update',
+    id: draw.id,
+    status: 'payable',
+    wallet: target.wallet,
+    treasury_instruction: distributeLootInstruction(TREASURY_CONTRACT_ADDRESS, target.wallet, draw.amount_usdc),
+    claimed_at: Date.now(),
+  });
+  res.json(publicDraw(storeState.lootDraws.get(draw.id)));
+});
+
+/**
+ * POST /admin/loot/draws/:id/distributed   (X-Admin-Key)
+ * Body: { tx_hash }
+ *
+ * Records the treasury transaction that executed a payable draw.
+ */
+app.post('/admin/loot/draws/:id/distributed', (req, res) => {
+  if (!ADMIN_API_KEY || req.headers['x-admin-key'] !== ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'Admin key required' });
+  }
+  const draw = storeState.lootDraws.get(req.params.id);
+  if (!draw) return res.status(404).json({ error: 'Unknown draw' });
+  if (draw.status !== 'payable') {
+    return res.status(409).json({ error: `Draw is ${draw.status}, not payable` });
+  }
+  const txHash = req.body?.tx_hash;
+  if (!(typeof txHash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(txHash))) {
+    return res.status(400).json({ error: 'tx_hash of the distributeLoot transaction is required' });
+  }
+  store.commit({ type: 'loot.update', id: draw.id, status: 'distributed', tx_hash: txHash, distributed_at: Date.now() });
+  res.json(publicDraw(storeState.lootDraws.get(draw.id)));
+});
+
+/**
+ * POST /alliances
+ * Body: { name, strategy?, max_members?: 5, revenue_split?: 0.8, friendly_fire?: false }
+ *
+ * Founds an alliance with the token's agent as founder (lib/alliances.js).
+ * `revenue_split` is the share of rebates members keep — the rest of the
+ * rebates they earn while members goes to the alliance treasury.
+ *
+ * → 201 { alliance } (with invite_code, shown to the founder only)
+ * → 409 { code: 'already_in_alliance' | 'name_taken' }
+ */
+app.post('/alliances', auth.requireTier('ai_verified'), (req, res) => {
+  if (!req.agent.agent_id) return res.status(400).json({ error: 'Token has no agent_id' });
+  const result = alliances.create(req.agent.agent_id, req.body || {});
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.status(201).json({
+    alliance: publicAlliance(result.alliance, req.agent.agent_id),
+    ...alliances.treasury(result.alliance),
+  });
+});
+
+/**
+ * GET /alliances?page=1&limit=20&status=active
+ *
+ * Alliances, newest first (status: active | disbanded | all).
+ */
+app.get('/alliances', (req, res) => {
+  const page  = Math.max(1, parseInt(req.query.page  || '1',  10));
+  const limit = Math.min(ALLIANCE_LIST_MAX, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const status = req.query.status || 'active';
+  if (!['active', 'disbanded', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be one of: active, disbanded, all' });
+  }
+  const { total, alliances: list } = alliances.list({ page, limit, status: status === 'all' ? null : status });
+  res.json({
+    total, page, limit,
+    pages: Math.ceil(total / limit),
+    alliances: list.map(a => ({ ...publicAlliance(a), ...alliances.treasury(a) })),
+  });
+});
+
+/**
+ * GET /alliances/:id
+ *
+ * Members, treasury and recent distributions. The founder's token also
+ * sees the invite code and pending invites.
+ */
+app.get('/alliances/:id', (req, res) => {
+  const alliance = alliances.get(req.params.id);
+  if (!alliance) return res.status(404).json({ error: 'Unknown alliance' });
+  res.json({
+    ...publicAlliance(alliance, req.agent.agent_id),
+    ...alliances.treasury(alliance),
+    distributions: alliance.distributions.slice(-20).reverse(),
+  });
+});
+
+/**
+ * POST /alliances/:id/invites   (founder)
+ * Body: { agent_id }
+ *
+ * The invited agent can join without the invite code.
+ */
+app.post('/alliances/:id/invites', auth.requireTier('ai_verified'), (req, res) => {
+  const agentId = req.body?.agent_id;
+  if (typeof agentId !== 'string' || agentId.trim() === '') {
+    return res.status(400).json({ error: 'agent_id is required' });
+  }
+  const result = alliances.invite(req.params.id, req.agent.agent_id, agentId.trim());
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.json(publicAlliance(result.alliance, req.agent.agent_id));
+});
+
+/**
+ * POST /alliances/:id/join
+ * Body: { invite_code? }  — not needed when invited
+ *
+ * → 409 { code: 'already_in_alliance' | 'alliance_full' }, 403 { code: 'not_invited' }
+ */
+app.post('/alliances/:id/join', auth.requireTier('ai_verified'), (req, res) => {
+  if (!req.agent.agent_id) return res.status(400).json({ error: 'Token has no agent_id' });
+  const result = alliances.join(req.params.id, req.agent.agent_id, req.body?.invite_code ?? null);
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.json(publicAlliance(result.alliance, req.agent.agent_id));
+});
+
+/**
+ * POST /alliances/:id/leave
+ *
+ * The token's agent leaves. A leaving founder hands over to the
+ * longest-standing member; the last member out disbands the alliance and
+ * is credited what is left in the treasury.
+ */
+app.post('/alliances/:id/leave', auth.requireTier('ai_verified'), (req, res) => {
+  if (!req.agent.agent_id) return res.status(400).json({ error: 'Token has no agent_id' });
+  const result = alliances.leave(req.params.id, req.agent.agent_id);
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.json(publicAlliance(result.alliance, req.agent.agent_id));
+});
+
+/**
+ * DELETE /alliances/:id/members/:agent_id   (founder)
+ *
+ * Removes a member and rotates the invite code.
+ */
+app.delete('/alliances/:id/members/:agent_id', auth.requireTier('ai_verified'), (req, res) => {
+  const result = alliances.leave(req.params.id, req.params.agent_id, req.agent.agent_id);
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.json(publicAlliance(result.alliance, req.agent.agent_id));
+});
+
+/**
+ * GET /alliances/:id/territory
+ *
+ * Pixels the current members hold, from the canvas: count, value, share of
+ * the canvas, largest connected group (across members), bounding box and a
+ * per-member breakdown, plus the treasury. Cached until the store changes.
+ */
+app.get('/alliances/:id/territory', (req, res) => {
+  const alliance = alliances.get(req.params.id);
+  if (!alliance) return res.status(404).json({ error: 'Unknown alliance' });
+  res.json(alliances.territory(alliance));
+});
+
+/**
+ * POST /alliances/:id/treasury/distribute   (founder)
+ * Body: { amount_usdc?, split?: "equal" | "pixels" }
+ *
+ * Pays the treasury (default: all of it) out to the current members as
+ * balance credits — equal shares, or by pixels held. Members withdraw them
+ * with POST /agent/:id/payouts. Like every founder action, needs a
+ * registered founder (wallet-bound token).
+ *
+ * → 403 { code: 'not_founder' | 'registration_required' }
+ * → 409 { code: 'insufficient_treasury' }
+ */
+app.post('/alliances/:id/treasury/distribute', auth.requireTier('ai_verified'), (req, res) => {
+  const { amount_usdc, split } = req.body || {};
+  const result = alliances.distribute(req.params.id, req.agent.agent_id, { amount_usdc, split });
+  if (!result.ok) return res.status(result.status).json({ error: result.error, code: result.code });
+  res.json({ distribution: result.distribution, ...alliances.treasury(result.alliance) });
+});
+
+/**
+ * POST /market/orders
+ * Body (sell): { side: "sell", x, y | x0, y0, x1, y1, price_usdc, expires_in_seconds? }
+ * Body (buy):  { side: "buy",  x, y | x0, y0, x1, y1, price_usdc, quantity?, color, expires_in_seconds? }
+ * Auth: same as POST /pixel/:x/:y
+ *
+ * sell — lists pixels the agent owns at `price_usdc` each. No payment, so
+ *        the agent must be registered (its token is then wallet-bound);
+ *        waiting bids at or above the ask take them at once.
+ * buy  — a limit bid for up to `quantity` (default: all) of the pixels at
+ *        no more than `price_usdc` each. Paid up front through x402 like a
+ *        claim (402 → X-PAYMENT) for `price_usdc × quantity`; fills at once
+ *        where it can, then whenever a pixel is listed or priced at or below
+ *        the limit. Unspent escrow is credited back when the bid closes.
+ *
+ * Orders expire after `expires_in_seconds` (default 1 day, at most 30).
+ *
+ * → 201 { order }
+ * → 403 { code: 'registration_required' }   (sell)
+ * → 409 { code: 'not_owner' | 'already_listed' }
+ */
+app.post('/market/orders', auth.requireTier('ai_verified'), async (req, res) => {
+  const body = req.body || {};
+  const { side } = body;
+  if (!SIDES.includes(side)) {
+    return res.status(400).json({ error: `side must be one of: ${SIDES.join(', ')}` });
+  }
+  const price_usdc = Number(body.price_usdc);
+  if (!(Number.isFinite(price_usdc) && price_usdc > 0) || round6(price_usdc) !== price_usdc) {
+    return res.status(400).json({ error: 'price_usdc must be a positive amount (at most 6 decimals)' });
+  }
+  const ttl = body.expires_in_seconds === undefined ? MARKET_DEFAULT_TTL_SECONDS : Number(body.expires_in_seconds);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > MARKET_MAX_TTL_SECONDS) {
+    return res.status(400).json({ error: `expires_in_seconds must be an integer 1–${MARKET_MAX_TTL_SECONDS}` });
+  }
+  const target = orderPixels(body);
+  if (target.error) return res.status(400).json({ error: target.error });
+  const { pixels } = target;
+
+  const claimant = resolveClaimant(req);
+  if (!claimant.ok) return res.status(claimant.status).json({ error: claimant.error, code: claimant.code });
+  const agent_id = claimant.owner;
+
+  if (side === 'sell') {
+    const unproven = walletProofProblem(agent_id, 'list pixels');
+    if (unproven) return res.status(unproven.status).json({ error: unproven.error, code: unproven.code });
+    const notOwned = pixels.filter(key => canvasStore.get(key)?.owner !== agent_id);
+    if (notOwned.length > 0) {
+      return res.status(409).json({
+        error: `"${agent_id}" does not own ${notOwned.length} of the pixels`,
+        code: 'not_owner',
+        pixels: notOwned.slice(0, 100).map(key => ({ x: +key.split(':')[0], y: +key.split(':')[1] })),
+      });
+    }
+    const listed = pixels.filter(key => market.listingsAt(key).some(o => o.agent_id === agent_id));
+    if (listed.length > 0) {
+      return res.status(409).json({
+        error: `${listed.length} of the pixels are already listed — cancel that listing first`,
+        code: 'already_listed',
+      });
     }
+    const order = market.list({ agent_id, pixels, price_usdc, expires_at: Date.now() + ttl * 1000 });
+    return res.status(201).json({ order: publicOrder(order) });
   }
 
-  // Most active agent (by number of purchases in ledger)
-  const agentCounts = {};
-  for (const tx of txLedger) {
-    agentCounts[tx.buyer] = (agentCounts[tx.buyer] || 0) + 1;
+  const quantity = body.quantity === undefined ? pixels.length : Number(body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > pixels.length) {
+    return res.status(400).json({ error: `quantity must be an integer 1–${pixels.length}` });
   }
-  let most_active = null;
-  let maxCount = 0;
-  for (const [agent, count] of Object.entries(agentCounts)) {
-    if (count > maxCount) {
-      most_active = agent;
-      maxCount = count;
+  const { color } = body;
+  if (!validateColor(color)) {
+    return res.status(400).json({ error: 'Invalid color. Must be "#RRGGBB"' });
+  }
+
+  // Everything the escrow pays for, bound into the quote
+  const terms = { pixels, price_usdc, quantity, color, expires_in_seconds: ttl };
+  const escrow_usdc = round6(price_usdc * quantity);
+
+  const paymentHeader = req.headers['x-payment'];
+  if (!paymentHeader) {
+    return res.status(402).json(bidRequiredBody(req, { terms, escrow_usdc, payer: agent_id }));
+  }
+
+  const payment = x402.decodePaymentHeader(paymentHeader);
+  const rejectPayment = (reason) => res.status(402).json(
+    bidRequiredBody(req, { terms, escrow_usdc, payer: agent_id }, `Invalid payment: ${reason}`)
+  );
+  const problem = paymentProblem(payment);
+  if (problem) return rejectPayment(problem);
+
+  // The escrow depends on the terms only, so an expired bid quote still
+  // prices it correctly — only its binding is checked
+  const quoteId = quoteIdFrom(req, payment);
+  if (quoteId) {
+    const checked = quotes.verify(quoteId);
+    if (!checked.ok) return res.status(400).json({ error: `Invalid quote: ${checked.reason}` });
+    const quote = checked.quote;
+    if (quote.kind !== 'bid' || quote.digest !== orderDigest(terms) || quote.payer !== agent_id) {
+      return res.status(400).json({ error: 'Quote was issued for a different bid or payer' });
+    }
+  }
+
+  const verification = await verifyPayment(payment, claimRequirements(req, {
+    description: `Bid on up to ${quantity} pixels on PixelWar AI`,
+    price_usdc: escrow_usdc,
+  }), { payers: claimant.payers, agent_id });
+  if (verification.credit) return paymentUnconfirmed(res, verification);
+  if (!verification.ok) return rejectPayment(verification.reason);
+  const spent = spentPayment(verification, { x: null, y: null, price_usdc: escrow_usdc, agent_id });
+
+  const order = market.bid({
+    agent_id,
+    pixels,
+    price_usdc,
+    quantity,
+    color,
+    expires_at: Date.now() + ttl * 1000,
+    escrow_usdc,
+    tx_hash: verification.transaction,
+    payer: verification.payer,
+    quote_id: quoteId,
+    payment: spent,
+  });
+  replay.release(spent.id);
+
+  res.set(x402.HEADER_PAYMENT_RESPONSE, x402.encodePaymentResponse({
+    success: true,
+    transaction: verification.transaction,
+    network: PAYMENT_NETWORK,
+    payer: verification.payer || null,
+  }));
+  res.status(201).json({ order: publicOrder(order) });
+});
+
+/**
+ * GET /market/orders?side=&status=open&agent_id=&x0=&y0=&x1=&y1=&page=1&limit=20
+ *
+ * Orders, newest first (status: open | filled | cancelled | expired | void | all).
+ * A region keeps the orders with a remaining pixel inside it.
+ */
+app.get('/market/orders', (req, res) => {
+  const q = req.query;
+  const page  = Math.max(1, parseInt(q.page  || '1',  10));
+  const limit = Math.min(MARKET_LIST_MAX, Math.max(1, parseInt(q.limit || '20', 10)));
+  if (q.side !== undefined && !SIDES.includes(q.side)) {
+    return res.status(400).json({ error: `side must be one of: ${SIDES.join(', ')}` });
+  }
+  const status = q.status || 'open';
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}, all` });
+  }
+  const hasRegion = [q.x0, q.y0, q.x1, q.y1].some(v => v !== undefined);
+  const parsed = parseRegion(q);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const { total, orders } = market.orders({
+    side: q.side || null,
+    status: status === 'all' ? null : status,
+    agent_id: q.agent_id || null,
+    region: hasRegion ? parsed.region : null,
+    page, limit,
+  });
+  res.json({ total, page, limit, pages: Math.ceil(total / limit), orders: orders.map(publicOrder) });
+});
+
+/**
+ * GET /market/orders/:id
+ */
+app.get('/market/orders/:id', (req, res) => {
+  const order = market.get(req.params.id);
+  if (!order) return res.status(404).json({ error: 'Unknown order' });
+  res.json(publicOrder(order));
+});
+
+/**
+ * DELETE /market/orders/:id   (order's agent, registered)
+ *
+ * Cancels an open order; a bid's unspent escrow is credited to the agent's
+ * balance (withdraw with POST /agent/:id/payouts).
+ */
+app.delete('/market/orders/:id', auth.requireTier('ai_verified'), (req, res) => {
+  const unproven = walletProofProblem(req.agent.agent_id, 'cancel orders');
+  if (unproven) return res.status(unproven.status).json({ error: unproven.error, code: unproven.code });
+  const result = market.cancel(req.params.id, req.agent.agent_id);
+  if (!result.ok) return res.status(result.status).json({ error: result.error });
+  res.json({ order: publicOrder(result.order) });
+});
+
+/**
+ * POST /market/orders/:id/fill
+ * Body: { x, y, color, agent_id? }
+ * Auth: same as POST /pixel/:x/:y
+ *
+ * Buys one pixel of a listing at its ask, through the same x402 flow as a
+ * claim. The seller is paid the ask less MARKET_FEE_RATIO (as a rebate).
+ * If the listing closed or the pixel changed hands while the payment was
+ * verified, the payment is credited instead (409 `listing_unavailable`).
+ */
+app.post('/market/orders/:id/fill', auth.requireTier('ai_verified'), async (req, res) => {
+  const listing = market.get(req.params.id);
+  if (!listing || listing.side !== 'sell') return res.status(404).json({ error: 'Unknown listing' });
+
+  const { valid, x, y } = validateCoords(req.body.x, req.body.y);
+  if (!valid) return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+  const { color } = req.body;
+  if (!validateColor(color)) {
+    return res.status(400).json({ error: 'Invalid color. Must be "#RRGGBB"' });
+  }
+
+  const claimant = resolveClaimant(req);
+  if (!claimant.ok) return res.status(claimant.status).json({ error: claimant.error, code: claimant.code });
+  const buyer = claimant.owner;
+  if (buyer === listing.agent_id) return res.status(409).json({ error: 'Cannot buy your own listing' });
+
+  const key = pixelKey(x, y);
+  const available = (order) => order.status === 'open' && order.expires_at > Date.now() && order.pixels.includes(key);
+  if (!available(listing)) {
+    return res.status(409).json({ error: `(${x}, ${y}) is not open in ${listing.id}`, code: 'listing_unavailable' });
+  }
+  const existing = canvasStore.get(key);
+
+  const paymentHeader = req.headers['x-payment'];
+  if (!paymentHeader) {
+    return res.status(402).json(listingRequiredBody(req, { listing, x, y, current: existing, payer: buyer }));
+  }
+
+  const payment = x402.decodePaymentHeader(paymentHeader);
+  const rejectPayment = (reason) => res.status(402).json(
+    listingRequiredBody(req, { listing, x, y, current: canvasStore.get(key), payer: buyer }, `Invalid payment: ${reason}`)
+  );
+  const problem = paymentProblem(payment);
+  if (problem) return rejectPayment(problem);
+
+  const quoteId = quoteIdFrom(req, payment);
+  let quote = null;
+  let quoteExpired = false;
+  if (quoteId) {
+    const checked = quotes.verify(quoteId);
+    if (!checked.ok) return res.status(400).json({ error: `Invalid quote: ${checked.reason}` });
+    quote = checked.quote;
+    if (quote.kind !== 'listing' || quote.order !== listing.id || quote.x !== x || quote.y !== y || quote.payer !== buyer) {
+      return res.status(400).json({ error: 'Quote was issued for a different listing, pixel or payer' });
     }
+    quoteExpired = checked.expired;
+  }
+  const price_usdc    = quote ? quote.price_usdc : listing.price_usdc;
+  const pricedVersion = quote ? quote.version : pixelVersion(existing);
+
+  const verification = await verifyPayment(payment, claimRequirements(req, {
+    description: `Buy listed pixel (${x}, ${y}) on PixelWar AI`,
+    price_usdc,
+  }), { payers: claimant.payers, agent_id: buyer });
+  if (verification.credit) return paymentUnconfirmed(res, verification);
+  if (!verification.ok) return rejectPayment(verification.reason);
+  const txRef = verification.transaction;
+  const spent = spentPayment(verification, { x, y, price_usdc, agent_id: buyer });
+
+  // ── Settlement (synchronous): the listing must still offer this pixel,
+  //    owned by the seller, unchanged since the quote
+  const open = market.get(listing.id);
+  const current = canvasStore.get(key);
+  if (quoteExpired || !available(open) || current?.owner !== open.agent_id || pixelVersion(current) !== pricedVersion) {
+    const reason = quoteExpired ? 'quote_expired' : 'listing_unavailable';
+    const credit = recordCredit({
+      agent_id: buyer,
+      amount_usdc: verification.amount_usdc ?? price_usdc,
+      reason,
+      x, y,
+      quote_id: quoteId,
+      tx_hash: txRef,
+      payer: verification.payer,
+      payment: spent,
+    });
+    replay.release(spent.id);
+    return res.status(409).json({
+      error: quoteExpired
+        ? 'Quote expired before settlement — payment credited, request a new quote'
+        : 'Listing was taken or withdrawn before settlement — payment credited',
+      code: reason,
+      credit,
+    });
   }
 
+  const claim = market.buyListing({
+    listing: open, key, buyer, color, current, tx_hash: txRef, payer: verification.payer, quote_id: quoteId, payment: spent,
+  });
+  replay.release(spent.id);
+
+  res.set(x402.HEADER_PAYMENT_RESPONSE, x402.encodePaymentResponse({
+    success: true,
+    transaction: txRef,
+    network: PAYMENT_NETWORK,
+    payer: verification.payer || null,
+  }));
+  res.json({ success: true, order_id: open.id, ...claim.result });
+});
+
+/**
+ * GET /market/book?x0=&y0=&x1=&y1=  (or ?x=&y= for one pixel)
+ *
+ * Open listings and bids in a region (default: whole canvas), aggregated
+ * by price: asks cheapest first, bids highest first. For a single pixel
+ * the forced-buy price (POST /pixel) and owner are included — a bid fills
+ * against whichever of the best ask and the forced price is cheaper.
+ */
+app.get('/market/book', (req, res) => {
+  const q = req.query;
+  let region;
+  if (q.x !== undefined || q.y !== undefined) {
+    const { valid, x, y } = validateCoords(q.x, q.y);
+    if (!valid) return res.status(400).json({ error: 'Coordinates out of range (0–999)' });
+    region = { x0: x, y0: y, x1: x, y1: y };
+  } else {
+    const parsed = parseRegion(q);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    region = parsed.region;
+  }
+
+  const { asks, bids } = market.book(region);
+  const single = region.x0 === region.x1 && region.y0 === region.y1;
+  const current = single ? canvasStore.get(pixelKey(region.x0, region.y0)) : null;
   res.json({
-    total_occupied,
-    canvas_size: `${CANVAS_SIZE}x${CANVAS_SIZE}`,
-    most_expensive,
-    most_active: most_active
-      ? { agent_id: most_active, tx_count: maxCount }
-      : null,
-    payment_info: {
-      protocol: 'x402',
-      network: PAYMENT_NETWORK,
-      token: PAYMENT_TOKEN,
-      owner_wallet: OWNER_WALLET_ADDRESS,
-    },
+    region,
+    best_ask: asks.length ? asks[0].price_usdc : null,
+    best_bid: bids.length ? bids[0].price_usdc : null,
+    ...(single ? { owner: current ? current.owner : null, forced_price: calcPrice(region.x0, region.y0, current) } : {}),
+    asks,
+    bids,
+  });
+});
+
+/**
+ * GET /ledger?buyer=&seller=&tx_hash=&x0=&y0=&x1=&y1=&from=&to=&cursor=0&limit=100&format=json
+ *
+ * Sales from the transaction ledger, oldest first, with their cuts.
+ *
+ *   buyer, seller — agent ids
+ *   tx_hash       — payment transaction (rows of one batch share it)
+ *   x0,y0,x1,y1   — inclusive region (all four or none)
+ *   from, to      — Unix ms or ISO-8601; from inclusive, to exclusive
+ *   cursor        — ledger index to resume from (`next_cursor` of the last page)
+ *   format        — json (one page of `limit`, 1–1000) | ndjson | csv
+ *
+ * ndjson / csv stream every matching row from `cursor` (or the first
+ * `limit`, if given) as a download.
+ */
+app.get('/ledger', async (req, res) => {
+  const q = req.query;
+  const format = q.format || 'json';
+  if (!['json', 'ndjson', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be one of: json, ndjson, csv' });
+  }
+  const cursor = q.cursor === undefined ? 0 : Number(q.cursor);
+  if (!Number.isInteger(cursor) || cursor < 0) {
+    return res.status(400).json({ error: 'cursor must be a non-negative integer' });
+  }
+  const limit = q.limit === undefined ? (format === 'json' ? 100 : Infinity) : Number(q.limit);
+  if (format === 'json' && (!Number.isInteger(limit) || limit < 1 || limit > LEDGER_PAGE_MAX)) {
+    return res.status(400).json({ error: `limit must be an integer 1–${LEDGER_PAGE_MAX}` });
+  }
+  if (format !== 'json' && limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+  const from = parseTime(q.from);
+  const to = parseTime(q.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be Unix ms or ISO-8601 timestamps' });
+  }
+  let region = null;
+  if ([q.x0, q.y0, q.x1, q.y1].some(v => v !== undefined)) {
+    const parsed = parseRegion(q);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    region = parsed.region;
+  }
+
+  if (['buyer', 'seller', 'tx_hash'].some(f => q[f] !== undefined && typeof q[f] !== 'string')) {
+    return res.status(400).json({ error: 'buyer, seller and tx_hash take a single value each' });
+  }
+  const match = ledgerFilter({ buyer: q.buyer, seller: q.seller, tx_hash: q.tx_hash, region });
+  const rows = scanLedger(txLedger, { cursor, from, to, match });
+
+  if (format === 'json') {
+    const page = [];
+    let next = rows.next();
+    while (!next.done && page.length < limit) {
+      page.push({ ledger_index: next.value.index, ...next.value.tx });
+      next = rows.next();
+    }
+    return res.json({
+      cursor,
+      next_cursor: next.done ? null : next.value.index,
+      count: page.length,
+      rows: page,
+    });
+  }
+
+  // Streamed export: the ledger only grows, so rows past the end at
+  // request time simply are not included
+  const end = txLedger.length;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="ledger-${cursor}-${end}.${format}"`,
+    'Cache-Control': 'no-store',
   });
+  if (format === 'csv') res.write(CSV_COLUMNS.join(',') + '\n');
+
+  let sent = 0;
+  let chunk = '';
+  for (const { index, tx } of rows) {
+    if (index >= end || sent >= limit) break;
+    chunk += format === 'csv' ? toCsvRow(index, tx) : JSON.stringify({ ledger_index: index, ...tx }) + '\n';
+    sent++;
+    if (chunk.length >= 64 * 1024) {
+      const ok = res.write(chunk);
+      chunk = '';
+      if (!ok) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      if (res.destroyed) return;
+    }
+  }
+  res.end(chunk);
 });
 
+// ─────────────────────────────────────────────
+// Dev: simulated USDC (PAYMENT_VERIFIER=simulated only)
+// ─────────────────────────────────────────────
+if (verifier.name === 'simulated') {
+  const chain = verifier.chain;
+
+  /**
+   * POST /dev/usdc/faucet
+   * Body: { address, amount_usdc? }  — mint simulated USDC (default 10)
+   */
+  app.post('/dev/usdc/faucet', (req, res) => {
+    const { address, amount_usdc = 10 } = req.body;
+    if (!ethers.isAddress(address)) return res.status(400).json({ error: 'address must be an EVM address' });
+    const receipt = chain.mint(address, x402.toBaseUnits(amount_usdc));
+    res.json({ tx_hash: receipt.hash, address, balance_usdc: x402.fromBaseUnits(chain.balanceOf(address)) });
+  });
+
+  /**
+   * POST /dev/usdc/transfer
+   * Body: { from, to?, amount_usdc }  — `to` defaults to OWNER_WALLET_ADDRESS.
+   * Returns the tx hash to put in X-PAYMENT, even if the transfer failed
+   * (insufficient balance → status 0 receipt, rejected at claim time).
+   */
+  app.post('/dev/usdc/transfer', (req, res) => {
+    const { from, to = OWNER_WALLET_ADDRESS, amount_usdc } = req.body;
+    if (!ethers.isAddress(from) || !ethers.isAddress(to)) {
+      return res.status(400).json({ error: 'from and to must be EVM addresses' });
+    }
+    if (!(parseFloat(amount_usdc) > 0)) return res.status(400).json({ error: 'amount_usdc must be > 0' });
+    const receipt = chain.transfer(from, to, x402.toBaseUnits(amount_usdc));
+    res.json({ tx_hash: receipt.hash, status: receipt.status, balance_usdc: x402.fromBaseUnits(chain.balanceOf(from)) });
+  });
+
+  /**
+   * GET /dev/usdc/balance/:address
+   */
+  app.get('/dev/usdc/balance/:address', (req, res) => {
+    if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'address must be an EVM address' });
+    res.json({ address: req.params.address, balance_usdc: x402.fromBaseUnits(chain.balanceOf(req.params.address)) });
+  });
+}
+
 // ─────────────────────────────────────────────
 // 404 fallback
 // ─────────────────────────────────────────────
@@ -492,18 +3036,48 @@ app.use((_req, res) => {
 // ─────────────────────────────────────────────
 // Start
 // ─────────────────────────────────────────────
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔══════════════════════════════════════════════════╗
 ║   PixelWar AI — Backend  MVP  Phase 1           ║
 ║   Port    : ${PORT}                                ║
 ║   Canvas  : ${CANVAS_SIZE}×${CANVAS_SIZE} pixels                  ║
-║   Storage : In-Memory Map (Redis TODO)          ║
+║   Storage : ${store.name.padEnd(36)}║
 ║   Payment : x402 / HTTP 402 Protocol            ║
+║   Verifier: ${verifier.name.padEnd(36)}║
+║   Payouts : ${PAYOUT_EXECUTOR.padEnd(36)}║
+║   Limits  : ${(rateLimitStore ? rateLimitStore.name : 'off').padEnd(36)}║
 ║   Network : ${PAYMENT_NETWORK.padEnd(30)}║
 ║   Wallet  : ${OWNER_WALLET_ADDRESS.slice(0, 20)}...          ║
 ╚══════════════════════════════════════════════════╝
   `);
+
+  const held = payoutQueue.stuck();
+  if (held.length > 0) {
+    console.warn(`[payout] ${held.length} payout(s) held in "sending" — check the chain and POST /admin/payouts/:id/resolve`);
+  }
+  // Payouts queued before a restart
+  payoutQueue.run();
+  // Reveal a draw that closed while down, open / schedule the next
+  loot.tick();
+  // Expire orders that ran out while down, retry bids, schedule the next pass
+  market.tick();
 });
 
+// Flush a final snapshot on shutdown so the next boot replays nothing
+function shutdown(signal) {
+  console.log(`[store] ${signal} received — closing store`);
+  // Open event streams would keep server.close() waiting forever
+  for (const stream of openStreams) stream.end();
+  server.close(async () => {
+    // Let a payout being sent record its outcome
+    await payoutQueue.idle();
+    if (rateLimitStore) await rateLimitStore.close();
+    await store.close();
+    process.exit(0);
+  });
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
+
 module.exports = app;
@@ -0,0 +1,180 @@
+/**
+ * PixelWar AI - 402 → pay → claim loop against the simulated chain
+ *
+ * Boots server.js with the in-process USDC chain and an in-memory store,
+ * pays through the /dev/usdc routes (tx hash) or with signed EIP-3009
+ * authorizations, and checks that what a real chain would refuse is
+ * refused: wrong recipient, short amount, reused tx hash or nonce,
+ * expired authorization.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net    = require('net');
+const path   = require('path');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const x402    = require('../../agent-sdk/x402');
+const captcha = require('../../agent-sdk/captcha');
+const { TRANSFER_WITH_AUTHORIZATION_TYPES } = require('../lib/payment/eip3009');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function startServer() {
+  const port = await freePort();
+  const env = { ...process.env, PORT: String(port), STORE_BACKEND: 'memory', PAYMENT_VERIFIER: 'simulated', RATE_LIMIT_DISABLED: 'true', LOOT_DRAW_INTERVAL_MS: '0' };
+  delete env.OWNER_WALLET_ADDRESS;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { env, stdio: 'ignore' });
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(`${base}/health`)).ok) return { base, child };
+    } catch {
+      // not listening yet
+    }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  child.kill();
+  throw new Error('server did not start');
+}
+
+test('claim loop', async (t) => {
+  const { base, child } = await startServer();
+  t.after(() => child.kill());
+
+  async function call(method, route, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + route, {
+      method,
+      headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function tokenFor(agentId) {
+    for (;;) {
+      const { body: challenge } = await call('GET', '/captcha/challenge');
+      const { body } = await call('POST', '/captcha/verify', {
+        body: { challenge_id: challenge.challenge_id, answer: captcha.solveChallenge(challenge), agent_id: agentId },
+      });
+      if (body.valid) return body.token;
+    }
+  }
+
+  const token = await tokenFor('agent-test');
+  const wallet = ethers.Wallet.createRandom();
+  await call('POST', '/dev/usdc/faucet', { body: { address: wallet.address, amount_usdc: 10 } });
+
+  /** 402 requirements for a pixel. */
+  async function requirements(x, y) {
+    const { status, body } = await call('POST', `/pixel/${x}/${y}`, { token, body: { color: '#112233' } });
+    assert.equal(status, 402);
+    return body.accepts[0];
+  }
+
+  function claim(x, y, req, payload) {
+    return call('POST', `/pixel/${x}/${y}`, {
+      token,
+      body: { color: '#112233' },
+      headers: {
+        'x-payment': x402.encodePaymentHeader({ scheme: 'exact', network: req.network, payload }),
+        'x-quote-id': req.extra.quote_id,
+      },
+    });
+  }
+
+  async function transfer(to, amount_usdc) {
+    const { body } = await call('POST', '/dev/usdc/transfer', { body: { from: wallet.address, to, amount_usdc } });
+    return body.tx_hash;
+  }
+
+  async function authorize(req, { value = req.maxAmountRequired, validBefore } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const authorization = {
+      from: wallet.address,
+      to: req.payTo,
+      value,
+      validAfter: '0',
+      validBefore: String(validBefore ?? now + 300),
+      nonce: ethers.hexlify(crypto.randomBytes(32)),
+    };
+    const domain = {
+      name: req.extra.name,
+      version: req.extra.version,
+      chainId: x402.networkInfo(req.network).chainId,
+      verifyingContract: req.asset,
+    };
+    const signature = await wallet.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+    return { signature, authorization };
+  }
+
+  let paidHash;
+
+  await t.test('tx hash paying payTo the full price claims the pixel', async () => {
+    const req = await requirements(1, 1);
+    paidHash = await transfer(req.payTo, x402.fromBaseUnits(req.maxAmountRequired));
+    const { status, body } = await claim(1, 1, req, { txHash: paidHash });
+    assert.equal(status, 200);
+    assert.equal(body.owner, 'agent-test');
+  });
+
+  await t.test('transfer to another wallet is rejected', async () => {
+    const req = await requirements(2, 2);
+    const txHash = await transfer(ethers.Wallet.createRandom().address, x402.fromBaseUnits(req.maxAmountRequired));
+    const { status, body } = await claim(2, 2, req, { txHash });
+    assert.equal(status, 402);
+    assert.match(body.error, /no matching USDC Transfer/);
+  });
+
+  await t.test('underpayment is rejected', async () => {
+    const req = await requirements(3, 3);
+    const txHash = await transfer(req.payTo, x402.fromBaseUnits(BigInt(req.maxAmountRequired) - 1n));
+    const { status, body } = await claim(3, 3, req, { txHash });
+    assert.equal(status, 402);
+    assert.match(body.error, /amount too low/);
+  });
+
+  await t.test('a spent tx hash cannot pay twice', async () => {
+    const req = await requirements(4, 4);
+    const { status, body } = await claim(4, 4, req, { txHash: paidHash });
+    assert.equal(status, 402);
+    assert.match(body.error, /tx_hash already used/);
+  });
+
+  await t.test('authorization claims once, its nonce cannot be reused', async () => {
+    const req = await requirements(5, 5);
+    const payload = await authorize(req);
+    const first = await claim(5, 5, req, payload);
+    assert.equal(first.status, 200);
+
+    const again = await requirements(6, 6);
+    const { status, body } = await claim(6, 6, again, payload);
+    assert.equal(status, 402);
+    assert.match(body.error, /authorization nonce already used/);
+  });
+
+  await t.test('authorization for less than the price is rejected', async () => {
+    const req = await requirements(7, 7);
+    const payload = await authorize(req, { value: String(BigInt(req.maxAmountRequired) - 1n) });
+    const { status, body } = await claim(7, 7, req, payload);
+    assert.equal(status, 402);
+    assert.match(body.error, /amount too low/);
+  });
+
+  await t.test('expired authorization is rejected', async () => {
+    const req = await requirements(8, 8);
+    const payload = await authorize(req, { validBefore: Math.floor(Date.now() / 1000) - 60 });
+    const { status, body } = await claim(8, 8, req, payload);
+    assert.equal(status, 402);
+    assert.match(body.error, /authorization expired/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * PixelWar AI - Payout queue draining against the simulated chain
+ *
+ * Payouts are queued as store events and sent by the queue through an
+ * executor: the simulated one moves fake USDC, others stand in for an RPC
+ * that fails before or after a transfer was sent.
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const x402 = require('../../agent-sdk/x402');
+const { MemoryStore } = require('../lib/storage/memory');
+const { SimulatedUsdc } = require('../lib/payment/simulated');
+const { SimulatedPayoutExecutor } = require('../lib/payout/simulated');
+const { UsdcPayoutExecutor } = require('../lib/payout/usdc');
+const { createPayoutQueue } = require('../lib/payout/queue');
+
+const USDC = x402.networkInfo('base-sepolia').usdc;
+
+function setup(executorFor) {
+  const store = new MemoryStore();
+  const state = store.open();
+  const chain = new SimulatedUsdc({ address: USDC, domain: {} });
+  const from = ethers.Wallet.createRandom().address;
+  const queue = createPayoutQueue({ store, state, executor: executorFor({ chain, from }) });
+  const request = (id, amount_usdc) => store.commit({
+    type: 'payout.request',
+    payout: { id, agent_id: 'a', amount_usdc, wallet: ethers.Wallet.createRandom().address, status: 'queued', requested_at: Date.now() },
+  });
+  return { store, state, chain, from, queue, request };
+}
+
+test('queued payouts are sent oldest first until the wallet runs dry', async () => {
+  const { state, chain, from, queue, request } = setup(opts => new SimulatedPayoutExecutor(opts));
+  chain.mint(from, x402.toBaseUnits(0.05));
+  request('po_1', 0.03);
+  request('po_2', 0.03);
+
+  await queue.run();
+
+  const [first, second] = [state.payouts.get('po_1'), state.payouts.get('po_2')];
+  assert.equal(first.status, 'paid');
+  assert.ok(first.tx_hash);
+  assert.equal(chain.balanceOf(first.wallet), BigInt(x402.toBaseUnits(0.03)));
+  assert.equal(second.status, 'failed');
+  assert.match(second.reason, /insufficient/);
+  assert.deepEqual(queue.stuck(), []);
+});
+
+test('an unknown outcome holds the payout in sending', async () => {
+  const { state, queue, request } = setup(() => ({
+    send: async () => { throw Object.assign(new Error('timeout'), { tx_hash: '0xabc' }); },
+  }));
+  request('po_1', 0.01);
+
+  await queue.run();
+
+  const payout = state.payouts.get('po_1');
+  assert.equal(payout.status, 'sending');
+  assert.equal(payout.tx_hash, '0xabc');
+  assert.deepEqual(queue.stuck().map(p => p.id), ['po_1']);
+});
+
+test('a balance read failing before sending fails the payout', async () => {
+  const { state, queue, request } = setup(() => {
+    const executor = new UsdcPayoutExecutor({ rpcUrl: 'http://127.0.0.1:1', usdcAddress: USDC, privateKey: ethers.Wallet.createRandom().privateKey });
+    executor.wallet.provider.destroy();
+    executor.usdc = { balanceOf: async () => { throw new Error('socket hang up'); } };
+    return executor;
+  });
+  request('po_1', 0.01);
+
+  await queue.run();
+
+  const payout = state.payouts.get('po_1');
+  assert.equal(payout.status, 'failed');
+  assert.match(payout.reason, /balance check failed/);
+});
+
+test('a throwing run settles instead of rejecting', async () => {
+  const { store, state, queue, request } = setup(opts => new SimulatedPayoutExecutor(opts));
+  request('po_1', 0.01);
+  store.commit = () => { throw new Error('disk full'); };
+
+  await queue.run();
+
+  assert.equal(state.payouts.get('po_1').status, 'queued');
+});
@@ -1,4 +1,4 @@
-import type { ApiResponse, Pixel, Stats, AgentStat } from './types';
+import type { ApiResponse, Pixel, PixelDelta, Stats, AgentStat } from './types';
 
 const API_BASE = import.meta.env.VITE_API_URL ?? 'https://pixelwar-ai.onrender.com';
 
@@ -86,27 +86,34 @@ export function buildMockStats(pixels: Pixel[]): Stats {
 
 // ─── Real API Fetch ───────────────────────────────────────────────────────────
 
+// Backend: { x, y, owner, color, price (USDC float), timestamp (ms) }
+// Frontend: { x, y, owner, color, price (raw int), updatedAt (ms) }
+function toPixel(p: any): Pixel {
+  return {
+    x: p.x,
+    y: p.y,
+    color: p.color ?? '#888888',
+    price: Math.round((p.price ?? 0.001) * 1e6), // USDC → raw (6 decimals)
+    owner: p.owner ?? 'unknown',
+    updatedAt: p.timestamp ?? Date.now(),
+  };
+}
+
 async function fetchFromApi(): Promise<ApiResponse> {
-  const [pixelsRes, statsRes] = await Promise.all([
+  const [pixelsRes, statsRes, leaderboardRes] = await Promise.all([
     fetch(`${API_BASE}/pixels?limit=10000`, { signal: AbortSignal.timeout(8000) }),
     fetch(`${API_BASE}/stats`, { signal: AbortSignal.timeout(8000) }),
+    fetch(`${API_BASE}/leaderboard?by=pixels_held&limit=5`, { signal: AbortSignal.timeout(8000) })
+      .catch(() => null),
   ]);
   if (!pixelsRes.ok) throw new Error(`/pixels HTTP ${pixelsRes.status}`);
 
   const pixelsData = await pixelsRes.json();
   const statsData = statsRes.ok ? await statsRes.json() : null;
+  const leaderboardData = leaderboardRes?.ok ? await leaderboardRes.json() : null;
 
   // Normalize backend pixel shape → frontend Pixel type
-  // Backend: { x, y, owner, color, price (USDC float), timestamp (ms) }
-  // Frontend: { x, y, owner, color, price (raw int), updatedAt (ms) }
-  const pixels: Pixel[] = (pixelsData.pixels ?? []).map((p: any) => ({
-    x: p.x,
-    y: p.y,
-    color: p.color ?? '#888888',
-    price: Math.round((p.price ?? 0.001) * 1e6), // USDC → raw (6 decimals)
-    owner: p.owner ?? 'unknown',
-    updatedAt: p.timestamp ?? Date.now(),
-  }));
+  const pixels: Pixel[] = (pixelsData.pixels ?? []).map(toPixel);
 
   // Normalize stats
   let stats: Stats;
@@ -122,19 +129,74 @@ async function fetchFromApi(): Promise<ApiResponse> {
         }]
       : pixels.slice(0, 5).sort((a, b) => b.price - a.price);
 
+    // Leaderboard: { agent_id, pixels_held, territory_value_usdc, … } ranked by pixels held
+    const topAgents: AgentStat[] = leaderboardData
+      ? (leaderboardData.rankings ?? []).map((r: any) => ({
+          agentId: r.agent_id,
+          pixelCount: r.pixels_held,
+          totalValue: Math.round((r.territory_value_usdc ?? 0) * 1e6), // USDC → raw (6 decimals)
+        }))
+      : statsData.most_active
+        ? [{ agentId: statsData.most_active.agent_id, pixelCount: statsData.most_active.tx_count, totalValue: 0 }]
+        : [];
+
     stats = {
       totalClaimed: statsData.total_occupied ?? pixels.length,
       totalPixels: 1_000_000,
       topExpensive,
-      topAgents: statsData.most_active
-        ? [{ agentId: statsData.most_active.agent_id, pixelCount: statsData.most_active.tx_count, totalValue: 0 }]
-        : [],
+      topAgents,
     };
   } else {
     stats = buildMockStats(pixels);
   }
 
-  return { pixels, stats };
+  return { pixels, stats, cursor: pixelsData.seq };
+}
+
+/**
+ * Pixels changed since `cursor` (GET /pixels/changes, all pages).
+ * Resolves to null when the server asks for a resync (410) — do a full
+ * fetchPixelData() and continue from its cursor.
+ */
+export async function fetchPixelChanges(cursor: number): Promise<PixelDelta | null> {
+  const pixels: Pixel[] = [];
+  for (;;) {
+    const res = await fetch(`${API_BASE}/pixels/changes?since=${cursor}&limit=10000`, {
+      signal: AbortSignal.timeout(8000),
+    });
+    if (res.status === 410) return null;
+    if (!res.ok) throw new Error(`/pixels/changes HTTP ${res.status}`);
+
+    const data = await res.json();
+    pixels.push(...(data.changes ?? []).map(toPixel));
+    cursor = data.next_cursor;
+    if (!data.has_more) return { pixels, cursor };
+  }
+}
+
+// ─── Realtime Stream (Server-Sent Events) ─────────────────────────────────────
+
+/**
+ * Follow GET /pixels/stream. EventSource reconnects on its own and sends
+ * Last-Event-ID, so the server replays whatever was missed; `onResync`
+ * fires when that is no longer possible and a full reload is needed.
+ * Returns a function that closes the stream.
+ */
+export function subscribePixelStream(handlers: {
+  onClaim: (pixel: Pixel) => void;
+  onResync: () => void;
+  onOpenChange: (open: boolean) => void;
+}): () => void {
+  if (typeof EventSource === 'undefined') return () => {};
+
+  const source = new EventSource(`${API_BASE}/pixels/stream`);
+  source.addEventListener('ready', () => handlers.onOpenChange(true));
+  source.addEventListener('error', () => handlers.onOpenChange(false));
+  source.addEventListener('resync', () => handlers.onResync());
+  source.addEventListener('claim', (e) => {
+    handlers.onClaim(toPixel(JSON.parse((e as MessageEvent<string>).data)));
+  });
+  return () => source.close();
 }
 
 // ─── Main Data Fetch (with mock fallback) ─────────────────────────────────────
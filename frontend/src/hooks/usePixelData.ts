@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { fetchPixelData } from '../api';
+import { fetchPixelData, fetchPixelChanges, subscribePixelStream } from '../api';
 import type { PixelMap, Stats, Pixel } from '../types';
 
 interface UsePixelDataReturn {
@@ -11,6 +11,10 @@ interface UsePixelDataReturn {
   lastUpdated: Date | null;
 }
 
+// Between full reloads (which also refresh stats) only deltas are fetched;
+// while the event stream is open not even those
+const FULL_RELOAD_MS = 30_000;
+
 export function usePixelData(intervalMs = 2000): UsePixelDataReturn {
   const [pixelMap, setPixelMap] = useState<PixelMap>({});
   const [stats, setStats] = useState<Stats | null>(null);
@@ -19,9 +23,32 @@ export function usePixelData(intervalMs = 2000): UsePixelDataReturn {
   const [isMock, setIsMock] = useState(false);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
   const isMounted = useRef(true);
+  const streaming = useRef(false);
+  const lastFull = useRef(0);
+  const cursor = useRef<number | null>(null);
 
   const load = useCallback(async () => {
     try {
+      if (cursor.current !== null && Date.now() - lastFull.current < FULL_RELOAD_MS) {
+        const delta = await fetchPixelChanges(cursor.current);
+        if (!isMounted.current) return;
+        if (delta) {
+          cursor.current = delta.cursor;
+          if (delta.pixels.length) {
+            setPixelMap((prev) => {
+              const next = { ...prev };
+              for (const px of delta.pixels) next[`${px.x},${px.y}`] = px;
+              return next;
+            });
+            setLastUpdated(new Date());
+          }
+          setError(null);
+          return;
+        }
+        // Cursor too old — fall through to a full reload
+      }
+
+      lastFull.current = Date.now();
       const data = await fetchPixelData();
 
       if (!isMounted.current) return;
@@ -33,6 +60,7 @@ export function usePixelData(intervalMs = 2000): UsePixelDataReturn {
         map[`${px.x},${px.y}`] = px;
       }
 
+      cursor.current = data.cursor ?? null;
       setPixelMap(map);
       setStats(data.stats);
       setError(null);
@@ -50,10 +78,31 @@ export function usePixelData(intervalMs = 2000): UsePixelDataReturn {
     isMounted.current = true;
     load();
 
-    const timer = setInterval(load, intervalMs);
+    const timer = setInterval(() => {
+      if (streaming.current && Date.now() - lastFull.current < FULL_RELOAD_MS) return;
+      load();
+    }, intervalMs);
+
+    // Apply pushed claims as they happen
+    const close = subscribePixelStream({
+      onClaim: (px) => {
+        if (!isMounted.current) return;
+        setPixelMap((prev) => ({ ...prev, [`${px.x},${px.y}`]: px }));
+        setLastUpdated(new Date());
+      },
+      onResync: () => {
+        cursor.current = null;
+        load();
+      },
+      onOpenChange: (open) => {
+        streaming.current = open;
+      },
+    });
+
     return () => {
       isMounted.current = false;
       clearInterval(timer);
+      close();
     };
   }, [load, intervalMs]);
 
@@ -29,6 +29,12 @@ export interface AgentStat {
 export interface ApiResponse {
   pixels: Pixel[];
   stats: Stats;
+  cursor?: number; // store seq of the read — start of delta sync (real API only)
+}
+
+export interface PixelDelta {
+  pixels: Pixel[];
+  cursor: number;
 }
 
 export interface SelectedPixel extends Pixel {
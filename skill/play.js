@@ -174,7 +174,11 @@ async function apiGet(path, token) {
       ...(token ? { Authorization: `Bearer ${token}` } : {}),
     },
   });
-  if (!res.ok) throw new Error(`GET ${path} → ${res.status} ${res.statusText}`);
+  if (!res.ok) {
+    const err = new Error(`GET ${path} → ${res.status} ${res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
   return res.json();
 }
 
@@ -194,6 +198,65 @@ async function apiPost(path, body, token, extraHeaders = {}) {
   return res; // Return raw response so callers can handle 402
 }
 
+// ─── Canvas Loading ───────────────────────────────────────────────────────────
+
+// GET /pixels/region caps the scanned area, so the board is fetched in tiles
+const REGION_TILE = 500;
+
+/**
+ * Load every occupied pixel on the board as { width, height, pixels, index, seq }.
+ * `seq` is the cursor to delta-sync from (the oldest tile's store seq).
+ */
+async function loadCanvas(token) {
+  const pixels = [];
+  let seq = Infinity;
+  for (let y0 = 0; y0 < Strategy.HEIGHT; y0 += REGION_TILE) {
+    for (let x0 = 0; x0 < Strategy.WIDTH; x0 += REGION_TILE) {
+      const x1 = Math.min(x0 + REGION_TILE, Strategy.WIDTH) - 1;
+      const y1 = Math.min(y0 + REGION_TILE, Strategy.HEIGHT) - 1;
+      const tile = await apiGet(`/pixels/region?x0=${x0}&y0=${y0}&x1=${x1}&y1=${y1}`, token);
+      pixels.push(...tile.pixels);
+      seq = Math.min(seq, tile.seq);
+    }
+  }
+  const index = new Map(pixels.map((p, i) => [`${p.x}:${p.y}`, i]));
+  return { width: Strategy.WIDTH, height: Strategy.HEIGHT, pixels, index, seq };
+}
+
+/**
+ * Insert or update one pixel in the local mirror.
+ */
+function setPixel(canvas, pixel) {
+  const key = `${pixel.x}:${pixel.y}`;
+  const idx = canvas.index.get(key);
+  if (idx !== undefined) {
+    canvas.pixels[idx] = { ...canvas.pixels[idx], ...pixel };
+  } else {
+    canvas.index.set(key, canvas.pixels.length);
+    canvas.pixels.push(pixel);
+  }
+}
+
+/**
+ * Apply what changed since the canvas was loaded (GET /pixels/changes).
+ * Reloads the whole board if the server says the cursor is too old.
+ * @returns {Promise<object>} the canvas to keep using
+ */
+async function syncCanvas(canvas, token) {
+  try {
+    for (;;) {
+      const delta = await apiGet(`/pixels/changes?since=${canvas.seq}&limit=10000`, token);
+      for (const pixel of delta.changes) setPixel(canvas, pixel);
+      canvas.seq = delta.next_cursor;
+      if (!delta.has_more) return canvas;
+    }
+  } catch (err) {
+    if (err.status !== 410) throw err;
+    log.info('Canvas cursor expired, reloading canvas...');
+    return loadCanvas(token);
+  }
+}
+
 // ─── CAPTCHA Flow ─────────────────────────────────────────────────────────────
 
 async function getAiToken() {
@@ -207,6 +270,7 @@ async function getAiToken() {
   const res = await apiPost('/captcha/verify', {
     challenge_id: challenge.challenge_id,
     solution,
+    agent_id: AGENT_ID,
   });
 
   if (!res.ok) {
@@ -216,7 +280,7 @@ async function getAiToken() {
 
   const data = await res.json();
   log.success(`CAPTCHA passed! Token valid until ${data.expires_at}`);
-  return data.token;
+  return data;
 }
 
 // ─── Main Game Loop ───────────────────────────────────────────────────────────
@@ -240,10 +304,13 @@ export class PixelWarClient {
   }
 
   async ensureToken() {
-    // Refresh token if expired or missing (tokens last ~10 min)
+    // Refresh token if expired or missing (server tokens last ~10 min)
     if (!this.token || Date.now() > this.tokenExpiry - 30_000) {
-      this.token = await getAiToken();
-      this.tokenExpiry = Date.now() + 9.5 * 60 * 1000; // 9.5 minutes
+      const data = await getAiToken();
+      this.token = data.token;
+      this.tokenExpiry = data.expires_at
+        ? new Date(data.expires_at).getTime()
+        : Date.now() + 9.5 * 60 * 1000; // 9.5 minutes
     }
     return this.token;
   }
@@ -259,7 +326,7 @@ export class PixelWarClient {
     log.info('Loading canvas state...');
     let canvas;
     try {
-      canvas = await apiGet('/pixels', this.token);
+      canvas = await loadCanvas(this.token);
       log.info(`Canvas loaded: ${canvas.width}×${canvas.height}, ${canvas.pixels?.length || 0} pixels tracked`);
     } catch (err) {
       log.error('Failed to load canvas:', err.message);
@@ -287,6 +354,13 @@ export class PixelWarClient {
       round++;
       const remaining = this.budget - this.spent;
 
+      // Catch up with other agents' claims before picking
+      try {
+        canvas = await syncCanvas(canvas, this.token);
+      } catch (err) {
+        log.warn('Canvas sync failed, using last known state:', err.message);
+      }
+
       // Pick target pixel
       const target = this.strategyEngine.pick(canvas, stats);
       if (!target) {
@@ -334,12 +408,7 @@ export class PixelWarClient {
 
   updateCanvas(canvas, x, y, color, owner) {
     if (!canvas.pixels) return;
-    const idx = canvas.pixels.findIndex(p => p.x === x && p.y === y);
-    if (idx >= 0) {
-      canvas.pixels[idx] = { ...canvas.pixels[idx], color, owner };
-    } else {
-      canvas.pixels.push({ x, y, color, owner });
-    }
+    setPixel(canvas, { x, y, color, owner });
   }
 
   printSummary() {
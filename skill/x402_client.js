@@ -4,12 +4,12 @@
  *
  * Implements the x402 micropayment protocol for pixel claiming.
  *
- * Flow:
+ * Flow (x402 v1 wire format, shared codec: ../agent-sdk/x402.js):
  *   1. POST /pixel/:x/:y                 → 402 Payment Required
- *   2. Parse X-Payment-Required header   → payment details
- *   3. Build payment proof               → fake (test) or real (Base Sepolia)
- *   4. POST /pixel/:x/:y again           → with X-Payment header
- *   5. Return result
+ *   2. Parse 402 body `accepts[]`        → pick an `exact` requirement
+ *   3. Build payment payload             → fake (test) or real (Base Sepolia)
+ *   4. POST /pixel/:x/:y again           → with base64 X-PAYMENT header
+ *   5. Decode X-PAYMENT-RESPONSE         → settlement result
  *
  * Modes:
  *   Test mode  (default): Generates a properly-formatted fake tx hash.
@@ -18,16 +18,27 @@
  *                         Set X402_REAL_PAYMENTS=true + X402_WALLET_PRIVATE_KEY.
  */
 
+import {
+  NETWORKS,
+  USDC_DECIMALS,
+  HEADER_PAYMENT,
+  HEADER_PAYMENT_RESPONSE,
+  fromBaseUnits,
+  decodePaymentRequired,
+  selectPaymentRequirements,
+  encodePaymentHeader,
+  decodePaymentResponse,
+} from '../agent-sdk/x402.js';
+
 // ─── Constants ────────────────────────────────────────────────────────────────
 
-const BASE_SEPOLIA_CHAIN_ID = 84532;
-const USDC_DECIMALS = 6;
+const BASE_SEPOLIA_CHAIN_ID = NETWORKS['base-sepolia'].chainId;
 
 // USDC contract on Base Sepolia
-const USDC_CONTRACT = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const USDC_CONTRACT = NETWORKS['base-sepolia'].usdc;
 
-// x402 protocol version
-const X402_VERSION = '1';
+// Networks this client can pay on
+const SUPPORTED_NETWORKS = ['base-sepolia', 'base'];
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -52,20 +63,6 @@ function usdcToUnits(amount) {
   return Math.round(parseFloat(amount) * 10 ** USDC_DECIMALS);
 }
 
-/** Encode object to base64 JSON (for x402 headers) */
-function encodeHeader(obj) {
-  return Buffer.from(JSON.stringify(obj)).toString('base64');
-}
-
-/** Decode base64 JSON header */
-function decodeHeader(b64) {
-  try {
-    return JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
-  } catch {
-    return null;
-  }
-}
-
 // ─── x402 Client ─────────────────────────────────────────────────────────────
 
 export class X402Client {
@@ -151,22 +148,23 @@ export class X402Client {
     }
 
     // ── Step 2: Parse 402 Payment Required ────────────────────────────────
-    const paymentHeader = res.headers.get('X-Payment-Required')
-      || res.headers.get('x-payment-required');
-
-    if (!paymentHeader) {
-      return { success: false, amount: 0, tx_hash: null, reason: '402 received but no X-Payment-Required header' };
+    const required = decodePaymentRequired(await res.json().catch(() => null));
+    if (!required) {
+      return { success: false, amount: 0, tx_hash: null, reason: '402 received but body has no x402 accepts[]' };
     }
 
-    const paymentDetails = decodeHeader(paymentHeader);
-    if (!paymentDetails) {
-      return { success: false, amount: 0, tx_hash: null, reason: 'Failed to decode X-Payment-Required header' };
+    const requirements = selectPaymentRequirements(required.accepts, {
+      schemes: ['exact'],
+      networks: SUPPORTED_NETWORKS,
+    });
+    if (!requirements) {
+      return { success: false, amount: 0, tx_hash: null, reason: 'No supported payment option in 402 accepts[]' };
     }
 
-    console.log(`[x402] Payment required: ${paymentDetails.amount} ${paymentDetails.currency}`);
+    const requiredAmount = fromBaseUnits(requirements.maxAmountRequired);
+    console.log(`[x402] Payment required: ${requiredAmount} USDC on ${requirements.network} → ${requirements.payTo}`);
 
     // Budget check
-    const requiredAmount = parseFloat(paymentDetails.amount);
     if (requiredAmount > maxAmount) {
       return {
         success: false, amount: 0, tx_hash: null,
@@ -174,18 +172,18 @@ export class X402Client {
       };
     }
 
-    // ── Step 3: Build Payment Proof ───────────────────────────────────────
-    let proof;
+    // ── Step 3: Build Payment Payload ─────────────────────────────────────
+    let payload;
     try {
-      proof = this.realMode
-        ? await this.#realPayment(paymentDetails)
-        : await this.#testPayment(paymentDetails);
+      payload = this.realMode
+        ? await this.#realPayment(requirements)
+        : await this.#testPayment(requirements);
     } catch (err) {
       return { success: false, amount: 0, tx_hash: null, reason: `Payment error: ${err.message}` };
     }
 
-    // ── Step 4: Re-POST with payment proof ────────────────────────────────
-    const proofHeader = encodeHeader(proof);
+    // ── Step 4: Re-POST with X-PAYMENT (+ quote id, if the server issued one) ──
+    const quoteId = requirements.extra?.quote_id;
 
     let res2;
     try {
@@ -194,7 +192,12 @@ export class X402Client {
         headers: {
           ...headers,
           'Content-Type': 'application/json',
-          'X-Payment': proofHeader,
+          [HEADER_PAYMENT]: encodePaymentHeader({
+            scheme: requirements.scheme,
+            network: requirements.network,
+            payload,
+          }),
+          ...(quoteId ? { 'X-Quote-Id': quoteId } : {}),
         },
         body: JSON.stringify({ color }),
       });
@@ -205,19 +208,21 @@ export class X402Client {
     if (!res2.ok) {
       const body = await res2.text().catch(() => '');
       return {
-        success: false, amount: 0, tx_hash: proof.tx_hash,
+        success: false, amount: 0, tx_hash: payload.txHash || null,
         reason: `Payment POST failed ${res2.status}: ${body.slice(0, 200)}`,
       };
     }
 
     // ── Step 5: Return success ─────────────────────────────────────────────
+    const settlement = decodePaymentResponse(res2.headers.get(HEADER_PAYMENT_RESPONSE));
     const result = await res2.json().catch(() => ({}));
     return {
-      success:  true,
-      amount:   requiredAmount,
-      tx_hash:  proof.tx_hash,
-      reason:   'ok',
-      server:   result,
+      success:    true,
+      amount:     requiredAmount,
+      tx_hash:    settlement?.transaction || payload.txHash || null,
+      reason:     'ok',
+      settlement,
+      server:     result,
     };
   }
 
@@ -231,32 +236,51 @@ export class X402Client {
     };
   }
 
-  // ─── Internal: Test Payment (fake proof) ────────────────────────────────────
+  // ─── Internal: Test Payment (simulated chain) ───────────────────────────────
   /**
-   * Generates a properly-formatted x402 payment proof without touching the chain.
-   * For development, API testing, and demo purposes.
+   * Pays on the server's simulated USDC chain (PAYMENT_VERIFIER=simulated):
+   * tops up the test wallet from /dev/usdc/faucet when short, then transfers
+   * via /dev/usdc/transfer and returns that tx hash — so the server checks it
+   * like a real receipt. Falls back to a fake hash if the server has no /dev routes.
    */
-  async #testPayment(paymentDetails) {
-    // Simulate a small network delay (realistic)
-    await new Promise(r => setTimeout(r, 50 + Math.random() * 100));
-
-    const txHash = fakeEthTxHash();
-    const proof = {
-      protocol:   'x402',
-      version:    X402_VERSION,
-      chain_id:   paymentDetails.chain_id || BASE_SEPOLIA_CHAIN_ID,
-      currency:   paymentDetails.currency || 'USDC',
-      amount:     String(paymentDetails.amount),
-      amount_raw: String(usdcToUnits(paymentDetails.amount)),
-      recipient:  paymentDetails.recipient || fakeEthAddress(),
-      payer:      this.walletAddress,
-      tx_hash:    txHash,
-      timestamp:  Date.now(),
-      test_mode:  true,
-    };
+  async #testPayment(requirements) {
+    const amount = fromBaseUnits(requirements.maxAmountRequired);
+
+    let txHash = await this.#devTransfer(requirements.payTo, amount);
+    if (txHash === null) {
+      txHash = fakeEthTxHash();
+      console.log(`[x402][TEST] Server has no simulated chain — using fake tx=${txHash}`);
+      return { txHash };
+    }
+    if (!txHash) {
+      await this.#devPost('/dev/usdc/faucet', { address: this.walletAddress, amount_usdc: Math.max(10, amount) });
+      txHash = await this.#devTransfer(requirements.payTo, amount);
+    }
+
+    console.log(`[x402][TEST] Simulated transfer: ${requirements.maxAmountRequired} units → ${requirements.payTo} tx=${txHash}`);
+    return { txHash };
+  }
+
+  /**
+   * Transfer on the simulated chain.
+   * @returns {Promise<string|false|null>} tx hash, false if the transfer failed
+   *          (insufficient balance), null if the server has no simulated chain
+   */
+  async #devTransfer(to, amount) {
+    const data = await this.#devPost('/dev/usdc/transfer', { from: this.walletAddress, to, amount_usdc: amount });
+    if (!data) return null;
+    return data.status === 1 ? data.tx_hash : false;
+  }
 
-    console.log(`[x402][TEST] Payment proof generated: tx=${txHash}`);
-    return proof;
+  async #devPost(path, body) {
+    const res = await fetch(`${this.apiBase}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`${path} → ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    return res.json();
   }
 
   // ─── Internal: Real Payment (Base Sepolia) ──────────────────────────────────
@@ -274,7 +298,7 @@ export class X402Client {
    *   or
    *   npm install viem          (recommended for Base)
    */
-  async #realPayment(paymentDetails) {
+  async #realPayment(requirements) {
     // ─────────────────────────────────────────────────────────────────────────
     // REAL PAYMENT STUB
     // Replace this block with actual on-chain USDC transfer code.
@@ -308,8 +332,8 @@ export class X402Client {
     //   abi: USDC_ABI,
     //   functionName: 'transfer',
     //   args: [
-    //     paymentDetails.recipient,
-    //     parseUnits(String(paymentDetails.amount), USDC_DECIMALS),
+    //     requirements.payTo,
+    //     BigInt(requirements.maxAmountRequired),
     //   ],
     // });
     //
@@ -321,25 +345,13 @@ export class X402Client {
       'See comments in x402_client.js for the integration guide.'
     );
 
-    // Return format (fill in after implementation):
-    // return {
-    //   protocol:   'x402',
-    //   version:    X402_VERSION,
-    //   chain_id:   BASE_SEPOLIA_CHAIN_ID,
-    //   currency:   'USDC',
-    //   amount:     String(paymentDetails.amount),
-    //   amount_raw: String(usdcToUnits(paymentDetails.amount)),
-    //   recipient:  paymentDetails.recipient,
-    //   payer:      this.walletAddress,
-    //   tx_hash:    txHash,
-    //   timestamp:  Date.now(),
-    //   test_mode:  false,
-    // };
+    // Return format (fill in after implementation) — the x402 `exact` payload:
+    // return { txHash };
   }
 }
 
 // ─── Exported Utilities ───────────────────────────────────────────────────────
 
-export { fakeEthTxHash, fakeEthAddress, usdcToUnits, encodeHeader, decodeHeader };
+export { fakeEthTxHash, fakeEthAddress, usdcToUnits };
 export const CHAIN_ID       = BASE_SEPOLIA_CHAIN_ID;
 export const USDC_ADDRESS   = USDC_CONTRACT;